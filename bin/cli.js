@@ -3,29 +3,344 @@
 'use strict';
 
 var program = require('commander');
+var fs = require('fs');
 var cabinet = require('../');
 
+/*
+ * Exit codes:
+ *  0 - every partial was resolved
+ *  1 - some partials could not be resolved
+ *  2 - the options or input are invalid, or resolving a partial failed with an error
+ */
+var exitCodes = {
+  resolved: 0,
+  unresolved: 1,
+  error: 2
+};
+
 program
   .version(require('../package.json').version)
-  .usage('[options] <path>')
+  .usage('[options] [partials...]')
+  .description('Resolves the partials given as arguments, or read from --input, to the files they refer to')
   .option('-d, --directory <path>', 'root of all files')
-  .option('-c, --config [path]', 'location of a RequireJS config file for AMD')
-  .option('-w, --webpack-config [path]', 'location of a webpack config file')
-  .option('-f, --filename [path]', 'file containing the dependency')
+  .option('-f, --filename <path>', 'file containing the dependency')
+  .option('-i, --input <path>', 'file of partials to resolve (- for stdin), one per line or a JSON array ' +
+    'of partials or {partial, filename} objects')
+  .option('--json', 'print the status of every partial as JSON')
+  .option('-c, --config <path|json>', 'location (or contents) of a RequireJS config file for AMD')
+  .option('--config-path <path>', 'location of the RequireJS config file when --config is given as JSON')
+  .option('-w, --webpack-config <path>', 'location of a webpack config file', parseWebpackConfig)
+  .option('--webpack-env <json>', 'env given to a webpack config that exports a function', parseJson)
+  .option('--webpack-config-name <name>', 'name of the config to use when the webpack config exports several')
+  .option('--loaders', 'report the loaders of partials resolved with the webpack config')
+  .option('--node-modules-config <json>', 'config for resolving the entry file of node_modules', parseJson)
+  .option('--builtins', 'report the built-in modules of Node instead of leaving them unresolved')
+  .option('--conditions <list>', 'comma separated conditions matched against the exports and imports of packages', list)
+  .option('--target <target>', 'node (the default) or browser to apply the browser field of packages')
+  .option('-t, --ts-config <path|json>', 'location (or contents) of a tsconfig')
+  .option('--discover-ts-config', 'use the tsconfig.json nearest to the file when no --ts-config is given')
+  .option('--babel-config <path|json>', 'location (or contents) of a babel config')
+  .option('--discover-babel-config', 'use the babel config nearest to the file when no --babel-config is given')
+  .option('--jest-config <path|json>', 'location (or contents) of a Jest config')
+  .option('--vite-config <path|json>', 'location (or contents) of a Vite config')
+  .option('--rollup-config <path|json>', 'location (or contents) of a Rollup config')
+  .option('--sass-options <json>', 'loadPaths and importers used to resolve the partials of Sass files', parseJson)
+  .option('--less-options <json>', 'paths used to resolve the partials of Less files', parseJson)
+  .option('--stylus-options <json>', 'paths used to resolve the partials of Stylus files', parseJson)
+  .option('--workspaces [root]', 'resolve the packages of the monorepo (containing the directory or at root) within their folders')
+  .option('--workspace-entry-fields <list>', 'comma separated package.json fields to prefer over main for workspace packages', list)
+  .option('--ast <path>', 'location of the parsed AST of the file, as JSON', readJsonFile)
   .parse(process.argv);
 
-var filename = program.filename;
-var directory = program.directory;
-var config = program.config;
-var webpackConfig = program.webpackConfig;
-var dep = program.args[0];
-
-var result = cabinet({
-  partial: dep,
-  filename: filename,
-  directory: directory,
-  config: config,
-  webpackConfig: webpackConfig
+var options = {
+  directory: program.directory || process.cwd(),
+  config: parseConfig(program.config),
+  configPath: program.configPath,
+  webpackConfig: program.webpackConfig,
+  webpackEnv: program.webpackEnv,
+  webpackConfigName: program.webpackConfigName,
+  loaders: program.loaders,
+  nodeModulesConfig: program.nodeModulesConfig,
+  builtins: program.builtins,
+  conditions: program.conditions,
+  target: program.target,
+  tsConfig: parseConfig(program.tsConfig),
+  discoverTsConfig: program.discoverTsConfig,
+  babelConfig: parseConfig(program.babelConfig),
+  discoverBabelConfig: program.discoverBabelConfig,
+  jestConfig: parseConfig(program.jestConfig),
+  viteConfig: parseConfig(program.viteConfig),
+  rollupConfig: parseConfig(program.rollupConfig),
+  sassOptions: program.sassOptions,
+  lessOptions: program.lessOptions,
+  stylusOptions: program.stylusOptions,
+  workspaces: program.workspaces,
+  workspaceEntryFields: program.workspaceEntryFields,
+  ast: program.ast,
+  cache: cabinet.createCache()
+};
+
+readEntries(function(err, entries) {
+  if (err) {
+    fail(err.message);
+  }
+
+  var statuses = entries.map(resolveEntry);
+
+  if (program.json) {
+    console.log(JSON.stringify(statuses, null, 2));
+  } else {
+    statuses.forEach(printStatus);
+  }
+
+  process.exitCode = statuses.reduce(function(code, status) {
+    return Math.max(code, exitCodes[status.status]);
+  }, exitCodes.resolved);
 });
 
-console.log(result);
\ No newline at end of file
+/**
+ * Gathers the partials given as arguments or read from --input along with the file containing each
+ *
+ * @param  {Function} cb - Called with an error or the {partial, filename} entries
+ */
+function readEntries(cb) {
+  if (!program.input) {
+    if (!program.args.length) {
+      program.outputHelp();
+      process.exit(exitCodes.error);
+    }
+
+    cb(null, program.args.map(toEntry));
+    return;
+  }
+
+  readInput(program.input, function(err, contents) {
+    if (err) {
+      cb(new Error('could not read ' + program.input + ': ' + err.message));
+      return;
+    }
+
+    var entries;
+
+    try {
+      entries = parseInput(contents);
+    } catch (e) {
+      cb(e);
+      return;
+    }
+
+    cb(null, program.args.map(toEntry).concat(entries));
+  });
+}
+
+/**
+ * @param  {String} input - A path or - for stdin
+ * @param  {Function} cb
+ */
+function readInput(input, cb) {
+  if (input !== '-') {
+    fs.readFile(input, 'utf8', cb);
+    return;
+  }
+
+  var contents = '';
+
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', function(chunk) {
+    contents += chunk;
+  });
+  process.stdin.on('end', function() {
+    cb(null, contents);
+  });
+  process.stdin.on('error', cb);
+}
+
+/**
+ * Input starting with a [ is read as JSON and otherwise as one partial per line
+ *
+ * @param  {String} contents
+ * @return {Object[]}
+ */
+function parseInput(contents) {
+  if (contents.trim()[0] !== '[') {
+    return contents.split(/\r?\n/)
+    .map(function(line) {
+      return line.trim();
+    })
+    .filter(Boolean)
+    .map(toEntry);
+  }
+
+  var items;
+
+  try {
+    items = JSON.parse(contents);
+  } catch (e) {
+    throw new Error('invalid JSON input: ' + e.message);
+  }
+
+  return items.map(function(item) {
+    if (typeof item === 'string') {
+      return toEntry(item);
+    }
+
+    if (!item || typeof item.partial !== 'string') {
+      throw new Error('invalid JSON input: expected partials or {partial, filename} objects but got ' +
+        JSON.stringify(item));
+    }
+
+    return {
+      partial: item.partial,
+      filename: item.filename || program.filename
+    };
+  });
+}
+
+/**
+ * @param  {String} partial
+ * @return {Object}
+ */
+function toEntry(partial) {
+  return {
+    partial: partial,
+    filename: program.filename
+  };
+}
+
+/**
+ * @param  {Object} entry
+ * @return {Object} The partial, filename, result and status (resolved, unresolved or error) of the entry
+ * along with the reason it wasn't resolved (error)
+ */
+function resolveEntry(entry) {
+  var status = {
+    partial: entry.partial,
+    filename: entry.filename,
+    result: '',
+    status: 'resolved'
+  };
+
+  if (!entry.filename) {
+    status.status = 'error';
+    status.error = 'no filename was given for ' + entry.partial;
+    return status;
+  }
+
+  var trace;
+
+  try {
+    trace = cabinet.explain(Object.assign({}, options, entry));
+  } catch (e) {
+    status.status = 'error';
+    status.error = e.message;
+    return status;
+  }
+
+  status.result = trace.result;
+
+  if (isResolved(trace.result)) {
+    return status;
+  }
+
+  status.status = trace.configError ? 'error' : 'unresolved';
+
+  var error = trace.configError || trace.error;
+
+  if (error) {
+    status.error = error.message || String(error);
+  }
+
+  return status;
+}
+
+/**
+ * @param  {String|String[]|Object} result
+ * @return {Boolean}
+ */
+function isResolved(result) {
+  return Array.isArray(result) ? result.length > 0 : Boolean(result);
+}
+
+/**
+ * Prints a line per partial, so that the output lines up with the input, and the errors to stderr
+ *
+ * @param  {Object} status
+ */
+function printStatus(status) {
+  console.log(typeof status.result === 'string' ? status.result : JSON.stringify(status.result));
+
+  if (status.status !== 'resolved') {
+    console.error(status.partial + ': ' + (status.error || 'could not be resolved'));
+  }
+}
+
+/**
+ * Configs can be given as a path or as their JSON contents
+ *
+ * @param  {String} [value]
+ * @return {String|Object|undefined}
+ */
+function parseConfig(value) {
+  if (typeof value !== 'string' || value.trim()[0] !== '{') {
+    return value;
+  }
+
+  return parseJson(value);
+}
+
+/**
+ * Unlike the other configs, webpack configs are loaded from their location
+ *
+ * @param  {String} value
+ * @return {String}
+ */
+function parseWebpackConfig(value) {
+  if (value.trim()[0] === '{') {
+    fail('--webpack-config takes the location of a webpack config rather than its contents');
+  }
+
+  return value;
+}
+
+/**
+ * @param  {String} value
+ * @return {*}
+ */
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    fail('invalid JSON ' + value + ': ' + e.message);
+  }
+}
+
+/**
+ * @param  {String} filePath
+ * @return {Object}
+ */
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    fail('could not read ' + filePath + ': ' + e.message);
+  }
+}
+
+/**
+ * @param  {String} value
+ * @return {String[]}
+ */
+function list(value) {
+  return value.split(',').map(function(item) {
+    return item.trim();
+  })
+  .filter(Boolean);
+}
+
+/**
+ * @param  {String} message
+ */
+function fail(message) {
+  console.error('filing-cabinet: ' + message);
+  process.exit(exitCodes.error);
+}
@@ -11,82 +11,347 @@ var getModuleType;
 var resolve;
 
 var amdLookup;
-var stylusLookup = require('stylus-lookup');
-var sassLookup = require('sass-lookup');
 var ts;
 
 var resolveDependencyPath;
-var appModulePath = require('app-module-path');
 var webpackResolve;
 var isRelative = require('is-relative-path');
+var Module = require('module');
+
+var Cache = require('./lib/cache');
+var fsUtils = require('./lib/fs-utils');
+var Registry = require('./lib/registry');
+var packageExports = require('./lib/package-exports');
+var babelModuleResolver = require('./lib/babel-module-resolver');
+var jestConfigs = require('./lib/jest-config');
+var viteConfigs = require('./lib/vite-config');
+var pnp = require('./lib/pnp');
+var workspaces = require('./lib/workspaces');
+var sass = require('./lib/sass');
+var less = require('./lib/less');
+var stylus = require('./lib/stylus');
+var patterns = require('./lib/patterns');
+var browserField = require('./lib/browser-field');
 
 var defaultLookups = {
   '.js': jsLookup,
   '.jsx': jsLookup,
+  '.mjs': jsLookup,
+  '.cjs': jsLookup,
   '.ts': tsLookup,
+  '.tsx': tsLookup,
+  '.mts': tsLookup,
+  '.cts': tsLookup,
   '.scss': sassLookup,
   '.sass': sassLookup,
   '.styl': stylusLookup,
-  // Less and Sass imports are very similar
-  '.less': sassLookup
+  '.less': lessLookup
 };
 
-module.exports = function cabinet(options) {
-  var partial = options.partial;
-  var filename = options.filename;
-  var directory = options.directory;
-  var config = options.config;
-  var nodeModulesConfig = options.nodeModulesConfig;
-  var webpackConfig = options.webpackConfig;
-  var configPath = options.configPath;
-  var ast = options.ast;
+/*
+ * Callback/promise-based counterparts of the default lookups used by cabinet.async.
+ * Extensions without an entry here fall back to their (synchronous) default lookup.
+ */
+var asyncLookups = {
+  '.js': jsLookupAsync,
+  '.jsx': jsLookupAsync,
+  '.mjs': jsLookupAsync,
+  '.cjs': jsLookupAsync,
+  '.ts': tsLookupAsync,
+  '.tsx': tsLookupAsync,
+  '.mts': tsLookupAsync,
+  '.cts': tsLookupAsync
+};
 
-  var ext = path.extname(filename);
+/*
+ * Module types implied by a file's extension, regardless of its contents
+ */
+var moduleTypesByExtension = {
+  '.mjs': 'es6',
+  '.cjs': 'commonjs'
+};
+
+/*
+ * Conditions matched against the "exports" and "imports" fields of packages
+ * when none are given via options.conditions
+ */
+var defaultConditions = {
+  commonjs: ['require', 'node'],
+  es6: ['import', 'node']
+};
 
-  var resolver = defaultLookups[ext];
+/*
+ * The default conditions when options.target is browser
+ */
+var browserConditions = {
+  commonjs: ['require', 'browser'],
+  es6: ['import', 'browser']
+};
 
-  if (!resolver) {
-    debug('using generic resolver');
-    if (!resolveDependencyPath) {
-      resolveDependencyPath = require('resolve-dependency-path');
+/*
+ * Extensions tried when completing extensionless partials of JS files
+ */
+var jsExtensions = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+/*
+ * The options webpack resolves loaders with, extended by the resolveLoader section of the config
+ */
+var defaultResolveLoaderConfig = {
+  conditionNames: ['loader', 'require', 'node'],
+  mainFields: ['loader', 'main'],
+  mainFiles: ['index'],
+  extensions: ['.js']
+};
+
+var defaultRegistry = new Registry(defaultLookups, asyncLookups);
+
+module.exports = createCabinet(defaultRegistry);
+
+/**
+ * Creates a cabinet whose lookup strategies are isolated from those of other cabinets
+ *
+ * It starts out with the built-in strategies, along with the given ones, and offers the same methods as cabinet.
+ * Its strategies receive all of the options given to cabinet as a single object.
+ *
+ * @param  {Object} [cabinetOptions]
+ * @param  {Object} [cabinetOptions.lookups] - A strategy or an ordered list of strategies by file extension
+ * @param  {Object} [cabinetOptions.asyncLookups] - The strategies used by the async method by file extension
+ * @return {Function}
+ */
+module.exports.create = function(cabinetOptions) {
+  cabinetOptions = cabinetOptions || {};
+
+  var registry = new Registry(defaultLookups, asyncLookups);
+  var lookups = cabinetOptions.lookups || {};
+  var customAsyncLookups = cabinetOptions.asyncLookups || {};
+
+  Object.keys(lookups).forEach(function(extension) {
+    registry.register(extension, lookups[extension], customAsyncLookups[extension]);
+  });
+
+  Object.keys(customAsyncLookups).forEach(function(extension) {
+    if (!lookups.hasOwnProperty(extension)) {
+      registry.register(extension, registry.getLookups(extension) || resolveGenericPath, customAsyncLookups[extension]);
     }
+  });
 
-    resolver = resolveDependencyPath;
-  }
+  return createCabinet(registry);
+};
 
-  debug('found a resolver for ' + ext);
+/**
+ * Adapts a lookup strategy written for the legacy contract of cabinet.register, which receives
+ * (partial, filename, directory, config, webpackConfig, configPath, nodeModulesConfig, ast, options),
+ * to be registered with a cabinet made by cabinet.create
+ *
+ * @param  {Function} positionalStrategy
+ * @return {Function}
+ */
+module.exports.fromPositional = Registry.fromPositional;
 
-  // TODO: Change all resolvers to accept an options argument
-  var result = resolver(partial, filename, directory, config, webpackConfig, configPath, nodeModulesConfig, ast);
+/**
+ * Returned by a lookup strategy that does not handle the partial, to hand it over to the next strategy
+ *
+ * @type {Object}
+ */
+module.exports.CONTINUE = Registry.CONTINUE;
 
-  debug('resolved path for ' + partial + ': ' + result);
-  return result;
+/*
+ * The built-in strategies, to be combined into lists of strategies for cabinet.create and register.
+ * The ones that rely on a config hand the partial over to the next strategy when it isn't given.
+ */
+module.exports.strategies = {
+  javascript: jsLookup,
+  typescript: tsLookup,
+  amd: requireJsLookup,
+  webpack: webpackLookup,
+  jest: jestLookup,
+  bundler: bundlerLookup,
+  node: nodeLookup,
+  sass: sassLookup,
+  less: lessLookup,
+  stylus: stylusLookup,
+  generic: resolveGenericPath
 };
 
-module.exports.supportedFileExtensions = Object.keys(defaultLookups);
+Object.keys(module.exports.strategies).forEach(function(name) {
+  Registry.takesOptions(module.exports.strategies[name]);
+});
 
 /**
  * Register a custom lookup resolver for a file extension
  *
+ * The lookup strategy is used by cabinet() and, unless an async strategy is supplied, by cabinet.async()
+ * where it may return a promise for the resolved path.
+ *
+ * Unlike the strategies of the cabinets made by cabinet.create, the given ones receive the options
+ * as (partial, filename, directory, config, webpackConfig, configPath, nodeModulesConfig, ast, options)
+ * except for the built-in strategies and those returned by getLookups, which receive them as a single object
+ *
  * @param  {String} extension - The file extension that should use the resolver
- * @param  {Function} lookupStrategy - A resolver of partial paths
+ * @param  {Function|Function[]} lookupStrategy - A resolver of partial paths or a list of them to try in order
+ * @param  {Function|Function[]} [asyncLookupStrategy] - A resolver returning a promise for the resolved path
  */
-module.exports.register = function(extension, lookupStrategy) {
-  defaultLookups[extension] = lookupStrategy;
-
-  if (this.supportedFileExtensions.indexOf(extension) === -1) {
-    this.supportedFileExtensions.push(extension);
-  }
+module.exports.register = function(extension, lookupStrategy, asyncLookupStrategy) {
+  defaultRegistry.register(extension, fromPositionalStrategies(lookupStrategy),
+    asyncLookupStrategy && fromPositionalStrategies(asyncLookupStrategy));
 };
 
+/**
+ * @private
+ * @param  {Function|Function[]} strategies
+ * @return {Function|Function[]}
+ */
+function fromPositionalStrategies(strategies) {
+  return Array.isArray(strategies) ? strategies.map(Registry.fromPositional) : Registry.fromPositional(strategies);
+}
+
+/**
+ * Creates the cabinet function and its methods for the strategies of the registry
+ *
+ * @private
+ * @param  {Registry} registry
+ * @return {Function}
+ */
+function createCabinet(registry) {
+  var cabinet = function cabinet(options) {
+    return lookup(options, registry);
+  };
+
+  /**
+   * Resolves several partials found within the same file
+   *
+   * The work that only depends on the file (detecting its module type,
+   * loading the webpack config, creating the TypeScript compiler host)
+   * is done once and shared by all of the partials.
+   *
+   * Accepts the same options as cabinet() with partials instead of partial
+   *
+   * @param  {Object} options
+   * @param  {String[]} options.partials
+   * @return {Object} Mapping of each partial to its resolved path
+   */
+  cabinet.resolveMany = function(options) {
+    var partials = options.partials || [];
+    var cache = options.cache || new Cache();
+    var results = {};
+
+    partials.forEach(function(partial) {
+      results[partial] = lookup(Object.assign({}, options, {partial: partial, cache: cache}), registry);
+    });
+
+    return results;
+  };
+
+  /**
+   * Creates a cache to be passed along as options.cache
+   *
+   * It holds loaded configs, constructed resolvers, module types and past results across calls.
+   * Use its invalidate(filePath) and clear() methods to keep it in sync with changes to files.
+   *
+   * @return {Cache}
+   */
+  cabinet.createCache = function() {
+    return new Cache();
+  };
+
+  /**
+   * Resolves the partial while recording how it was resolved
+   *
+   * Accepts the same options as cabinet()
+   *
+   * The returned trace holds:
+   *  - resolver: the name of the resolver registered for the file's extension
+   *  - moduleType: the module type detected for JS files
+   *  - candidates: the paths that were tried and rejected, as {path, reason} objects
+   *  - configError: the error from loading the given config
+   *  - error: the error from the resolver
+   *  - result: the resolved path
+   *
+   * @param  {Object} options
+   * @return {Object}
+   */
+  cabinet.explain = function(options) {
+    var trace = {
+      partial: options.partial,
+      filename: options.filename,
+      resolver: null,
+      moduleType: null,
+      candidates: [],
+      configError: null,
+      error: null,
+      result: ''
+    };
+
+    trace.result = lookup(Object.assign({}, options, {trace: trace}), registry);
+
+    return trace;
+  };
+
+  /**
+   * Asynchronously resolves the partial using the non-blocking variants of the resolvers
+   *
+   * Accepts the same options as cabinet()
+   *
+   * @param  {Object} options
+   * @return {Promise<String>}
+   */
+  cabinet.async = function(options) {
+    return lookupAsync(options, registry);
+  };
+
+  cabinet.resolvePattern = resolvePattern;
+
+  cabinet.supportedFileExtensions = registry.extensions;
+
+  /**
+   * Register a lookup strategy, or an ordered list of them, for a file extension
+   *
+   * The lookup strategies are used by cabinet() and, unless async strategies are supplied, by cabinet.async()
+   * where they may return a promise for the resolved path.
+   *
+   * @param  {String} extension - The file extension that should use the strategies
+   * @param  {Function|Function[]} lookupStrategies - Receive all of the options given to cabinet
+   * @param  {Function|Function[]} [asyncLookupStrategies] - Same as lookupStrategies but return a promise for the resolved path
+   */
+  cabinet.register = function(extension, lookupStrategies, asyncLookupStrategies) {
+    registry.register(extension, lookupStrategies, asyncLookupStrategies);
+  };
+
+  /**
+   * Lets a strategy be put in front of the ones of an extension
+   *
+   * @param  {String} extension
+   * @return {Function[]} The strategies of the extension in order, or an empty list without any
+   */
+  cabinet.getLookups = function(extension) {
+    return registry.getLookups(extension) || [];
+  };
+
+  /**
+   * Removes the lookup strategies of a file extension, whose files are then resolved generically
+   *
+   * @param  {String} extension
+   * @return {Boolean} Whether the extension had a strategy
+   */
+  cabinet.unregister = function(extension) {
+    return registry.unregister(extension);
+  };
+
+  return cabinet;
+}
+
 /**
  * Exposed for testing
  *
  * @param  {Object} options
  * @param  {String} options.config
  * @param  {String} options.webpackConfig
+ * @param  {String|Object} options.jestConfig
+ * @param  {String|Object} options.viteConfig
+ * @param  {String|Object} options.rollupConfig
  * @param  {String} options.filename
  * @param  {Object} options.ast
+ * @param  {Object} [options.fs] - Reads the file instead of fs
  * @return {String}
  */
 module.exports._getJSType = function(options) {
@@ -104,190 +369,2819 @@ module.exports._getJSType = function(options) {
     return 'webpack';
   }
 
+  if (options.jestConfig) {
+    return 'jest';
+  }
+
+  if (options.viteConfig) {
+    return 'vite';
+  }
+
+  if (options.rollupConfig) {
+    return 'rollup';
+  }
+
+  var ext = options.filename && path.extname(options.filename);
+
+  if (moduleTypesByExtension.hasOwnProperty(ext)) {
+    debug('using the extension ' + ext + ' to find the module type');
+    return moduleTypesByExtension[ext];
+  }
+
   if (options.ast) {
     debug('reusing the given ast');
     return getModuleType.fromSource(options.ast);
   }
 
+  if (options.fs) {
+    debug('reading the file through the given fs to find the module type');
+    return getModuleType.fromSource(options.fs.readFileSync(options.filename, 'utf8'));
+  }
+
   debug('using the filename to find the module type');
   return getModuleType.sync(options.filename);
 };
 
+/**
+ * Exposed for testing
+ *
+ * Same as _getJSType but reads the file without blocking
+ *
+ * @param  {Object} options - Same as _getJSType
+ * @return {Promise<String>}
+ */
+module.exports._getJSTypeAsync = function(options) {
+  if (!getModuleType) {
+    getModuleType = require('module-definition');
+  }
+
+  options = options || {};
+
+  var ext = options.filename && path.extname(options.filename);
+
+  // The given fs only has to offer synchronous methods
+  if (options.config || options.webpackConfig || options.jestConfig || options.viteConfig || options.rollupConfig ||
+      options.ast || options.fs || moduleTypesByExtension.hasOwnProperty(ext)) {
+    return Promise.resolve(module.exports._getJSType(options));
+  }
+
+  debug('using the filename to find the module type');
+
+  return new Promise(function(fulfill, reject) {
+    getModuleType(options.filename, function(err, type) {
+      if (err) { return reject(err); }
+
+      fulfill(type);
+    });
+  });
+};
+
 /**
  * @private
- * @param  {String} partial
- * @param  {String} filename
- * @param  {String} directory
- * @param  {String} [config]
- * @param  {String} [webpackConfig]
- * @param  {String} [configPath]
- * @param  {Object} [nodeModulesConfig]
- * @param  {Object} [ast]
+ * @param  {Object} options - The options given to cabinet
+ * @param  {Cache} [options.cache]
+ * @param  {Object} [options.trace] - Collects how the partial was resolved
+ * @param  {Registry} registry - The lookup strategies of the cabinet
  * @return {String}
  */
-function jsLookup(partial, filename, directory, config, webpackConfig, configPath, nodeModulesConfig, ast) {
-  var type = module.exports._getJSType({
-    config: config,
-    webpackConfig: webpackConfig,
-    filename: filename,
-    ast: ast
-  });
+function lookup(options, registry) {
+  var partial = options.partial;
+  var filename = options.filename;
+  var cache = options.cache;
+  var trace = options.trace;
 
-  switch (type) {
-    case 'amd':
-      debug('using amd resolver');
-      if (!amdLookup) {
-        amdLookup = require('module-lookup-amd');
-      }
+  // A past result can't tell how it was resolved
+  if (cache && !trace) {
+    var cachedResult = cache.getResult(filename, partial, options);
 
-      return amdLookup({
-        config: config,
-        // Optional in case a pre-parsed config is being passed in
-        configPath: configPath,
-        partial: partial,
-        directory: directory,
-        filename: filename
-      });
+    if (typeof cachedResult !== 'undefined') {
+      debug('using the cached path for ' + partial + ': ' + cachedResult);
+      return cachedResult;
+    }
+  }
 
-    case 'commonjs':
-      debug('using commonjs resolver');
-      return commonJSLookup(partial, filename, directory, nodeModulesConfig);
+  var ext = path.extname(filename);
 
-    case 'webpack':
-      debug('using webpack resolver for es6');
-      return resolveWebpackPath(partial, filename, directory, webpackConfig);
+  var strategies = registry.getLookups(ext);
 
-    case 'es6':
-    default:
-      debug('using commonjs resolver for es6');
-      return commonJSLookup(partial, filename, directory, nodeModulesConfig);
+  if (!strategies) {
+    debug('using generic resolver');
+    strategies = [resolveGenericPath];
+  }
+
+  debug('found ' + strategies.length + ' resolvers for ' + ext);
+
+  var result = runStrategies(strategies, options);
+
+  if (cache) {
+    cache.setResult(filename, partial, result, options);
   }
+
+  debug('resolved path for ' + partial + ': ' + result);
+  return result;
 }
 
-function tsLookup(partial, filename, directory) {
-  debug('performing a typescript lookup');
+/**
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @param  {Cache} [options.cache]
+ * @param  {Registry} registry - The lookup strategies of the cabinet
+ * @return {Promise<String>}
+ */
+function lookupAsync(options, registry) {
+  var partial = options.partial;
+  var filename = options.filename;
+  var cache = options.cache;
 
-  if (!ts) {
-    ts = require('typescript');
+  if (cache) {
+    var cachedResult = cache.getResult(filename, partial, options);
+
+    if (typeof cachedResult !== 'undefined') {
+      debug('using the cached path for ' + partial + ': ' + cachedResult);
+      return Promise.resolve(cachedResult);
+    }
   }
 
-  var options = {
-    module: ts.ModuleKind.AMD
-  };
+  var ext = path.extname(filename);
 
-  var host = ts.createCompilerHost({});
-  debug('with options: ', options);
-  var resolvedModule = ts.resolveModuleName(partial, filename, options, host).resolvedModule;
-  debug('ts resolved module: ', resolvedModule);
-  var result = resolvedModule ? resolvedModule.resolvedFileName : '';
+  var strategies = registry.getAsyncLookups(ext);
 
-  debug('result: ' + result);
-  return result ? path.resolve(result) : '';
+  if (!strategies) {
+    debug('using generic resolver');
+    strategies = [resolveGenericPath];
+  }
+
+  debug('found ' + strategies.length + ' async resolvers for ' + ext);
+
+  return runStrategiesAsync(strategies, options, 0, Registry.CONTINUE)
+  .then(function(result) {
+    if (cache) {
+      cache.setResult(filename, partial, result, options);
+    }
+
+    debug('resolved path for ' + partial + ': ' + result);
+    return result;
+  });
 }
 
 /**
+ * Tries the strategies in order until one of them resolves the partial
+ *
+ * Without a resolved path, the result of the last strategy that handled the partial is used
+ * or, if none of them did, the one of the generic resolver.
+ *
  * @private
- * @param  {String} partial
- * @param  {String} filename
- * @param  {String} directory
+ * @param  {Function[]} strategies
+ * @param  {Object} options - The options given to cabinet
  * @return {String}
  */
-function commonJSLookup(partial, filename, directory, nodeModulesConfig) {
-  if (!resolve) {
-    resolve = require('resolve');
-  }
-  // Need to resolve partials within the directory of the module, not filing-cabinet
-  var moduleLookupDir = path.join(directory, 'node_modules');
-
-  debug('adding ' + moduleLookupDir + ' to the require resolution paths');
+function runStrategies(strategies, options) {
+  var result = Registry.CONTINUE;
 
-  appModulePath.addPath(moduleLookupDir);
+  for (var i = 0; i < strategies.length; i++) {
+    var strategyResult = runStrategy(strategies[i], options);
 
-  // Make sure the partial is being resolved to the filename's context
-  // 3rd party modules will not be relative
-  if (partial[0] === '.') {
-    partial = path.resolve(path.dirname(filename), partial);
-  }
+    if (strategyResult === Registry.CONTINUE) { continue; }
 
-  var result = '';
+    result = strategyResult;
 
-  // Allows us to configure what is used as the "main" entry point
-  function packageFilter(packageJson) {
-    packageJson.main = packageJson[nodeModulesConfig.entry] ? packageJson[nodeModulesConfig.entry] : packageJson.main;
-    return packageJson;
+    if (isResolved(result)) { break; }
   }
 
-  try {
-    result = resolve.sync(partial, {
-      extensions: ['.js', '.jsx'],
-      basedir: directory,
-      packageFilter: nodeModulesConfig && nodeModulesConfig.entry ? packageFilter : undefined,
-      // Add fileDir to resolve index.js files in that dir
-      moduleDirectory: ['node_modules', directory]
-    });
-    debug('resolved path: ' + result);
-  } catch (e) {
-    debug('could not resolve ' + partial);
+  if (result === Registry.CONTINUE) {
+    debug('none of the resolvers handled ' + options.partial + ', using generic resolver');
+    result = runStrategy(resolveGenericPath, options);
   }
 
   return result;
 }
 
-function resolveWebpackPath(partial, filename, directory, webpackConfig) {
-  if (!webpackResolve) {
-    webpackResolve = require('enhanced-resolve');
+/**
+ * Records the name and error of the strategy in the trace unless it hands the partial over
+ *
+ * @private
+ * @param  {Function} strategy
+ * @param  {Object} options - The options given to cabinet
+ * @return {String|Object} The result of the strategy or CONTINUE
+ */
+function runStrategy(strategy, options) {
+  var trace = options.trace;
+  var name = getResolverName(strategy);
+  var previous = trace && {resolver: trace.resolver, error: trace.error};
+
+  if (trace) {
+    trace.resolver = name;
+    trace.error = null;
   }
-  webpackConfig = path.resolve(webpackConfig);
 
-  try {
-    var loadedConfig = require(webpackConfig);
+  var result = strategy(options);
 
-    if (typeof loadedConfig === 'function') {
-      loadedConfig = loadedConfig();
+  if (result === Registry.CONTINUE) {
+    debug(name + ' handed ' + options.partial + ' over to the next resolver');
+
+    if (trace) {
+      trace.resolver = previous.resolver;
+      trace.error = previous.error;
     }
-  } catch (e) {
-    debug('error loading the webpack config at ' + webpackConfig);
-    debug(e.message);
-    debug(e.stack);
-    return '';
   }
 
-  var resolveConfig = Object.assign({}, loadedConfig.resolve);
-
-  if (!resolveConfig.modules && (resolveConfig.root || resolveConfig.modulesDirectories)) {
-    resolveConfig.modules = [];
+  return result;
+}
 
-    if (resolveConfig.root) {
-      resolveConfig.modules = resolveConfig.modules.concat(resolveConfig.root);
+/**
+ * Same as runStrategies for strategies that may return a promise for their result
+ *
+ * @private
+ * @param  {Function[]} strategies
+ * @param  {Object} options - The options given to cabinet
+ * @param  {Number} index - The strategy to try next
+ * @param  {String|Object} result - The result of the last strategy that handled the partial, or CONTINUE
+ * @return {Promise<String>}
+ */
+function runStrategiesAsync(strategies, options, index, result) {
+  if (index === strategies.length) {
+    if (result !== Registry.CONTINUE) {
+      return Promise.resolve(result);
     }
 
-    if (resolveConfig.modulesDirectories) {
-      resolveConfig.modules = resolveConfig.modules.concat(resolveConfig.modulesDirectories);
-    }
+    debug('none of the resolvers handled ' + options.partial + ', using generic resolver');
+    return Promise.resolve(resolveGenericPath(options));
   }
 
-  try {
-    var resolver = webpackResolve.create.sync(resolveConfig);
+  // Resolvers are free to return either a path or a promise for one
+  return Promise.resolve()
+  .then(function() {
+    return strategies[index](options);
+  })
+  .then(function(strategyResult) {
+    if (strategyResult === Registry.CONTINUE) {
+      debug(getResolverName(strategies[index]) + ' handed ' + options.partial + ' over to the next resolver');
+      return runStrategiesAsync(strategies, options, index + 1, result);
+    }
 
-    // We don't care about what the loader resolves the partial to
-    // we only wnat the path of the resolved file
-    partial = stripLoader(partial);
+    if (isResolved(strategyResult)) {
+      return strategyResult;
+    }
 
-    var lookupPath = isRelative(partial) ? path.dirname(filename) : directory;
+    return runStrategiesAsync(strategies, options, index + 1, strategyResult);
+  });
+}
 
-    return resolver(lookupPath, partial);
-  } catch (e) {
-    debug('error when resolving ' + partial);
-    debug(e.message);
-    debug(e.stack);
-    return '';
+/**
+ * @private
+ * @param  {String|String[]|Object} result
+ * @return {Boolean} Whether the result is a path, a non-empty list of paths or a description like a builtin
+ */
+function isResolved(result) {
+  return Array.isArray(result) ? result.length > 0 : Boolean(result);
+}
+
+/**
+ * Resolves the partials of files without a lookup strategy
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String}
+ */
+function resolveGenericPath(options) {
+  if (!resolveDependencyPath) {
+    resolveDependencyPath = require('resolve-dependency-path');
   }
+
+  return resolveDependencyPath(options.partial, options.filename, options.directory);
 }
 
-function stripLoader(partial) {
-  var exclamationLocation = partial.indexOf('!');
+/**
+ * @private
+ * @param  {Function} resolver
+ * @return {String}
+ */
+function getResolverName(resolver) {
+  if (resolver === resolveGenericPath) {
+    return 'resolve-dependency-path';
+  }
 
-  if (exclamationLocation === -1) { return partial; }
+  // Strategies adapted from the legacy contract are named after the adapted one
+  var strategy = resolver.positionalStrategy || resolver;
 
-  return partial.slice(exclamationLocation + 1);
+  return strategy.name || 'anonymous';
+}
+
+/**
+ * Finds every file matching a dynamic pattern like those of require.context, import.meta.glob
+ * or template literal imports
+ *
+ * The folder that the pattern starts from is resolved with the aliases and roots of the given configs
+ * the way the JS resolvers do. Accepts the same options as cabinet() with pattern instead of partial.
+ *
+ * @param  {Object} options
+ * @param  {String|String[]} options.pattern - A folder, a template literal or a glob.
+ * In a list of globs, the ones starting with ! leave out the files they match.
+ * @param  {Boolean} [options.recursive=true] - Whether the subfolders of a folder are searched
+ * @param  {RegExp} [options.regExp] - The files of a folder to match, as paths relative to the folder starting with ./
+ * @return {String[]} The matching files in alphabetical order
+ */
+function resolvePattern(options) {
+  var matched = {};
+  var excluded = {};
+
+  [].concat(options.pattern).forEach(function(pattern) {
+    var isExcluding = pattern[0] === '!';
+    var parsed = patterns.parse(isExcluding ? pattern.slice(1) : pattern, {
+      // Like those of import.meta.glob, the patterns of a list are globs
+      glob: Array.isArray(options.pattern),
+      recursive: options.recursive,
+      regExp: options.regExp
+    });
+    var dir = resolvePatternBase(parsed.base, options);
+
+    if (!dir) {
+      debug('could not resolve the folder ' + parsed.base + ' of the pattern ' + pattern);
+      return;
+    }
+
+    patterns.find(dir, parsed, options.fs).forEach(function(file) {
+      (isExcluding ? excluded : matched)[file] = true;
+    });
+  });
+
+  return Object.keys(matched).filter(function(file) {
+    return !excluded[file];
+  })
+  .sort();
+}
+
+/**
+ * @private
+ * @param  {String} base - The folder that a pattern starts from, as it's written
+ * @param  {Object} options - The options given to resolvePattern
+ * @return {String|null} The first of the folders it could refer to that exists
+ */
+function resolvePatternBase(base, options) {
+  var fileDir = path.dirname(path.resolve(options.filename));
+  var candidates = isRelative(base) ? [path.resolve(fileDir, base)] : getPatternBaseCandidates(base, options);
+
+  for (var i = 0; i < candidates.length; i++) {
+    if (fsUtils.isDirectory(candidates[i], options.fs)) {
+      debug('the pattern folder ' + base + ' resolved to ' + candidates[i]);
+      return candidates[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Applies the aliases and roots of the webpack, Jest, Vite or Rollup, TypeScript and babel configs,
+ * then looks for the folder within the workspace packages, node_modules and the directory
+ *
+ * @private
+ * @param  {String} base - An absolute or bare folder
+ * @param  {Object} options - The options given to resolvePattern
+ * @return {String[]} The folders it could refer to in order
+ */
+function getPatternBaseCandidates(base, options) {
+  var filename = options.filename;
+  var directory = options.directory;
+  var fileDir = path.dirname(path.resolve(filename));
+  var candidates = [];
+
+  if (options.webpackConfig) {
+    candidates = candidates.concat(resolveWebpackContext(base, options));
+  }
+
+  if (options.jestConfig) {
+    var jestConfig = getJestConfig(options.jestConfig, directory, options);
+
+    if (jestConfig) {
+      candidates = candidates.concat(jestConfigs.mapModuleName(base, jestConfig) || [])
+      .concat(jestConfig.modulePaths.concat(jestConfig.roots).map(function(modulePath) {
+        return path.join(modulePath, base);
+      }));
+    }
+  }
+
+  if (options.viteConfig || options.rollupConfig) {
+    var bundlerConfig = readBundlerConfig(options);
+
+    if (bundlerConfig) {
+      var aliased = viteConfigs.applyAlias(base, filename, bundlerConfig, options.trace);
+
+      // Folders starting with / are relative to the project's root
+      candidates = candidates.concat(aliased, path.isAbsolute(aliased) ? path.join(bundlerConfig.root, aliased) : []);
+    }
+  }
+
+  if (options.tsConfig || options.discoverTsConfig) {
+    if (!ts) {
+      ts = require('typescript');
+    }
+
+    candidates = candidates.concat(getTsPathCandidates(base, getTsCompilerOptions(filename, directory, options)));
+  }
+
+  var pluginOptions = getBabelPluginOptions(filename, directory, options);
+
+  if (pluginOptions) {
+    candidates = candidates.concat(pluginOptions.root.map(function(root) {
+      return path.join(root, base);
+    }), babelModuleResolver.applyAlias(base, pluginOptions));
+  }
+
+  var loadedWorkspaces = options.workspaces && getWorkspaces(directory, options);
+  var workspacePackage = loadedWorkspaces && workspaces.findPackage(base, loadedWorkspaces);
+
+  if (workspacePackage) {
+    candidates.push(path.join(workspacePackage.dir, workspacePackage.subpath));
+  }
+
+  var name = /^(@[^/]+\/)?[^/]+/.exec(base);
+  var pkg = name && !path.isAbsolute(base) && packageExports.findPackage(name[0], fileDir, options.fs);
+
+  if (pkg) {
+    candidates.push(path.join(pkg.dir, base.slice(name[0].length)));
+  }
+
+  candidates.push(path.resolve(directory, base));
+
+  return candidates.filter(function(candidate) {
+    return path.isAbsolute(candidate);
+  });
+}
+
+/**
+ * Resolves a folder with the aliases and modules of options.webpackConfig like webpack does for require.context
+ *
+ * @private
+ * @param  {String} base
+ * @param  {Object} options - The options given to resolvePattern
+ * @return {String[]} The resolved folder if there is one
+ */
+function resolveWebpackContext(base, options) {
+  var resolveConfigs = getWebpackResolveConfigs(options.webpackConfig, options);
+
+  if (!resolveConfigs) { return []; }
+
+  var category = getWebpackDependencyCategory(resolveConfigs.resolve, options.filename, options);
+  var resolveConfig = Object.assign(getWebpackDependencyResolveConfig(resolveConfigs.resolve, category), {
+    resolveToContext: true
+  });
+  var resolver = getCachedWebpackResolver(options.webpackConfig, 'context:' + category,
+    withPnpApi(resolveConfig, options.directory, options), options);
+
+  if (!resolver) { return []; }
+
+  try {
+    var result = resolver(options.directory, base, {});
+
+    // Folders that are aliased to false are ignored
+    return result ? [path.resolve(result)] : [];
+  } catch (e) {
+    debug('webpack could not resolve the folder ' + base + ': ' + e.message);
+    return [];
+  }
+}
+
+/**
+ * Maps a folder through the paths of the compiler options, preferring the longest matching prefix
+ * like the TypeScript compiler does, and then tries it within the baseUrl
+ *
+ * @private
+ * @param  {String} base
+ * @param  {Object} compilerOptions
+ * @return {String[]}
+ */
+function getTsPathCandidates(base, compilerOptions) {
+  var paths = compilerOptions.paths || {};
+  var pathsBase = compilerOptions.pathsBasePath || compilerOptions.baseUrl;
+  var candidates = [];
+
+  // Keys without a wildcard only match the folder itself, so they come first
+  var getPrefixLength = function(key) {
+    return key.indexOf('*') === -1 ? Infinity : key.indexOf('*');
+  };
+
+  Object.keys(paths)
+  .sort(function(a, b) {
+    return getPrefixLength(b) - getPrefixLength(a);
+  })
+  .forEach(function(key) {
+    var star = key.indexOf('*');
+    var prefix = star === -1 ? key : key.slice(0, star);
+    var suffix = star === -1 ? '' : key.slice(star + 1);
+    var matches = star === -1 ? base === key :
+      base.length >= prefix.length + suffix.length && base.indexOf(prefix) === 0 &&
+      base.slice(base.length - suffix.length) === suffix;
+
+    if (!matches || !pathsBase) { return; }
+
+    var wildcard = base.slice(prefix.length, base.length - suffix.length);
+
+    paths[key].forEach(function(substitution) {
+      candidates.push(path.resolve(pathsBase, substitution.replace('*', wildcard)));
+    });
+  });
+
+  if (compilerOptions.baseUrl) {
+    candidates.push(path.resolve(compilerOptions.baseUrl, base));
+  }
+
+  return candidates;
+}
+
+/**
+ * Records a path that was tried but not used
+ *
+ * @private
+ * @param  {Object} [trace]
+ * @param  {String} candidate
+ * @param  {String} reason
+ */
+function rejectCandidate(trace, candidate, reason) {
+  if (!trace) { return; }
+
+  debug('rejected ' + candidate + ': ' + reason);
+  trace.candidates.push({
+    path: candidate,
+    reason: reason
+  });
+}
+
+/**
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String}
+ */
+function jsLookup(options) {
+  var partial = options.partial;
+  var filename = options.filename;
+  var directory = options.directory;
+  var config = options.config;
+  var webpackConfig = options.webpackConfig;
+  var configPath = options.configPath;
+  var nodeModulesConfig = options.nodeModulesConfig;
+
+  var type = getJSType(options);
+
+  switch (type) {
+    case 'amd':
+      debug('using amd resolver');
+      return resolveAMDPath(partial, filename, directory, config, configPath);
+
+    case 'commonjs':
+      debug('using commonjs resolver');
+      return commonJSLookup(partial, filename, directory, nodeModulesConfig, options, type);
+
+    case 'webpack':
+      debug('using webpack resolver for es6');
+      return resolveWebpackPath(partial, filename, directory, webpackConfig, options);
+
+    case 'jest':
+      debug('using jest resolver');
+      return resolveJestPath(partial, filename, directory, options.jestConfig, options);
+
+    case 'vite':
+    case 'rollup':
+      debug('using ' + type + ' resolver');
+      return resolveBundlerPath(partial, filename, options);
+
+    case 'es6':
+    default:
+      debug('using commonjs resolver for es6');
+      return commonJSLookup(partial, filename, directory, nodeModulesConfig, options, 'es6');
+  }
+}
+
+/**
+ * Resolves JavaScript partials with the RequireJS config of options.config
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String|Object} The resolved path or CONTINUE without a config
+ */
+function requireJsLookup(options) {
+  if (!options.config) { return Registry.CONTINUE; }
+
+  return resolveAMDPath(options.partial, options.filename, options.directory, options.config, options.configPath);
+}
+
+/**
+ * Resolves partials with the aliases, modules and other resolve options of options.webpackConfig
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String|Object} The resolved path or CONTINUE without a config
+ */
+function webpackLookup(options) {
+  if (!options.webpackConfig) { return Registry.CONTINUE; }
+
+  return resolveWebpackPath(options.partial, options.filename, options.directory, options.webpackConfig, options);
+}
+
+/**
+ * Resolves partials with the module name mappers and other options of options.jestConfig
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String|Object} The resolved path or CONTINUE without a config
+ */
+function jestLookup(options) {
+  if (!options.jestConfig) { return Registry.CONTINUE; }
+
+  return resolveJestPath(options.partial, options.filename, options.directory, options.jestConfig, options);
+}
+
+/**
+ * Resolves partials with the aliases and other resolve options of options.viteConfig or options.rollupConfig
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String|Object} The resolved path or CONTINUE without a config
+ */
+function bundlerLookup(options) {
+  if (!options.viteConfig && !options.rollupConfig) { return Registry.CONTINUE; }
+
+  return resolveBundlerPath(options.partial, options.filename, options);
+}
+
+/**
+ * Resolves partials like Node does, picking the conditions of the "exports" and "imports" fields
+ * after the module type of the file
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String|Object}
+ */
+function nodeLookup(options) {
+  var type;
+
+  try {
+    type = getJSType(options);
+
+    // The configs take precedence when detecting the module type
+    if (type !== 'commonjs' && type !== 'es6') {
+      type = module.exports._getJSType({filename: options.filename, ast: options.ast, fs: options.fs});
+    }
+  } catch (e) {
+    debug('could not detect the module type of ' + options.filename + ': ' + e.message);
+    type = 'es6';
+  }
+
+  return commonJSLookup(options.partial, options.filename, options.directory, options.nodeModulesConfig, options, type);
+}
+
+/**
+ * Reuses the module type of the file if it was already determined
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String}
+ */
+function getJSType(options) {
+  var cache = options.cache;
+  var key = path.resolve(options.filename);
+  var type;
+
+  if (cache && cache.moduleTypes.hasOwnProperty(key)) {
+    type = cache.moduleTypes[key];
+  } else {
+    type = module.exports._getJSType({
+      config: options.config,
+      webpackConfig: options.webpackConfig,
+      jestConfig: options.jestConfig,
+      viteConfig: options.viteConfig,
+      rollupConfig: options.rollupConfig,
+      filename: options.filename,
+      ast: options.ast,
+      fs: options.fs
+    });
+
+    if (cache) {
+      cache.moduleTypes[key] = type;
+    }
+  }
+
+  if (options.trace) {
+    options.trace.moduleType = type;
+  }
+
+  return type;
+}
+
+/**
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {Promise<String>}
+ */
+function getJSTypeAsync(options) {
+  var cache = options.cache;
+  var key = path.resolve(options.filename);
+
+  if (cache && cache.moduleTypes.hasOwnProperty(key)) {
+    return Promise.resolve(cache.moduleTypes[key]);
+  }
+
+  return module.exports._getJSTypeAsync({
+    config: options.config,
+    webpackConfig: options.webpackConfig,
+    jestConfig: options.jestConfig,
+    viteConfig: options.viteConfig,
+    rollupConfig: options.rollupConfig,
+    filename: options.filename,
+    ast: options.ast,
+    fs: options.fs
+  })
+  .then(function(type) {
+    if (cache) {
+      cache.moduleTypes[key] = type;
+    }
+
+    return type;
+  });
+}
+
+/**
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {Promise<String>}
+ */
+function jsLookupAsync(options) {
+  var partial = options.partial;
+  var filename = options.filename;
+  var directory = options.directory;
+  var config = options.config;
+  var webpackConfig = options.webpackConfig;
+  var configPath = options.configPath;
+  var nodeModulesConfig = options.nodeModulesConfig;
+
+  return getJSTypeAsync(options)
+  .then(function(type) {
+    switch (type) {
+      case 'amd':
+        // module-lookup-amd only offers a synchronous api
+        debug('using amd resolver');
+        return resolveAMDPath(partial, filename, directory, config, configPath);
+
+      case 'webpack':
+        debug('using async webpack resolver for es6');
+        return resolveWebpackPathAsync(partial, filename, directory, webpackConfig, options);
+
+      case 'jest':
+        // Like jest-resolve, the lookup is synchronous
+        debug('using jest resolver');
+        return resolveJestPath(partial, filename, directory, options.jestConfig, options);
+
+      case 'vite':
+      case 'rollup':
+        debug('using async ' + type + ' resolver');
+        return resolveBundlerPathAsync(partial, filename, options);
+
+      case 'commonjs':
+      case 'es6':
+      default:
+        debug('using async commonjs resolver');
+        return commonJSLookupAsync(partial, filename, directory, nodeModulesConfig, options, type === 'commonjs' ? type : 'es6');
+    }
+  });
+}
+
+/**
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {String} directory
+ * @param  {String|Object} [config]
+ * @param  {String} [configPath]
+ * @return {String}
+ */
+function resolveAMDPath(partial, filename, directory, config, configPath) {
+  if (!amdLookup) {
+    amdLookup = require('module-lookup-amd');
+  }
+
+  return amdLookup({
+    config: config,
+    // Optional in case a pre-parsed config is being passed in
+    configPath: configPath,
+    partial: partial,
+    directory: directory,
+    filename: filename
+  });
+}
+
+/**
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String}
+ */
+function tsLookup(options) {
+  var partial = options.partial;
+  var filename = options.filename;
+  var directory = options.directory;
+  var nodeModulesConfig = options.nodeModulesConfig;
+
+  debug('performing a typescript lookup');
+
+  if (options.viteConfig || options.rollupConfig) {
+    debug('using the bundler config instead of the typescript compiler options');
+    return resolveBundlerPath(partial, filename, options);
+  }
+
+  // Like JavaScript files, prefer the built-in module over its typings or a package of the same name
+  var builtin = options.builtins && getBuiltin(partial);
+
+  if (builtin) {
+    debug(partial + ' is a built-in module');
+    return builtin;
+  }
+
+  var workspaceResult = resolveWorkspacePath(partial, directory, nodeModulesConfig, options);
+
+  if (workspaceResult !== null) { return workspaceResult; }
+
+  if (!ts) {
+    ts = require('typescript');
+  }
+
+  var cache = options.cache;
+  var trace = options.trace;
+
+  var compilerOptions = getTsCompilerOptions(filename, directory, options);
+
+  var host = cache && cache.tsHost;
+
+  if (!host) {
+    host = ts.createCompilerHost({});
+
+    if (cache) {
+      cache.tsHost = host;
+    }
+  }
+
+  if (options.fs) {
+    host = Object.assign(Object.create(host), getTsFileSystem(options.fs));
+  }
+
+  if (trace) {
+    host = Object.create(host);
+    host.fileExists = function(file) {
+      var exists = Object.getPrototypeOf(this).fileExists(file);
+
+      if (!exists) {
+        rejectCandidate(trace, path.resolve(file), 'does not exist');
+      }
+
+      return exists;
+    };
+  }
+
+  debug('with options: ', compilerOptions);
+  var resolvedModule = ts.resolveModuleName(partial, filename, compilerOptions, host).resolvedModule;
+  debug('ts resolved module: ', resolvedModule);
+  var result = resolvedModule ? resolvedModule.resolvedFileName : '';
+
+  debug('result: ' + result);
+  return result ? path.resolve(result) : '';
+}
+
+/**
+ * Finds the compiler options given via options.tsConfig
+ * or those of the tsconfig.json nearest to the file when options.discoverTsConfig is set
+ *
+ * @private
+ * @param  {String} filename
+ * @param  {String} directory
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object} The TypeScript compiler options
+ */
+function getTsCompilerOptions(filename, directory, options) {
+  var tsConfig = options && options.tsConfig;
+  var cache = options && options.cache;
+  var trace = options && options.trace;
+
+  if (!tsConfig && options && options.discoverTsConfig) {
+    tsConfig = findTsConfig(path.dirname(path.resolve(filename)), cache, options.fs);
+  }
+
+  if (!tsConfig) {
+    return {
+      module: ts.ModuleKind.AMD
+    };
+  }
+
+  var key = typeof tsConfig === 'string' ? path.resolve(tsConfig) : null;
+  var parsed;
+
+  if (key && cache && cache.tsConfigs.hasOwnProperty(key)) {
+    parsed = cache.tsConfigs[key];
+  } else {
+    parsed = parseTsConfig(tsConfig, directory, options && options.fs);
+
+    if (key && cache) {
+      cache.tsConfigs[key] = parsed;
+    }
+  }
+
+  if (parsed.error) {
+    debug('error parsing the tsconfig: ' + parsed.error);
+
+    if (trace) {
+      trace.configError = parsed.error;
+    }
+  }
+
+  return parsed.options;
+}
+
+/**
+ * @private
+ * @param  {String} searchPath - The directory to start looking from
+ * @param  {Cache} [cache]
+ * @param  {Object} [fileSystem] - Used instead of fs
+ * @return {String|undefined} The path to the nearest tsconfig.json
+ */
+function findTsConfig(searchPath, cache, fileSystem) {
+  if (cache && cache.tsConfigPaths.hasOwnProperty(searchPath)) {
+    return cache.tsConfigPaths[searchPath];
+  }
+
+  var tsConfigPath = ts.findConfigFile(searchPath, fileSystem ? getTsFileSystem(fileSystem).fileExists : ts.sys.fileExists);
+
+  debug('found the tsconfig for ' + searchPath + ': ' + tsConfigPath);
+
+  if (cache) {
+    cache.tsConfigPaths[searchPath] = tsConfigPath;
+  }
+
+  return tsConfigPath;
+}
+
+/**
+ * Parses a tsconfig (including the configs it extends) with the TypeScript api
+ *
+ * @private
+ * @param  {String|Object} tsConfig - The path to a tsconfig or its contents
+ * @param  {String} directory - Used to resolve the paths within a tsconfig object
+ * @param  {Object} [fileSystem] - Reads the tsconfig and the configs it extends instead of fs
+ * @return {Object} The compiler options (options) and the first error from reading or parsing the tsconfig (error)
+ */
+function parseTsConfig(tsConfig, directory, fileSystem) {
+  var configFileName;
+  var basePath = path.resolve(directory);
+  var sys = fileSystem ? Object.assign({}, ts.sys, getTsFileSystem(fileSystem)) : ts.sys;
+
+  if (typeof tsConfig === 'string') {
+    configFileName = path.resolve(tsConfig);
+    basePath = path.dirname(configFileName);
+
+    var read = ts.readConfigFile(configFileName, sys.readFile);
+
+    if (read.error) {
+      return {
+        options: {},
+        error: ts.flattenDiagnosticMessageText(read.error.messageText, '\n')
+      };
+    }
+
+    tsConfig = read.config;
+  }
+
+  // Only the compiler options are needed, so avoid globbing the project's input files
+  var parseHost = Object.assign({}, sys, {
+    readDirectory: function() { return []; }
+  });
+
+  var parsed = ts.parseJsonConfigFileContent(tsConfig, parseHost, basePath, {}, configFileName);
+
+  var errors = parsed.errors.filter(function(diagnostic) {
+    // "No inputs were found in config file"
+    return diagnostic.code !== 18003;
+  });
+
+  return {
+    options: parsed.options,
+    error: errors.length ? ts.flattenDiagnosticMessageText(errors[0].messageText, '\n') : undefined
+  };
+}
+
+/**
+ * The methods of the TypeScript compiler host (and of ts.sys) that read the file system,
+ * reading it through the given fs instead
+ *
+ * @private
+ * @param  {Object} fileSystem
+ * @return {Object}
+ */
+function getTsFileSystem(fileSystem) {
+  return {
+    fileExists: function(file) {
+      return fsUtils.isFile(file, fileSystem);
+    },
+    directoryExists: function(dir) {
+      return fsUtils.isDirectory(dir, fileSystem);
+    },
+    readFile: function(file) {
+      var contents = fsUtils.readFile(file, fileSystem);
+
+      return contents === null ? undefined : contents;
+    },
+    getDirectories: function(dir) {
+      return fsUtils.readDir(dir, fileSystem).filter(function(entry) {
+        return fsUtils.isDirectory(path.join(dir, entry), fileSystem);
+      });
+    },
+    realpath: function(file) {
+      try {
+        return fileSystem.realpathSync ? String(fileSystem.realpathSync(file)) : file;
+      } catch (e) {
+        return file;
+      }
+    }
+  };
+}
+
+/**
+ * The TypeScript module resolution host is synchronous by design,
+ * so the lookup is deferred to keep it off the caller's stack
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {Promise<String>}
+ */
+function tsLookupAsync(options) {
+  if (options.viteConfig || options.rollupConfig) {
+    return resolveBundlerPathAsync(options.partial, options.filename, options);
+  }
+
+  return new Promise(function(fulfill) {
+    setImmediate(function() {
+      fulfill(tsLookup(options));
+    });
+  });
+}
+
+/**
+ * Resolves the partials of Sass files like Dart Sass would, using the load paths and importers of options.sassOptions
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String}
+ */
+function sassLookup(options) {
+  var partial = options.partial;
+  var filename = options.filename;
+  var directory = options.directory;
+  var trace = options.trace;
+  var result = '';
+
+  try {
+    result = sass.resolve(partial, filename, directory, options.sassOptions, options.fs);
+
+    if (!result) {
+      throw new Error('Can\'t find stylesheet to import: ' + partial);
+    }
+  } catch (e) {
+    debug('could not resolve ' + partial + ': ' + e.message);
+
+    if (trace) {
+      trace.error = e.message;
+    }
+
+    result = '';
+  }
+
+  return result;
+}
+
+/**
+ * Resolves the partials of Stylus files like the Stylus compiler would, using the paths of options.stylusOptions
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @return {String|String[]} The resolved path or, for a glob like mixins/*, every matching file
+ */
+function stylusLookup(options) {
+  var partial = options.partial;
+  var filename = options.filename;
+  var directory = options.directory;
+  var trace = options.trace;
+  var stylusOptions = options.stylusOptions;
+
+  if (stylus.isGlob(partial)) {
+    var matches = stylus.resolveGlob(partial, filename, directory, stylusOptions, options.fs);
+
+    if (!matches.length && trace) {
+      trace.error = 'No files match ' + partial;
+    }
+
+    return matches;
+  }
+
+  var result = stylus.resolve(partial, filename, directory, stylusOptions, options.fs);
+
+  if (result) { return result; }
+
+  debug('could not resolve ' + partial);
+
+  if (trace) {
+    trace.error = 'Could not find ' + partial;
+  }
+
+  return '';
+}
+
+/**
+ * Resolves the partials of Less files like the Less compiler would, using the paths of options.lessOptions
+ *
+ * @private
+ * @param  {Object} options - The options given to cabinet
+ * @param  {String} options.partial - The imported path, optionally preceded by import options like (reference)
+ * @return {String}
+ */
+function lessLookup(options) {
+  var partial = options.partial;
+  var filename = options.filename;
+  var directory = options.directory;
+  var trace = options.trace;
+  var parsed = less.parseImport(partial);
+  var result = less.resolve(parsed.path, filename, directory, options.lessOptions, options.fs);
+
+  if (result) { return result; }
+
+  debug('could not resolve ' + partial);
+
+  // Less skips optional imports that don't exist
+  if (trace && parsed.options.indexOf('optional') === -1) {
+    trace.error = 'Could not find ' + parsed.path;
+  }
+
+  return '';
+}
+
+/**
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {String} directory
+ * @param  {Object} [nodeModulesConfig]
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @param  {String} [moduleType=es6] - Picks the default conditions for the "exports" and "imports" fields
+ * @return {String}
+ */
+function commonJSLookup(partial, filename, directory, nodeModulesConfig, options, moduleType) {
+  if (!resolve) {
+    resolve = require('resolve');
+  }
+
+  var trace = options && options.trace;
+  var fileSystem = options && options.fs;
+  var aliased = resolveBabelAlias(partial, filename, directory, options);
+
+  if (aliased.path) { return aliased.path; }
+
+  partial = aliased.partial;
+
+  var browser = isBrowserTarget(options);
+  // The browser field can replace built-in modules as well
+  var replacement = browser && getBrowserReplacement(prepareCommonJSLookup(partial, filename), filename, fileSystem);
+
+  if (replacement) {
+    return resolveBrowserReplacement(partial, replacement, directory, nodeModulesConfig, options);
+  }
+
+  // Like require, prefer the built-in module over a package of the same name
+  var builtin = options && options.builtins && getBuiltin(partial);
+
+  if (builtin) {
+    debug(partial + ' is a built-in module');
+    return builtin;
+  }
+
+  partial = prepareCommonJSLookup(partial, filename);
+
+  var workspaceResult = resolveWorkspacePath(partial, directory, nodeModulesConfig, options);
+
+  if (workspaceResult !== null) { return workspaceResult; }
+
+  var pnpApi = isBarePartial(partial) && getPnpApi(directory, options);
+  var pnpResult = pnpApi ? resolvePnpPath(partial, filename, pnpApi, nodeModulesConfig, trace) : null;
+
+  if (pnpResult !== null) { return pnpResult; }
+
+  var result;
+
+  try {
+    var mapped = resolvePackageFields(partial, filename, getConditions(options, moduleType), trace, fileSystem);
+
+    if (mapped.path) {
+      debug('resolved path through the package fields: ' + mapped.path);
+      return browser ? applyBrowserField(partial, mapped.path, directory, nodeModulesConfig, options) : mapped.path;
+    }
+
+    result = resolve.sync(mapped.partial, getCommonJSResolveOptions(directory, nodeModulesConfig, trace, fileSystem, browser));
+    debug('resolved path: ' + result);
+  } catch (e) {
+    debug('could not resolve ' + partial);
+
+    if (trace) {
+      trace.error = e.message;
+    }
+
+    return '';
+  }
+
+  return browser ? applyBrowserField(partial, result, directory, nodeModulesConfig, options) : result;
+}
+
+/**
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {String} directory
+ * @param  {Object} [nodeModulesConfig]
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @param  {String} [moduleType=es6] - Picks the default conditions for the "exports" and "imports" fields
+ * @return {Promise<String>}
+ */
+function commonJSLookupAsync(partial, filename, directory, nodeModulesConfig, options, moduleType) {
+  // The given fs only has to offer synchronous methods
+  if (options && options.fs) {
+    return Promise.resolve(commonJSLookup(partial, filename, directory, nodeModulesConfig, options, moduleType));
+  }
+
+  if (!resolve) {
+    resolve = require('resolve');
+  }
+
+  var aliased = resolveBabelAlias(partial, filename, directory, options);
+
+  if (aliased.path) { return Promise.resolve(aliased.path); }
+
+  partial = aliased.partial;
+
+  var browser = isBrowserTarget(options);
+  var replacement = browser && getBrowserReplacement(prepareCommonJSLookup(partial, filename), filename);
+
+  if (replacement) {
+    return Promise.resolve(resolveBrowserReplacement(partial, replacement, directory, nodeModulesConfig, options));
+  }
+
+  var builtin = options && options.builtins && getBuiltin(partial);
+
+  if (builtin) {
+    debug(partial + ' is a built-in module');
+    return Promise.resolve(builtin);
+  }
+
+  partial = prepareCommonJSLookup(partial, filename);
+
+  var workspaceResult = resolveWorkspacePath(partial, directory, nodeModulesConfig, options);
+
+  if (workspaceResult !== null) { return Promise.resolve(workspaceResult); }
+
+  var pnpApi = isBarePartial(partial) && getPnpApi(directory, options);
+  var pnpResult = pnpApi ? resolvePnpPath(partial, filename, pnpApi, nodeModulesConfig) : null;
+
+  if (pnpResult !== null) { return Promise.resolve(pnpResult); }
+
+  try {
+    var mapped = resolvePackageFields(partial, filename, getConditions(options, moduleType));
+  } catch (e) {
+    debug('could not resolve ' + partial + ': ' + e.message);
+    return Promise.resolve('');
+  }
+
+  if (mapped.path) {
+    debug('resolved path through the package fields: ' + mapped.path);
+    return Promise.resolve(browser ? applyBrowserField(partial, mapped.path, directory, nodeModulesConfig, options) : mapped.path);
+  }
+
+  return new Promise(function(fulfill) {
+    resolve(mapped.partial, getCommonJSResolveOptions(directory, nodeModulesConfig, null, null, browser), function(err, result) {
+      if (err) {
+        debug('could not resolve ' + partial);
+        return fulfill('');
+      }
+
+      debug('resolved path: ' + result);
+      fulfill(browser ? applyBrowserField(partial, result, directory, nodeModulesConfig, options) : result);
+    });
+  });
+}
+
+/**
+ * Applies the root and alias rules of babel-plugin-module-resolver found within options.babelConfig
+ * or the babel config nearest to the file when options.discoverBabelConfig is set
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {String} directory
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object} The path resolved through a root (path) or the partial with its alias applied (partial)
+ */
+function resolveBabelAlias(partial, filename, directory, options) {
+  var pluginOptions = getBabelPluginOptions(filename, directory, options);
+
+  if (!pluginOptions) {
+    return {partial: partial};
+  }
+
+  return babelModuleResolver.resolve(partial, pluginOptions, options.fs);
+}
+
+/**
+ * Loads the babel-plugin-module-resolver options of options.babelConfig
+ * or of the babel config nearest to the file when options.discoverBabelConfig is set
+ *
+ * @private
+ * @param  {String} filename
+ * @param  {String} directory
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object|null} The normalized options of the plugin or null without a config that uses it
+ */
+function getBabelPluginOptions(filename, directory, options) {
+  var babelConfig = options && options.babelConfig;
+  var cache = options && options.cache;
+
+  if (!babelConfig && options && options.discoverBabelConfig) {
+    babelConfig = findBabelConfig(path.dirname(path.resolve(filename)), cache, options.fs);
+  }
+
+  if (!babelConfig) {
+    return null;
+  }
+
+  var key = typeof babelConfig === 'string' ? path.resolve(babelConfig) : null;
+  var loaded;
+
+  if (key && cache && cache.configs.hasOwnProperty(key)) {
+    loaded = cache.configs[key];
+  } else {
+    loaded = {};
+
+    try {
+      loaded.pluginOptions = babelModuleResolver.loadPluginOptions(babelConfig, directory, options.fs);
+    } catch (e) {
+      debug('error loading the babel config at ' + babelConfig);
+      debug(e.message);
+      loaded.error = e;
+    }
+
+    if (key && cache) {
+      cache.configs[key] = loaded;
+    }
+  }
+
+  if (loaded.error) {
+    if (options.trace) {
+      options.trace.configError = loaded.error.message;
+    }
+
+    return null;
+  }
+
+  return loaded.pluginOptions || null;
+}
+
+/**
+ * @private
+ * @param  {String} searchPath - The directory to start looking from
+ * @param  {Cache} [cache]
+ * @param  {Object} [fileSystem] - Used instead of fs
+ * @return {String|null} The path to the nearest babel config
+ */
+function findBabelConfig(searchPath, cache, fileSystem) {
+  if (cache && cache.babelConfigPaths.hasOwnProperty(searchPath)) {
+    return cache.babelConfigPaths[searchPath];
+  }
+
+  var babelConfigPath = babelModuleResolver.findConfig(searchPath, fileSystem);
+
+  debug('found the babel config for ' + searchPath + ': ' + babelConfigPath);
+
+  if (cache) {
+    cache.babelConfigPaths[searchPath] = babelConfigPath;
+  }
+
+  return babelConfigPath;
+}
+
+/**
+ * @private
+ * @param  {String} partial - A partial that went through prepareCommonJSLookup
+ * @return {Boolean} Whether the partial names a package
+ */
+function isBarePartial(partial) {
+  return !path.isAbsolute(partial) && partial[0] !== '#';
+}
+
+/**
+ * Resolves a partial naming a package of the monorepo (options.workspaces) within the package's folder,
+ * preferring the entry fields given via options.workspaceEntryFields over its main
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String} directory
+ * @param  {Object} [nodeModulesConfig]
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {String|null} The resolved path or null if the partial does not name a workspace package
+ */
+function resolveWorkspacePath(partial, directory, nodeModulesConfig, options) {
+  var loadedWorkspaces = options && options.workspaces && isBarePartial(partial) && getWorkspaces(directory, options);
+  var workspacePackage = loadedWorkspaces && workspaces.findPackage(partial, loadedWorkspaces);
+
+  if (!workspacePackage) { return null; }
+
+  if (!resolve) {
+    resolve = require('resolve');
+  }
+
+  var trace = options.trace;
+  var packageJson = workspacePackage.packageJson;
+  var candidates = workspacePackage.subpath ?
+    [path.join(workspacePackage.dir, workspacePackage.subpath)] :
+    (options.workspaceEntryFields || [])
+    .filter(function(field) {
+      return typeof packageJson[field] === 'string';
+    })
+    .map(function(field) {
+      return path.resolve(workspacePackage.dir, packageJson[field]);
+    })
+    .concat(workspacePackage.dir);
+
+  for (var i = 0; i < candidates.length; i++) {
+    try {
+      var result = resolve.sync(candidates[i],
+        getCommonJSResolveOptions(workspacePackage.dir, nodeModulesConfig, trace, options.fs));
+
+      debug('resolved ' + partial + ' within the workspace package at ' + workspacePackage.dir + ': ' + result);
+      return result;
+    } catch (e) {
+      debug('could not resolve ' + candidates[i] + ': ' + e.message);
+
+      if (trace) {
+        trace.error = e.message;
+      }
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Finds the packages of the monorepo rooted at options.workspaces
+ * or, when it's true, of the monorepo containing the directory
+ *
+ * @private
+ * @param  {String} directory
+ * @param  {Object} options - All of the options given to cabinet
+ * @return {Object|null} The loaded workspaces or null if there's no monorepo
+ */
+function getWorkspaces(directory, options) {
+  var cache = options.cache;
+  var root = options.workspaces;
+
+  if (root === true) {
+    var searchPath = path.resolve(directory);
+
+    if (cache && cache.workspaceRoots.hasOwnProperty(searchPath)) {
+      root = cache.workspaceRoots[searchPath];
+    } else {
+      root = workspaces.findRoot(searchPath, options.fs);
+
+      debug('found the workspace root for ' + searchPath + ': ' + root);
+
+      if (cache) {
+        cache.workspaceRoots[searchPath] = root;
+      }
+    }
+  }
+
+  if (!root) { return null; }
+
+  root = path.resolve(root);
+
+  if (cache && cache.workspaces.hasOwnProperty(root)) {
+    return cache.workspaces[root];
+  }
+
+  var loadedWorkspaces = workspaces.load(root, options.fs);
+
+  if (cache) {
+    cache.workspaces[root] = loadedWorkspaces;
+  }
+
+  return loadedWorkspaces;
+}
+
+/**
+ * Finds the Yarn Plug'n'Play manifest of the project and reads its package locator data
+ *
+ * @private
+ * @param  {String} directory
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object|null} The PnP api or null if the project does not use Plug'n'Play
+ */
+function getPnpApi(directory, options) {
+  var cache = options && options.cache;
+  var searchPath = path.resolve(directory);
+  var manifestPath;
+
+  if (cache && cache.pnpManifestPaths.hasOwnProperty(searchPath)) {
+    manifestPath = cache.pnpManifestPaths[searchPath];
+  } else {
+    manifestPath = pnp.findManifest(searchPath, options && options.fs);
+
+    debug('found the pnp manifest for ' + searchPath + ': ' + manifestPath);
+
+    if (cache) {
+      cache.pnpManifestPaths[searchPath] = manifestPath;
+    }
+  }
+
+  if (!manifestPath) { return null; }
+
+  var loaded = getLoadedConfig(manifestPath, options, function() {
+    return pnp.load(manifestPath, options && options.fs);
+  }, function(pnpApi) {
+    return pnpApi;
+  });
+
+  return readLoadedConfig(loaded, 'The PnP manifest at ' + manifestPath, options);
+}
+
+/**
+ * Resolves a bare partial within the package that the manifest locates for it,
+ * which can be within one of the zip archives of Yarn's cache
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {Object} pnpApi
+ * @param  {Object} [nodeModulesConfig]
+ * @param  {Object} [trace]
+ * @return {String|null} The resolved path or null if the file is not part of the project
+ */
+function resolvePnpPath(partial, filename, pnpApi, nodeModulesConfig, trace) {
+  var result = '';
+
+  try {
+    var unqualified = pnpApi.resolveToUnqualified(partial, path.resolve(filename));
+
+    if (unqualified === null) { return null; }
+
+    result = resolve.sync(unqualified, getCommonJSResolveOptions(path.dirname(unqualified), nodeModulesConfig, trace, pnpApi.fs));
+    debug('resolved path through the pnp manifest: ' + result);
+  } catch (e) {
+    debug('could not resolve ' + partial + ' through the pnp manifest: ' + e.message);
+
+    if (trace) {
+      trace.error = e.message;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resolves the partial through the "imports" field of its package or the "exports" field of the package it names
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {String[]} conditions
+ * @param  {Object} [trace]
+ * @param  {Object} [fileSystem] - Used instead of fs
+ * @return {Object} The resolved path (path) or the partial to resolve without the package fields (partial)
+ * @throws {Error} If a package field does not define the partial or points to a missing file
+ */
+function resolvePackageFields(partial, filename, conditions, trace, fileSystem) {
+  var resolved;
+
+  if (partial[0] === '#') {
+    partial = packageExports.resolveImports(partial, filename, conditions, fileSystem);
+
+    // Private imports can map to other packages
+    if (path.isAbsolute(partial)) {
+      resolved = partial;
+    }
+  }
+
+  if (!resolved && !isRelative(partial) && !path.isAbsolute(partial)) {
+    resolved = packageExports.resolveExports(partial, filename, conditions, fileSystem);
+  }
+
+  if (!resolved) {
+    return {partial: partial};
+  }
+
+  if (!fsUtils.stat(resolved, fileSystem)) {
+    rejectCandidate(trace, resolved, 'does not exist');
+
+    var error = new Error('Cannot find module \'' + partial + '\': ' + resolved + ' does not exist');
+    error.code = 'MODULE_NOT_FOUND';
+    throw error;
+  }
+
+  return {path: resolved};
+}
+
+/**
+ * Recognizes the built-in modules of Node with or without the node: prefix
+ *
+ * @private
+ * @param  {String} partial
+ * @return {Object|null} The built-in module as {builtin: true, name} or null if the partial is not one
+ */
+function getBuiltin(partial) {
+  var name = partial.indexOf('node:') === 0 ? partial.slice('node:'.length) : partial;
+  var isBuiltin;
+
+  if (Module.isBuiltin) {
+    isBuiltin = Module.isBuiltin(partial);
+  } else {
+    isBuiltin = (Module.builtinModules || Object.keys(process.binding('natives'))).indexOf(name) !== -1;
+  }
+
+  if (!isBuiltin) { return null; }
+
+  return {
+    builtin: true,
+    name: name
+  };
+}
+
+/**
+ * @private
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @param  {String} [moduleType=es6]
+ * @return {String[]}
+ */
+function getConditions(options, moduleType) {
+  if (options && options.conditions) {
+    return options.conditions;
+  }
+
+  var conditions = isBrowserTarget(options) ? browserConditions : defaultConditions;
+
+  return conditions[moduleType] || conditions.es6;
+}
+
+/**
+ * @private
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Boolean}
+ */
+function isBrowserTarget(options) {
+  return Boolean(options && options.target === 'browser');
+}
+
+/**
+ * Looks up the module or file that the partial requires within the browser field of the file's package
+ *
+ * @private
+ * @param  {String} partial - A bare specifier or an absolute path
+ * @param  {String} filename
+ * @param  {Object} [fileSystem] - Used instead of fs
+ * @return {Object|null} The replacement given by the browser field or null if it doesn't map the partial
+ */
+function getBrowserReplacement(partial, filename, fileSystem) {
+  if (partial[0] === '#') { return null; }
+
+  return path.isAbsolute(partial) ?
+    browserField.mapFile(partial, jsExtensions, fileSystem) :
+    browserField.mapModule(partial, filename, fileSystem);
+}
+
+/**
+ * Replaces the resolved file with the one given by the browser field of its package
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String} file
+ * @param  {String} directory
+ * @param  {Object} [nodeModulesConfig]
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {String|Object}
+ */
+function applyBrowserField(partial, file, directory, nodeModulesConfig, options) {
+  var replacement = browserField.mapFile(file, jsExtensions, options && options.fs);
+
+  return replacement ? resolveBrowserReplacement(partial, replacement, directory, nodeModulesConfig, options) : file;
+}
+
+/**
+ * @private
+ * @param  {String} partial
+ * @param  {Object} replacement - Either {empty: true} or the request to resolve from the folder of its package
+ * @param  {String} directory
+ * @param  {Object} [nodeModulesConfig]
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {String|Object} The resolved replacement or, for modules mapped to false, {empty: true, name}
+ */
+function resolveBrowserReplacement(partial, replacement, directory, nodeModulesConfig, options) {
+  var trace = options && options.trace;
+
+  if (replacement.empty) {
+    debug(partial + ' is mapped to an empty module by the browser field');
+
+    return {
+      empty: true,
+      name: partial
+    };
+  }
+
+  var resolveOptions = Object.assign(getCommonJSResolveOptions(directory, nodeModulesConfig, trace, options && options.fs, true), {
+    basedir: replacement.dir
+  });
+
+  try {
+    var result = resolve.sync(replacement.request, resolveOptions);
+
+    debug('resolved ' + partial + ' through the browser field: ' + result);
+    return result;
+  } catch (e) {
+    debug('could not resolve the browser replacement of ' + partial + ': ' + e.message);
+
+    if (trace) {
+      trace.error = e.message;
+    }
+
+    return '';
+  }
+}
+
+/**
+ * Makes the partial relative to the filename's context
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @return {String} The partial to hand to the resolver
+ */
+function prepareCommonJSLookup(partial, filename) {
+  // Make sure the partial is being resolved to the filename's context
+  // 3rd party modules will not be relative
+  if (partial[0] === '.') {
+    partial = path.resolve(path.dirname(filename), partial);
+  }
+
+  return partial;
+}
+
+/**
+ * @private
+ * @param  {String} directory
+ * @param  {Object} [nodeModulesConfig]
+ * @param  {Object} [trace] - Collects the files that were tried
+ * @param  {Object} [fileSystem] - Reads the files instead of fs
+ * @param  {Boolean} [browser] - Whether the browser field of packages replaces their main entry
+ * @return {Object} Options for the resolve module
+ */
+function getCommonJSResolveOptions(directory, nodeModulesConfig, trace, fileSystem, browser) {
+  var entry = nodeModulesConfig && nodeModulesConfig.entry;
+
+  // Allows us to configure what is used as the "main" entry point
+  function packageFilter(packageJson) {
+    var main = browser && browserField.getEntry(packageJson) || packageJson.main;
+
+    packageJson.main = entry && packageJson[entry] ? packageJson[entry] : main;
+    return packageJson;
+  }
+
+  return {
+    extensions: jsExtensions,
+    basedir: directory,
+    // Need to resolve partials within the directory of the module, not filing-cabinet.
+    // Only the resolver is told about it: the require paths of the process are left alone
+    paths: [path.join(directory, 'node_modules')],
+    packageFilter: entry || browser ? packageFilter : undefined,
+    // Add fileDir to resolve index.js files in that dir
+    moduleDirectory: ['node_modules', directory],
+    isFile: trace || fileSystem ? isFile : undefined,
+    isDirectory: fileSystem ? function(dir) { return fsUtils.isDirectory(dir, fileSystem); } : undefined,
+    readFileSync: fileSystem ? function(file, encoding) { return fileSystem.readFileSync(file, encoding); } : undefined
+  };
+
+  function isFile(file) {
+    var stat = fsUtils.stat(file, fileSystem);
+    // resolve also looks for the package.json of each folder, which is not a candidate for the partial
+    var candidateTrace = path.basename(file) === 'package.json' ? null : trace;
+
+    if (!stat) {
+      rejectCandidate(candidateTrace, file, 'does not exist');
+      return false;
+    }
+
+    if (!stat.isFile() && !stat.isFIFO()) {
+      rejectCandidate(candidateTrace, file, 'is not a file');
+      return false;
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Resolves the partial the way jest-resolve does: through the moduleNameMapper first
+ * and then like Node with the moduleDirectories, modulePaths and roots of the config
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {String} directory
+ * @param  {String|Object} jestConfig
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {String}
+ */
+function resolveJestPath(partial, filename, directory, jestConfig, options) {
+  if (!resolve) {
+    resolve = require('resolve');
+  }
+
+  var trace = options && options.trace;
+  var loadedConfig = getJestConfig(jestConfig, directory, options);
+
+  if (!loadedConfig) { return ''; }
+
+  var mappedNames = jestConfigs.mapModuleName(partial, loadedConfig);
+
+  // Mapped modules take precedence over built-in ones
+  var builtin = !mappedNames && options && options.builtins && getBuiltin(partial);
+
+  if (builtin) {
+    debug(partial + ' is a built-in module');
+    return builtin;
+  }
+
+  // Jest looks for modules from the directory of the file rather than the given directory
+  var resolveOptions = Object.assign(getCommonJSResolveOptions(path.dirname(path.resolve(filename)), null, trace,
+    options && options.fs), {
+    extensions: loadedConfig.extensions,
+    moduleDirectory: loadedConfig.moduleDirectories,
+    paths: loadedConfig.modulePaths.concat(loadedConfig.roots)
+  });
+
+  var names = mappedNames || [partial];
+
+  for (var i = 0; i < names.length; i++) {
+    try {
+      var result = resolve.sync(names[i], resolveOptions);
+
+      debug('resolved path: ' + result);
+      return result;
+    } catch (e) {
+      debug('could not resolve ' + names[i]);
+    }
+  }
+
+  if (trace) {
+    trace.error = mappedNames ?
+      'Could not locate module ' + partial + ' mapped as: ' + mappedNames.join(', ') :
+      'Cannot find module \'' + partial + '\' from ' + filename;
+  }
+
+  return '';
+}
+
+/**
+ * Reuses the loaded Jest config if there is one
+ *
+ * @private
+ * @param  {String|Object} jestConfig
+ * @param  {String} directory
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object|null} The loaded config or null if it could not be loaded
+ */
+function getJestConfig(jestConfig, directory, options) {
+  var cache = options && options.cache;
+  var key = typeof jestConfig === 'string' ? path.resolve(jestConfig) : null;
+  var loaded;
+
+  if (key && cache && cache.configs.hasOwnProperty(key)) {
+    loaded = cache.configs[key];
+  } else {
+    loaded = {};
+
+    try {
+      loaded.jestConfig = jestConfigs.load(jestConfig, directory, options && options.fs);
+    } catch (e) {
+      debug('error loading the jest config at ' + jestConfig);
+      debug(e.message);
+      loaded.error = e;
+    }
+
+    if (key && cache) {
+      cache.configs[key] = loaded;
+    }
+  }
+
+  if (loaded.error) {
+    if (options && options.trace) {
+      options.trace.configError = loaded.error.message;
+    }
+
+    return null;
+  }
+
+  return loaded.jestConfig;
+}
+
+/**
+ * Resolves the partial with the aliases and resolve options of options.viteConfig or options.rollupConfig
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {Object} options - All of the options given to cabinet
+ * @return {String}
+ */
+function resolveBundlerPath(partial, filename, options) {
+  return resolveWithBundlerConfig(partial, filename, readBundlerConfig(options), options);
+}
+
+/**
+ * @private
+ * @param  {Object} options - All of the options given to cabinet
+ * @return {Object|null} The translated config or null if it could not be loaded
+ */
+function readBundlerConfig(options) {
+  var bundler = getBundlerConfig(options);
+  var description = 'The ' + bundler.kind + ' config' + (typeof bundler.config === 'string' ? ' at ' + bundler.config : '');
+
+  return readLoadedConfig(getLoadedBundlerConfig(bundler, options), description, options);
+}
+
+/**
+ * Like resolveBundlerPath but also supports configs that are ES modules or resolve asynchronously
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {Object} options - All of the options given to cabinet
+ * @return {Promise<String>}
+ */
+function resolveBundlerPathAsync(partial, filename, options) {
+  return readLoadedConfigAsync(getLoadedBundlerConfig(getBundlerConfig(options), options), options)
+  .then(function(bundlerConfig) {
+    return resolveWithBundlerConfig(partial, filename, bundlerConfig, options);
+  });
+}
+
+/**
+ * @private
+ * @param  {Object} options - All of the options given to cabinet
+ * @return {Object} The kind of bundler (vite or rollup) and the given config
+ */
+function getBundlerConfig(options) {
+  return options.viteConfig ?
+    {kind: 'vite', config: options.viteConfig} :
+    {kind: 'rollup', config: options.rollupConfig};
+}
+
+/**
+ * @private
+ * @param  {Object} bundler - See getBundlerConfig
+ * @param  {Object} options - All of the options given to cabinet
+ * @return {Object} See getLoadedConfig
+ */
+function getLoadedBundlerConfig(bundler, options) {
+  var configDir = typeof bundler.config === 'string' ?
+    path.dirname(path.resolve(bundler.config)) :
+    path.resolve(options.directory);
+
+  return getLoadedConfig(bundler.config, options, function() {
+    return viteConfigs.load(bundler.config, bundler.kind);
+  }, function(loadedConfig) {
+    return viteConfigs.translate(loadedConfig, bundler.kind, configDir);
+  });
+}
+
+/**
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {Object|null} bundlerConfig - The translated config or null if it could not be loaded
+ * @param  {Object} options - All of the options given to cabinet
+ * @return {String}
+ */
+function resolveWithBundlerConfig(partial, filename, bundlerConfig, options) {
+  var builtin = options.builtins && getBuiltin(partial);
+
+  if (!bundlerConfig) { return builtin || ''; }
+
+  partial = viteConfigs.applyAlias(partial, filename, bundlerConfig, options.trace);
+
+  var resolver = getBundlerResolver(bundlerConfig, filename, options);
+  var resolveContext = createWebpackResolveContext(options);
+
+  try {
+    var result = resolver(path.dirname(path.resolve(filename)), partial, resolveContext);
+
+    debug('resolved path: ' + result);
+    return result || '';
+  } catch (e) {
+    debug('could not resolve ' + partial);
+
+    if (builtin) { return builtin; }
+
+    traceWebpackError(options.trace, e, resolveContext);
+    return '';
+  }
+}
+
+/**
+ * Creates the enhanced-resolve resolver for the config once per kind of file (and file system).
+ * Like the TypeScript compiler, imports of .js files within TypeScript files can refer to .ts files.
+ *
+ * @private
+ * @param  {Object} bundlerConfig - The translated config
+ * @param  {String} filename
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Function}
+ */
+function getBundlerResolver(bundlerConfig, filename, options) {
+  var isTypeScript = /\.[mc]?tsx?$/.test(filename);
+  var kind = isTypeScript ? 'ts' : 'js';
+  var fileSystem = options && options.fs;
+
+  if (fileSystem) {
+    // Only a cache tells the file systems apart
+    if (!options.cache) { return createBundlerResolver(bundlerConfig, isTypeScript, options); }
+
+    kind += ' ' + options.cache.identify(fileSystem);
+  }
+
+  bundlerConfig.resolvers = bundlerConfig.resolvers || {};
+
+  if (!bundlerConfig.resolvers[kind]) {
+    bundlerConfig.resolvers[kind] = createBundlerResolver(bundlerConfig, isTypeScript, options);
+  }
+
+  return bundlerConfig.resolvers[kind];
+}
+
+/**
+ * @private
+ * @param  {Object} bundlerConfig - The translated config
+ * @param  {Boolean} isTypeScript - Whether the resolver is for TypeScript files
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Function}
+ */
+function createBundlerResolver(bundlerConfig, isTypeScript, options) {
+  if (!webpackResolve) {
+    webpackResolve = require('enhanced-resolve');
+  }
+
+  return webpackResolve.create.sync(withFileSystem({
+    extensions: bundlerConfig.extensions,
+    mainFields: bundlerConfig.mainFields,
+    conditionNames: bundlerConfig.conditions,
+    exportsFields: ['exports'],
+    // Partials starting with / are relative to the project's root
+    roots: [bundlerConfig.root],
+    extensionAlias: isTypeScript ? {
+      '.js': ['.ts', '.tsx', '.js', '.jsx'],
+      '.mjs': ['.mts', '.mjs'],
+      '.cjs': ['.cts', '.cjs']
+    } : {}
+  }, options));
+}
+
+/**
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {String} directory
+ * @param  {String} webpackConfig
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {String}
+ */
+function resolveWebpackPath(partial, filename, directory, webpackConfig, options) {
+  var resolveConfigs = getWebpackResolveConfigs(webpackConfig, options);
+  var request = parseWebpackRequest(partial);
+  var resolver = resolveConfigs && getWebpackResolver(webpackConfig, resolveConfigs.resolve, filename, directory, options);
+
+  // We don't care about what the loader resolves the partial to
+  // we only wnat the path of the resolved file
+  partial = request.resource;
+
+  if (!resolver) {
+    return getWebpackBuiltin(partial, options) ||
+      describeWebpackRequest(request, '', webpackConfig, resolveConfigs, directory, options);
+  }
+
+  var resolveContext = createWebpackResolveContext(options);
+  var result;
+
+  try {
+    var lookupPath = isRelative(partial) ? path.dirname(filename) : directory;
+
+    result = getWebpackResult(partial, resolver(lookupPath, partial, resolveContext));
+  } catch (e) {
+    debug('error when resolving ' + partial);
+    debug(e.message);
+    debug(e.stack);
+
+    var builtin = getWebpackBuiltin(partial, options);
+
+    if (builtin) { return builtin; }
+
+    traceWebpackError(options && options.trace, e, resolveContext);
+    result = '';
+  }
+
+  return describeWebpackRequest(request, result, webpackConfig, resolveConfigs, directory, options);
+}
+
+/**
+ * Splits a request into its loaders, the resource and the resource query the way webpack does
+ *
+ * @example
+ * '-!style-loader!css-loader?modules!./styles.css?inline'
+ *
+ * @private
+ * @param  {String} partial
+ * @return {Object} The prefix (one of '', '!', '-!' or '!!' which disable the configured loaders),
+ * the inline loaders with their name and query, the resource and its query
+ */
+function parseWebpackRequest(partial) {
+  var prefix = (/^(-!|!!|!)/.exec(partial) || [''])[0];
+  var elements = partial.slice(prefix.length).split('!');
+  var resource = splitQuery(elements.pop());
+
+  return {
+    prefix: prefix,
+    loaders: elements.filter(Boolean).map(function(loader) {
+      loader = splitQuery(loader);
+
+      return {
+        name: loader.path,
+        query: loader.query
+      };
+    }),
+    resource: resource.path,
+    query: resource.query
+  };
+}
+
+/**
+ * @private
+ * @param  {String} request
+ * @return {Object} The request without its query (path) and the query, including the ? (query)
+ */
+function splitQuery(request) {
+  // The first character can't start the query or fragment so that a partial like #internal is kept as-is
+  var match = /^(.[^?#]*)(\?[^#]*)?/.exec(request);
+
+  return {
+    path: match ? match[1] : request,
+    query: (match && match[2]) || ''
+  };
+}
+
+/**
+ * Reports the loaders of the partial along with the resolved resource when options.loaders is set
+ *
+ * @private
+ * @param  {Object} request - The parsed partial
+ * @param  {String|Object} result - The resolved resource or, for an empty module, its description
+ * @param  {String} webpackConfig
+ * @param  {Object|null} resolveConfigs - The resolve configs of the webpack config
+ * @param  {String} directory
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {String|Object}
+ */
+function describeWebpackRequest(request, result, webpackConfig, resolveConfigs, directory, options) {
+  // Empty modules aren't loaded
+  if (!options || !options.loaders || typeof result !== 'string') { return result; }
+
+  var loaderResolver = resolveConfigs && getWebpackLoaderResolver(webpackConfig, resolveConfigs.resolveLoader, directory, options);
+
+  return {
+    path: result,
+    query: request.query,
+    prefix: request.prefix,
+    loaders: request.loaders.map(function(loader) {
+      return {
+        name: loader.name,
+        query: loader.query,
+        path: loaderResolver ? resolveWebpackLoader(loaderResolver, loader.name, directory) : ''
+      };
+    })
+  };
+}
+
+/**
+ * @private
+ * @param  {Function} loaderResolver
+ * @param  {String} loader - The name of the loader
+ * @param  {String} directory
+ * @return {String}
+ */
+function resolveWebpackLoader(loaderResolver, loader, directory) {
+  try {
+    return loaderResolver(directory, loader) || '';
+  } catch (e) {
+    debug('error when resolving the loader ' + loader);
+    debug(e.message);
+    return '';
+  }
+}
+
+/**
+ * Webpack bundles a package (like a polyfill) named after a built-in module when there is one,
+ * so the built-in module is only used when the partial does not resolve
+ *
+ * @private
+ * @param  {String} partial - The partial without loaders
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object|null}
+ */
+function getWebpackBuiltin(partial, options) {
+  var builtin = options && options.builtins && getBuiltin(partial);
+
+  if (builtin) {
+    debug(partial + ' is a built-in module');
+  }
+
+  return builtin || null;
+}
+
+/**
+ * Collects the paths that enhanced-resolve tried when explaining a lookup
+ *
+ * @private
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object|undefined}
+ */
+function createWebpackResolveContext(options) {
+  if (!options || !options.trace) { return; }
+
+  return {
+    missingDependencies: new Set()
+  };
+}
+
+/**
+ * Partials that the config maps to false (like an alias: {fs: false}) are bundled as an empty module
+ * and don't have a path. Like the modules mapped to false by the browser field, they're reported as {empty: true, name}.
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String|false} result - The result from enhanced-resolve
+ * @return {String|Object}
+ */
+function getWebpackResult(partial, result) {
+  if (result !== false) { return result || ''; }
+
+  debug(partial + ' is mapped to an empty module by the webpack config');
+
+  return {
+    empty: true,
+    name: partial
+  };
+}
+
+/**
+ * @private
+ * @param  {Object} [trace]
+ * @param  {Error} error - The resolution error from enhanced-resolve
+ * @param  {Object} [resolveContext]
+ */
+function traceWebpackError(trace, error, resolveContext) {
+  if (!trace) { return; }
+
+  trace.error = error.message;
+
+  (resolveContext ? Array.from(resolveContext.missingDependencies) : []).forEach(function(candidate) {
+    rejectCandidate(trace, candidate, 'does not exist');
+  });
+}
+
+/**
+ * @private
+ * @param  {String} webpackConfig
+ * @param  {Object} resolveConfig - The resolve config of the webpack config
+ * @param  {String} filename - The file containing the partial
+ * @param  {String} directory
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Function|null} The synchronous enhanced-resolve resolver or null if it could not be created
+ */
+function getWebpackResolver(webpackConfig, resolveConfig, filename, directory, options) {
+  var category = getWebpackDependencyCategory(resolveConfig, filename, options);
+
+  return getCachedWebpackResolver(webpackConfig, category,
+    withPnpApi(getWebpackDependencyResolveConfig(resolveConfig, category), directory, options), options);
+}
+
+/**
+ * @private
+ * @param  {String} webpackConfig
+ * @param  {Object} resolveLoaderConfig - The resolveLoader config of the webpack config
+ * @param  {String} directory
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Function|null} The synchronous enhanced-resolve resolver for loaders
+ */
+function getWebpackLoaderResolver(webpackConfig, resolveLoaderConfig, directory, options) {
+  return getCachedWebpackResolver(webpackConfig, 'resolveLoader', withPnpApi(resolveLoaderConfig, directory, options), options);
+}
+
+/**
+ * Has enhanced-resolve look up packages through the Yarn Plug'n'Play manifest of the project (if it has one)
+ * and read the zip archives of Yarn's cache, or else read the files through options.fs
+ *
+ * @private
+ * @param  {Object} resolveConfig - The config for enhanced-resolve
+ * @param  {String} directory
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object}
+ */
+function withPnpApi(resolveConfig, directory, options) {
+  var pnpApi = getPnpApi(directory, options);
+
+  if (pnpApi) {
+    return Object.assign({}, resolveConfig, {
+      pnpApi: pnpApi,
+      fileSystem: pnpApi.fs
+    });
+  }
+
+  return withFileSystem(resolveConfig, options);
+}
+
+/**
+ * @private
+ * @param  {Object} resolveConfig - The config for enhanced-resolve
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object}
+ */
+function withFileSystem(resolveConfig, options) {
+  if (!options || !options.fs) { return resolveConfig; }
+
+  return Object.assign({}, resolveConfig, {
+    fileSystem: options.fs,
+    // The given fs only has to offer synchronous methods
+    useSyncFileSystemCalls: true
+  });
+}
+
+/**
+ * Reuses the resolver created for the webpack config if there is one
+ *
+ * @private
+ * @param  {String} webpackConfig
+ * @param  {String} name - What the resolver is for within the webpack config (a dependency category or resolveLoader)
+ * @param  {Object} resolveConfig - The config for enhanced-resolve
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @param  {Boolean} [isAsync] - Whether the resolver should take a callback
+ * @return {Function|null} The enhanced-resolve resolver or null if it could not be created
+ */
+function getCachedWebpackResolver(webpackConfig, name, resolveConfig, options, isAsync) {
+  var cache = options && options.cache;
+  var key = path.resolve(webpackConfig);
+  var variant = cache && getWebpackResolverVariant(resolveConfig, options);
+  var resolvers = cache && cache.webpackResolvers[key] && cache.webpackResolvers[key][variant];
+
+  // The async resolvers are held next to the synchronous ones
+  if (isAsync) {
+    name = 'async ' + name;
+  }
+
+  if (resolvers && resolvers.hasOwnProperty(name)) {
+    return resolvers[name];
+  }
+
+  if (!webpackResolve) {
+    webpackResolve = require('enhanced-resolve');
+  }
+
+  var resolver = null;
+
+  try {
+    resolver = isAsync ? webpackResolve.create(resolveConfig) : webpackResolve.create.sync(resolveConfig);
+  } catch (e) {
+    debug('error creating a resolver from the webpack config at ' + webpackConfig);
+    debug(e.message);
+
+    if (options && options.trace) {
+      options.trace.configError = e.message;
+    }
+  }
+
+  if (cache) {
+    cache.webpackResolvers[key] = cache.webpackResolvers[key] || {};
+    cache.webpackResolvers[key][variant] = resolvers || {};
+    cache.webpackResolvers[key][variant][name] = resolver;
+  }
+
+  return resolver;
+}
+
+/**
+ * @private
+ * @param  {Object} resolveConfig - The config for enhanced-resolve
+ * @param  {Object} options - All of the options given to cabinet, including the cache
+ * @return {String} What sets apart the resolvers created from the same webpack config:
+ * the compiler picked from it, the file system and the PnP manifest
+ */
+function getWebpackResolverVariant(resolveConfig, options) {
+  return [
+    getWebpackConfigVariant(options),
+    resolveConfig.fileSystem ? options.cache.identify(resolveConfig.fileSystem) : '',
+    resolveConfig.pnpApi ? options.cache.identify(resolveConfig.pnpApi) : ''
+  ].join(' ');
+}
+
+/**
+ * @private
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {String} What sets apart the configs loaded from the same webpack config
+ */
+function getWebpackConfigVariant(options) {
+  return JSON.stringify([(options && options.webpackEnv) || null, (options && options.webpackConfigName) || null]);
+}
+
+/**
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {String} directory
+ * @param  {String} webpackConfig
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Promise<String>}
+ */
+function resolveWebpackPathAsync(partial, filename, directory, webpackConfig, options) {
+  if (!webpackResolve) {
+    webpackResolve = require('enhanced-resolve');
+  }
+
+  var request = parseWebpackRequest(partial);
+
+  partial = request.resource;
+
+  return getWebpackResolveConfigsAsync(webpackConfig, options)
+  .then(function(resolveConfigs) {
+    if (!resolveConfigs) {
+      return getWebpackBuiltin(partial, options) ||
+        describeWebpackRequest(request, '', webpackConfig, resolveConfigs, directory, options);
+    }
+
+    var resolveConfig = resolveConfigs.resolve;
+    var category = getWebpackDependencyCategory(resolveConfig, filename, options);
+    var resolver = getCachedWebpackResolver(webpackConfig, category,
+      withPnpApi(getWebpackDependencyResolveConfig(resolveConfig, category), directory, options), options, true);
+
+    if (!resolver) {
+      return getWebpackBuiltin(partial, options) ||
+        describeWebpackRequest(request, '', webpackConfig, resolveConfigs, directory, options);
+    }
+
+    var resolveContext = createWebpackResolveContext(options) || {};
+
+    var lookupPath = isRelative(partial) ? path.dirname(filename) : directory;
+
+    return new Promise(function(fulfill) {
+      resolver(lookupPath, partial, resolveContext, function(err, result) {
+        if (err) {
+          debug('error when resolving ' + partial);
+          debug(err.message);
+
+          var builtin = getWebpackBuiltin(partial, options);
+
+          if (builtin) { return fulfill(builtin); }
+
+          result = '';
+        }
+
+        fulfill(describeWebpackRequest(request, getWebpackResult(partial, result),
+          webpackConfig, resolveConfigs, directory, options));
+      });
+    });
+  });
+}
+
+/**
+ * Reuses the loaded webpack config if there is one
+ *
+ * @private
+ * @param  {String} webpackConfig
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object|null} The resolve and resolveLoader configs or null if the webpack config could not be loaded
+ */
+function getWebpackResolveConfigs(webpackConfig, options) {
+  return readLoadedConfig(getLoadedWebpackConfig(webpackConfig, options), 'The webpack config at ' + webpackConfig, options);
+}
+
+/**
+ * Like getWebpackResolveConfigs but also waits for configs that are (or return) a promise
+ *
+ * @private
+ * @param  {String} webpackConfig
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Promise<Object|null>}
+ */
+function getWebpackResolveConfigsAsync(webpackConfig, options) {
+  return readLoadedConfigAsync(getLoadedWebpackConfig(webpackConfig, options), options);
+}
+
+/**
+ * @private
+ * @param  {String} webpackConfig
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object} See getLoadedConfig
+ */
+function getLoadedWebpackConfig(webpackConfig, options) {
+  return getLoadedConfig(webpackConfig, options, function() {
+    return loadWebpackConfig(webpackConfig, options);
+  }, function(loadedConfig) {
+    return getWebpackResolveSections(loadedConfig, webpackConfig, options);
+  }, getWebpackConfigVariant(options));
+}
+
+/**
+ * Loads a config once per cache
+ *
+ * The loaded config holds either what the config translates to (value), the error from loading it (error)
+ * or, while a promise returned by the config is pending, a promise of itself (pending)
+ *
+ * @private
+ * @param  {String|Object} config - The path to the config (which is the key within the cache) or its contents
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @param  {Function} load - Returns the config or a promise for it and throws if it could not be loaded
+ * @param  {Function} translate - Turns the config into what the resolver needs and throws if it's invalid
+ * @param  {String} [variant] - Sets apart the configs that load and translate differently from the same path
+ * @return {Object}
+ */
+function getLoadedConfig(config, options, load, translate, variant) {
+  var cache = options && options.cache;
+  var key = typeof config === 'string' ? path.resolve(config) : null;
+  var variants = key && cache && cache.configs[key];
+
+  variant = variant || '';
+
+  if (variants && variants.hasOwnProperty(variant)) {
+    return variants[variant];
+  }
+
+  var loaded = {};
+
+  function onError(e) {
+    debug('error loading the config at ' + config);
+    debug(e.message);
+    debug(e.stack);
+    loaded.error = e;
+  }
+
+  try {
+    var loadedConfig = load();
+
+    if (loadedConfig && typeof loadedConfig.then === 'function') {
+      loaded.pending = Promise.resolve(loadedConfig)
+      .then(function(resolvedConfig) {
+        loaded.value = translate(resolvedConfig);
+      })
+      .catch(onError)
+      .then(function() {
+        delete loaded.pending;
+        return loaded;
+      });
+    } else {
+      loaded.value = translate(loadedConfig);
+    }
+  } catch (e) {
+    onError(e);
+  }
+
+  if (key && cache) {
+    cache.configs[key] = variants || {};
+    cache.configs[key][variant] = loaded;
+  }
+
+  return loaded;
+}
+
+/**
+ * @private
+ * @param  {Object} loaded - See getLoadedConfig
+ * @param  {String} description - Names the config within errors
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {*} What the config translates to or null if it could not be loaded
+ */
+function readLoadedConfig(loaded, description, options) {
+  if (loaded.pending) {
+    return rejectConfig(new Error(description + ' resolves asynchronously and can only be used with cabinet.async'), options);
+  }
+
+  return loaded.error ? rejectConfig(loaded.error, options) : loaded.value;
+}
+
+/**
+ * Like readLoadedConfig but also waits for configs that are (or return) a promise
+ *
+ * @private
+ * @param  {Object} loaded - See getLoadedConfig
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Promise}
+ */
+function readLoadedConfigAsync(loaded, options) {
+  return Promise.resolve(loaded.pending || loaded)
+  .then(function(loaded) {
+    return loaded.error ? rejectConfig(loaded.error, options) : loaded.value;
+  });
+}
+
+/**
+ * @private
+ * @param  {Error} error
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {null}
+ */
+function rejectConfig(error, options) {
+  if (options && options.trace) {
+    options.trace.configError = error.message;
+  }
+
+  return null;
+}
+
+/**
+ * Loads the webpack config the way the webpack CLI does: configs exporting a function
+ * are called with the env (options.webpackEnv) and the argv
+ *
+ * @private
+ * @param  {String} webpackConfig - Path to the webpack config
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object|Object[]|Promise} The config, an array of configs (for multiple compilers) or a promise of either
+ * @throws {Error} If the webpack config could not be loaded
+ */
+function loadWebpackConfig(webpackConfig, options) {
+  var env = (options && options.webpackEnv) || {};
+  var argv = {env: env};
+
+  function callConfig(config) {
+    return typeof config === 'function' ? config(env, argv) : config;
+  }
+
+  var loadedConfig = require(path.resolve(webpackConfig));
+
+  // Transpiled ES modules
+  if (loadedConfig && loadedConfig.__esModule && loadedConfig.default) {
+    loadedConfig = loadedConfig.default;
+  }
+
+  loadedConfig = callConfig(loadedConfig);
+
+  return Array.isArray(loadedConfig) ? loadedConfig.map(callConfig) : loadedConfig;
+}
+
+/**
+ * Picks the config of the compiler named by options.webpackConfigName (or the first one)
+ * and translates its resolve and resolveLoader sections for enhanced-resolve
+ *
+ * @private
+ * @param  {Object|Object[]} loadedConfig
+ * @param  {String} webpackConfig - Path to the webpack config
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {Object} The resolve config (resolve) and the config for resolving loaders (resolveLoader)
+ * @throws {Error} If there's no config with the given name
+ */
+function getWebpackResolveSections(loadedConfig, webpackConfig, options) {
+  var name = options && options.webpackConfigName;
+
+  if (Array.isArray(loadedConfig)) {
+    var configs = loadedConfig;
+
+    loadedConfig = name ?
+      configs.filter(function(config) { return config && config.name === name; })[0] :
+      configs[0];
+  } else if (name && loadedConfig && loadedConfig.name !== name) {
+    loadedConfig = null;
+  }
+
+  if (!loadedConfig) {
+    throw new Error('The webpack config at ' + webpackConfig + ' does not have a config named ' + name);
+  }
+
+  return {
+    resolve: translateWebpackResolveSection(loadedConfig.resolve),
+    resolveLoader: Object.assign({}, defaultResolveLoaderConfig, translateWebpackResolveSection(loadedConfig.resolveLoader))
+  };
+}
+
+/**
+ * @private
+ * @param  {Object} [section] - The resolve or resolveLoader section of the webpack config
+ * @return {Object} The config for enhanced-resolve
+ */
+function translateWebpackResolveSection(section) {
+  var resolveConfig = Object.assign({}, section);
+
+  if (!resolveConfig.modules && (resolveConfig.root || resolveConfig.modulesDirectories)) {
+    resolveConfig.modules = [];
+
+    if (resolveConfig.root) {
+      resolveConfig.modules = resolveConfig.modules.concat(resolveConfig.root);
+    }
+
+    if (resolveConfig.modulesDirectories) {
+      resolveConfig.modules = resolveConfig.modules.concat(resolveConfig.modulesDirectories);
+    }
+  }
+
+  return resolveConfig;
+}
+
+/**
+ * The category of the dependencies within the file, used to pick the options from resolve.byDependency
+ *
+ * Webpack picks them per dependency, but the module type of the file
+ * tells whether its dependencies are imports (esm) or requires (commonjs, amd)
+ *
+ * @private
+ * @param  {Object} resolveConfig
+ * @param  {String} filename
+ * @param  {Object} [options] - All of the options given to cabinet
+ * @return {String} The category or an empty string if the config does not have options by dependency
+ * or the file could not be read
+ */
+function getWebpackDependencyCategory(resolveConfig, filename, options) {
+  if (!resolveConfig.byDependency) { return ''; }
+
+  var cache = options && options.cache;
+  var key = path.resolve(filename);
+
+  if (cache && cache.dependencyCategories.hasOwnProperty(key)) {
+    return cache.dependencyCategories[key];
+  }
+
+  var type;
+
+  try {
+    type = module.exports._getJSType({
+      filename: filename,
+      ast: options && options.ast,
+      fs: options && options.fs
+    });
+  } catch (e) {
+    debug('could not read ' + filename + ' to pick the options of resolve.byDependency: ' + e.message);
+    return '';
+  }
+
+  var category = {es6: 'esm', commonjs: 'commonjs', amd: 'amd'}[type] || 'unknown';
+
+  if (cache) {
+    cache.dependencyCategories[key] = category;
+  }
+
+  return category;
+}
+
+/**
+ * Merges the options that resolve.byDependency has for the category into the resolve config
+ * the way webpack does: arrays replace the base array unless they contain '...'
+ * and objects (like alias) extend the base object
+ *
+ * @private
+ * @param  {Object} resolveConfig
+ * @param  {String} category
+ * @return {Object} The config for enhanced-resolve
+ */
+function getWebpackDependencyResolveConfig(resolveConfig, category) {
+  var merged = Object.assign({}, resolveConfig);
+  var byDependency = resolveConfig.byDependency;
+
+  delete merged.byDependency;
+
+  // Without a category, only the options shared by every dependency apply
+  var overrides = category && byDependency && (byDependency[category] || byDependency.default);
+
+  if (!overrides) { return merged; }
+
+  Object.keys(overrides).forEach(function(option) {
+    var value = overrides[option];
+    var base = merged[option];
+
+    if (Array.isArray(value) && value.indexOf('...') !== -1) {
+      merged[option] = value.reduce(function(values, item) {
+        return values.concat(item === '...' ? base || [] : [item]);
+      }, []);
+    } else if (isPlainObject(value) && isPlainObject(base)) {
+      merged[option] = Object.assign({}, base, value);
+    } else {
+      merged[option] = value;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * @private
+ * @param  {*} value
+ * @return {Boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
 }
@@ -0,0 +1,313 @@
+var path = require('path');
+var resolve = require('resolve');
+var debug = require('debug')('cabinet');
+var fsUtils = require('./fs-utils');
+var glob = require('./glob');
+
+/**
+ * Applies the root and alias rules of babel-plugin-module-resolver
+ *
+ * @see https://github.com/tleunen/babel-plugin-module-resolver/blob/master/DOCS.md
+ */
+
+/*
+ * The files babel reads its config from, in the order babel looks for them within a directory
+ */
+var configFileNames = [
+  'babel.config.js',
+  'babel.config.cjs',
+  'babel.config.json',
+  '.babelrc',
+  '.babelrc.js',
+  '.babelrc.cjs',
+  '.babelrc.json',
+  'package.json'
+];
+
+var defaultExtensions = ['.js', '.jsx', '.es', '.es6', '.mjs'];
+
+/**
+ * Finds the nearest babel config of the directory
+ *
+ * @param  {String} dir
+ * @param  {Object} [fileSystem] - Reads the files instead of fs
+ * @return {String|null} The path to the config or null if there's none
+ */
+module.exports.findConfig = function(dir, fileSystem) {
+  dir = path.resolve(dir);
+
+  while (true) {
+    for (var i = 0; i < configFileNames.length; i++) {
+      var configPath = path.join(dir, configFileNames[i]);
+
+      if (fsUtils.isFile(configPath, fileSystem) &&
+          (configFileNames[i] !== 'package.json' || (fsUtils.readJson(configPath, fileSystem) || {}).babel)) {
+        return configPath;
+      }
+    }
+
+    var parent = path.dirname(dir);
+
+    if (parent === dir) { return null; }
+
+    dir = parent;
+  }
+};
+
+/**
+ * Tells whether a file (like one being invalidated) could be a babel config
+ *
+ * @param  {String} filePath
+ * @return {Boolean}
+ */
+module.exports.isConfigFile = function(filePath) {
+  return configFileNames.indexOf(path.basename(filePath)) !== -1;
+};
+
+/**
+ * Loads the options of babel-plugin-module-resolver from a babel config
+ *
+ * @param  {String|Object} babelConfig - The path to a babel config or its contents
+ * @param  {String} directory - Used to resolve the paths within a babel config object
+ * @param  {Object} [fileSystem] - Reads the JSON configs and the folders of the roots instead of fs
+ * @return {Object|null} The normalized options of the plugin or null if the config does not use it
+ * @throws {Error} If the babel config could not be loaded
+ */
+module.exports.loadPluginOptions = function(babelConfig, directory, fileSystem) {
+  var configDir = path.resolve(directory);
+
+  if (typeof babelConfig === 'string') {
+    var configPath = path.resolve(babelConfig);
+
+    configDir = path.dirname(configPath);
+    babelConfig = readConfig(configPath, fileSystem);
+  }
+
+  if (typeof babelConfig === 'function') {
+    babelConfig = babelConfig(createConfigApi());
+  }
+
+  var pluginOptions = findPluginOptions(babelConfig || {});
+
+  if (!pluginOptions) { return null; }
+
+  return normalizePluginOptions(pluginOptions, configDir, fileSystem);
+};
+
+/**
+ * @param  {String} partial
+ * @param  {Object} pluginOptions - The normalized options of the plugin
+ * @param  {Object} [fileSystem] - Looks for the files within the roots instead of fs
+ * @return {Object} The path resolved through a root (path) or the partial with its alias applied (partial)
+ */
+module.exports.resolve = function(partial, pluginOptions, fileSystem) {
+  if (partial[0] === '.' || path.isAbsolute(partial)) {
+    return {partial: partial};
+  }
+
+  for (var i = 0; i < pluginOptions.root.length; i++) {
+    try {
+      var resolved = resolve.sync('./' + partial, {
+        basedir: pluginOptions.root[i],
+        extensions: pluginOptions.extensions,
+        isFile: fileSystem ? function(file) { return fsUtils.isFile(file, fileSystem); } : undefined,
+        isDirectory: fileSystem ? function(dir) { return fsUtils.isDirectory(dir, fileSystem); } : undefined,
+        readFileSync: fileSystem ? function(file, encoding) { return fileSystem.readFileSync(file, encoding); } : undefined
+      });
+
+      debug('resolved ' + partial + ' within the babel root ' + pluginOptions.root[i]);
+
+      return {path: resolved};
+    } catch (e) {
+      // Try the next root
+    }
+  }
+
+  return {partial: module.exports.applyAlias(partial, pluginOptions)};
+};
+
+/**
+ * @param  {String} partial
+ * @param  {Object} pluginOptions - The normalized options of the plugin
+ * @return {String} The partial with the first matching alias applied or the partial itself if no alias matches it
+ */
+module.exports.applyAlias = function(partial, pluginOptions) {
+  for (var i = 0; i < pluginOptions.alias.length; i++) {
+    var alias = pluginOptions.alias[i];
+    var match = alias.regExp.exec(partial);
+
+    if (!match) { continue; }
+
+    var aliased = typeof alias.value === 'function' ?
+      alias.value(match) :
+      partial.replace(alias.regExp, alias.substitution);
+
+    debug('babel alias ' + alias.key + ' maps ' + partial + ' to ' + aliased);
+
+    // Aliases to paths are relative to the cwd of the plugin while others name packages
+    if (aliased[0] === '.') {
+      aliased = path.resolve(pluginOptions.cwd, aliased);
+    }
+
+    return aliased;
+  }
+
+  return partial;
+};
+
+/**
+ * @private
+ * @param  {String} configPath
+ * @param  {Object} [fileSystem] - Reads the JSON configs, while JavaScript configs are required
+ * @return {Object|Function}
+ */
+function readConfig(configPath, fileSystem) {
+  var basename = path.basename(configPath);
+
+  if (basename === 'package.json') {
+    return (fsUtils.readJson(configPath, fileSystem) || {}).babel;
+  }
+
+  if (/\.c?js$/.test(basename)) {
+    var loaded = require(configPath);
+
+    return loaded && loaded.__esModule ? loaded.default : loaded;
+  }
+
+  return JSON.parse(fsUtils.readFile(configPath, fileSystem));
+}
+
+/**
+ * The subset of babel's api that configs exporting a function commonly use
+ *
+ * @private
+ * @return {Object}
+ */
+function createConfigApi() {
+  var envName = getEnvName();
+
+  function cache() {}
+
+  cache.forever = cache.never = cache.using = cache.invalidate = function() {};
+
+  return {
+    cache: cache,
+    env: function(value) {
+      if (typeof value === 'undefined') { return envName; }
+
+      if (typeof value === 'function') { return value(envName); }
+
+      return [].concat(value).indexOf(envName) !== -1;
+    },
+    caller: function() {},
+    assertVersion: function() {},
+    version: '7.0.0'
+  };
+}
+
+/**
+ * @private
+ * @return {String}
+ */
+function getEnvName() {
+  return process.env.BABEL_ENV || process.env.NODE_ENV || 'development';
+}
+
+/**
+ * Looks for the plugin within the plugins of the config and those of the current env
+ *
+ * @private
+ * @param  {Object} babelConfig
+ * @return {Object|null}
+ */
+function findPluginOptions(babelConfig) {
+  var envConfig = babelConfig.env && babelConfig.env[getEnvName()];
+  var plugins = [].concat(babelConfig.plugins || [], (envConfig && envConfig.plugins) || []);
+  var pluginOptions = null;
+
+  plugins.forEach(function(plugin) {
+    var name = Array.isArray(plugin) ? plugin[0] : plugin;
+
+    if (typeof name === 'string' && name.replace(/^babel-plugin-/, '') === 'module-resolver') {
+      // Later entries (like those of the env) take precedence
+      pluginOptions = (Array.isArray(plugin) && plugin[1]) || {};
+    }
+  });
+
+  return pluginOptions;
+}
+
+/**
+ * @private
+ * @param  {Object} pluginOptions
+ * @param  {String} configDir
+ * @param  {Object} [fileSystem]
+ * @return {Object} The paths of the roots (root), the aliases as regular expressions (alias),
+ * the directory relative paths are resolved against (cwd) and the extensions (extensions)
+ */
+function normalizePluginOptions(pluginOptions, configDir, fileSystem) {
+  var cwd = configDir;
+
+  if (pluginOptions.cwd === 'packagejson') {
+    cwd = findPackageDir(configDir, fileSystem) || configDir;
+  } else if (pluginOptions.cwd && pluginOptions.cwd !== 'babelrc') {
+    cwd = path.resolve(configDir, pluginOptions.cwd);
+  }
+
+  var aliases = pluginOptions.alias || {};
+
+  return {
+    cwd: cwd,
+    root: [].concat(pluginOptions.root || []).reduce(function(roots, root) {
+      return roots.concat(expandRoot(path.resolve(cwd, root), fileSystem));
+    }, []),
+    alias: Object.keys(aliases).map(function(key) {
+      var isRegExp = key[0] === '^';
+
+      return {
+        key: key,
+        regExp: isRegExp ? new RegExp(key) : new RegExp('^' + glob.escapeRegExp(key) + '(/.*|)$'),
+        value: aliases[key],
+        // Regular expression aliases refer to their groups as \1
+        substitution: typeof aliases[key] === 'string' ?
+          (isRegExp ? aliases[key].replace(/\\(\d)/g, '$$$1') : aliases[key].replace(/\$/g, '$$$$') + '$1') :
+          null
+      };
+    }),
+    extensions: pluginOptions.extensions || defaultExtensions
+  };
+}
+
+/**
+ * Expands a root ending with a wildcard (like src/*) to the matching directories
+ *
+ * @private
+ * @param  {String} root
+ * @param  {Object} [fileSystem]
+ * @return {String[]}
+ */
+function expandRoot(root, fileSystem) {
+  var basename = path.basename(root);
+
+  if (!glob.isGlob(basename)) { return [root]; }
+
+  return glob.expand(path.dirname(root), basename, {directories: true}, fileSystem);
+}
+
+/**
+ * @private
+ * @param  {String} dir
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ */
+function findPackageDir(dir, fileSystem) {
+  while (!fsUtils.isFile(path.join(dir, 'package.json'), fileSystem)) {
+    var parent = path.dirname(dir);
+
+    if (parent === dir) { return null; }
+
+    dir = parent;
+  }
+
+  return dir;
+}
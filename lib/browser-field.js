@@ -0,0 +1,120 @@
+var path = require('path');
+var debug = require('debug')('cabinet');
+var packageExports = require('./package-exports');
+
+/**
+ * Applies the replacements of the "browser" field of packages the way bundlers do when targeting browsers:
+ * a string replaces the main entry of the package while an object maps the modules and files required
+ * within the package to other ones, or to false for an empty module
+ *
+ * @see https://github.com/defunctzombie/package-browser-field-spec
+ */
+
+/**
+ * @param  {Object} packageJson
+ * @return {String|undefined} The entry of the package for browsers when its browser field is a string
+ */
+module.exports.getEntry = function(packageJson) {
+  return typeof packageJson.browser === 'string' ? packageJson.browser : undefined;
+};
+
+/**
+ * Maps a module required by the file through the browser field of the file's package
+ *
+ * @param  {String} name - A bare specifier like fs or lodash
+ * @param  {String} filename - The file requiring the module
+ * @param  {Object} [fileSystem] - Reads the package.json files instead of fs
+ * @return {Object|null} {empty: true} when the module is mapped to false, the request to resolve instead
+ * from the folder of the package (request, dir), or null when the module is not mapped
+ */
+module.exports.mapModule = function(name, filename, fileSystem) {
+  var scope = packageExports.findPackageScope(path.dirname(filename), fileSystem);
+  var map = getMap(scope);
+
+  if (!map || !map.hasOwnProperty(name)) { return null; }
+
+  debug(name + ' is mapped by the browser field of ' + scope.dir);
+
+  return toReplacement(map[name], scope.dir);
+};
+
+/**
+ * Maps a file through the browser field of the package it belongs to
+ *
+ * @param  {String} file - The absolute path of the file, with or without its extension
+ * @param  {String[]} extensions - The extensions that the keys of the field may leave out
+ * @param  {Object} [fileSystem] - Reads the package.json files instead of fs
+ * @return {Object|null} Like mapModule
+ */
+module.exports.mapFile = function(file, extensions, fileSystem) {
+  var scope = packageExports.findPackageScope(path.dirname(file), fileSystem);
+  var map = getMap(scope);
+
+  if (!map) { return null; }
+
+  var fileWithoutExtension = stripExtension(file, extensions);
+  var key = Object.keys(map).filter(function(key) {
+    if (!isRelative(key)) { return false; }
+
+    var keyPath = path.resolve(scope.dir, key);
+
+    return keyPath === file || stripExtension(keyPath, extensions) === fileWithoutExtension;
+  })[0];
+
+  if (!key) { return null; }
+
+  debug(file + ' is mapped by the browser field of ' + scope.dir);
+
+  return toReplacement(map[key], scope.dir);
+};
+
+/**
+ * @private
+ * @param  {Object|null} scope
+ * @return {Object|null}
+ */
+function getMap(scope) {
+  var browser = scope && scope.json.browser;
+
+  return browser && typeof browser === 'object' ? browser : null;
+}
+
+/**
+ * @private
+ * @param  {String|Boolean} value
+ * @param  {String} dir - The folder of the package
+ * @return {Object|null}
+ */
+function toReplacement(value, dir) {
+  if (value === false) {
+    return {empty: true};
+  }
+
+  if (typeof value !== 'string') { return null; }
+
+  return {
+    request: isRelative(value) ? path.resolve(dir, value) : value,
+    dir: dir
+  };
+}
+
+/**
+ * @private
+ * @param  {String} file
+ * @param  {String[]} extensions
+ * @return {String}
+ */
+function stripExtension(file, extensions) {
+  var extension = path.extname(file);
+
+  return extensions.indexOf(extension) !== -1 ? file.slice(0, -extension.length) : file;
+}
+
+/**
+ * @private
+ * @param  {String} request
+ * @return {Boolean}
+ */
+function isRelative(request) {
+  return request[0] === '.';
+}
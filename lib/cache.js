@@ -0,0 +1,281 @@
+var path = require('path');
+var debug = require('debug')('cabinet');
+var babelModuleResolver = require('./babel-module-resolver');
+var pnp = require('./pnp');
+var workspaces = require('./workspaces');
+
+/*
+ * The options that change with every lookup rather than between the users of a cache
+ */
+var lookupOptions = ['partial', 'partials', 'filename', 'ast', 'cache', 'trace'];
+
+/**
+ * Holds the work done while resolving partials so that it can be reused across lookups:
+ * loaded configs, constructed resolvers, the module type of each file and past results
+ *
+ * The loaded configs and resolvers are held per config path, so a cache assumes that a config path
+ * always means the same config. Webpack configs are also held per webpackEnv and webpackConfigName. Past results are held per set of options, so lookups with
+ * other options don't reuse them. Tools that watch files should invalidate the ones that change.
+ *
+ * @constructor
+ */
+function Cache() {
+  this.clear();
+}
+
+/**
+ * Forgets everything held by the cache
+ */
+Cache.prototype.clear = function() {
+  // Loaded configs per config path and variant (like the webpackEnv and webpackConfigName of a webpack config)
+  this.configs = {};
+  // Resolvers constructed from the configs, per config path, variant (which also tells apart the file systems)
+  // and dependency category
+  this.webpackResolvers = {};
+  // Parsed tsconfigs per tsconfig path
+  this.tsConfigs = {};
+  // The nearest tsconfig path per directory
+  this.tsConfigPaths = {};
+  // The nearest babel config path per directory
+  this.babelConfigPaths = {};
+  // The nearest Yarn Plug'n'Play manifest path per directory
+  this.pnpManifestPaths = {};
+  // The monorepo root per directory and the packages found within each root
+  this.workspaceRoots = {};
+  this.workspaces = {};
+  this.tsHost = null;
+  // Module type of each file
+  this.moduleTypes = {};
+  // Category of the dependencies of each file, for webpack's resolve.byDependency
+  this.dependencyCategories = {};
+  // Resolved path of each partial, per file containing the partial and key of the options
+  this.results = {};
+  // The ids of the values (like functions and file systems) that are told apart by identity,
+  // held weakly so that the cache doesn't keep the values of past lookups alive
+  this.ids = new WeakMap();
+  this.lastId = 0;
+};
+
+/**
+ * Forgets what's known about the given file and the lookups it could have affected
+ *
+ * Changing a loaded config (or a package.json, tsconfig, babel config or PnP manifest) drops every past result.
+ * Otherwise, the results of the file's own partials are dropped along with the lookups that
+ * adding or removing the file can change: the ones that did not resolve, resolved to a file within
+ * the same directory or within the folder that the file shadows (like foo/index.js for foo.js),
+ * and the ones whose partial names the file.
+ *
+ * @param  {String} filePath
+ */
+Cache.prototype.invalidate = function(filePath) {
+  filePath = path.resolve(filePath);
+
+  debug('invalidating the cache for ' + filePath);
+
+  delete this.moduleTypes[filePath];
+  delete this.dependencyCategories[filePath];
+  delete this.results[filePath];
+
+  var basename = path.basename(filePath);
+
+  if (/^tsconfig.*\.json$/.test(basename)) {
+    // The config could be extended by others or change which config is nearest to a file
+    this.tsConfigs = {};
+    this.tsConfigPaths = {};
+    this.results = {};
+    return;
+  }
+
+  if (pnp.isManifest(filePath)) {
+    var manifestDir = path.dirname(filePath);
+
+    // The manifest next to a .pnp.data.json reads its data from it
+    delete this.configs[path.join(manifestDir, '.pnp.cjs')];
+    delete this.configs[path.join(manifestDir, '.pnp.js')];
+    this.webpackResolvers = {};
+    this.pnpManifestPaths = {};
+    this.results = {};
+    return;
+  }
+
+  if (this.configs.hasOwnProperty(filePath) || babelModuleResolver.isConfigFile(filePath) || workspaces.isConfigFile(filePath)) {
+    delete this.configs[filePath];
+    delete this.webpackResolvers[filePath];
+    // Configs are loaded via require
+    delete require.cache[filePath];
+
+    // Adding or removing a babel config (or a package.json) can change which config is nearest to a file
+    // and which packages a monorepo has
+    this.babelConfigPaths = {};
+    this.workspaceRoots = {};
+    this.workspaces = {};
+    this.results = {};
+    return;
+  }
+
+  var fileDir = path.dirname(filePath);
+  var names = getNames(filePath);
+  // The folder that the file takes precedence over when it's added, like foo/ for foo.js
+  var shadowedDir = path.join(fileDir, names[0]) + path.sep;
+  var results = this.results;
+
+  function isAffected(partial, result) {
+    // Any file could match the glob of a Stylus import
+    if (Array.isArray(result)) { return true; }
+
+    // Results that describe the loaders of a partial hold the resolved path
+    var resolved = result && typeof result === 'object' ? result.path : result;
+
+    // Built-in modules don't live on the filesystem
+    if (result && typeof resolved !== 'string') { return false; }
+
+    return !resolved ||
+      path.dirname(resolved) === fileDir ||
+      resolved.indexOf(shadowedDir) === 0 ||
+      resolved.indexOf(filePath + path.sep) === 0 ||
+      // The file could now be found within another folder, like a load path or node_modules
+      !isRelative(partial) && getNames(partial).some(function(name) {
+        return names.indexOf(name) !== -1;
+      });
+  }
+
+  Object.keys(results).forEach(function(filename) {
+    var partials = results[filename];
+
+    Object.keys(partials).forEach(function(partial) {
+      var resultsByOptions = partials[partial];
+
+      Object.keys(resultsByOptions).forEach(function(optionsKey) {
+        if (isAffected(partial, resultsByOptions[optionsKey])) {
+          delete resultsByOptions[optionsKey];
+        }
+      });
+
+      if (!Object.keys(resultsByOptions).length) {
+        delete partials[partial];
+      }
+    });
+  });
+};
+
+/**
+ * @param  {String} filename - The file containing the partial
+ * @param  {String} partial
+ * @param  {Object} [options] - The options of the lookup
+ * @return {String|String[]|Object|undefined} The result or undefined if the partial was not resolved before with the options
+ */
+Cache.prototype.getResult = function(filename, partial, options) {
+  var partials = this.results[path.resolve(filename)];
+  var optionsKey = getOptionsKey(this, options);
+
+  if (partials && partials.hasOwnProperty(partial) && partials[partial].hasOwnProperty(optionsKey)) {
+    return partials[partial][optionsKey];
+  }
+};
+
+/**
+ * @param  {String} filename - The file containing the partial
+ * @param  {String} partial
+ * @param  {String|String[]|Object} result - The resolved path (or paths, for a glob) or, for built-in modules and loaders, its description
+ * @param  {Object} [options] - The options of the lookup
+ */
+Cache.prototype.setResult = function(filename, partial, result, options) {
+  filename = path.resolve(filename);
+
+  if (!this.results[filename]) {
+    this.results[filename] = {};
+  }
+
+  if (!this.results[filename].hasOwnProperty(partial)) {
+    this.results[filename][partial] = {};
+  }
+
+  this.results[filename][partial][getOptionsKey(this, options)] = result;
+};
+
+/**
+ * Tells apart values that can't be serialized, like functions and file systems
+ *
+ * @param  {Object|Function} value
+ * @return {String} An id that stays the same for the value as long as the cache isn't cleared
+ */
+Cache.prototype.identify = function(value) {
+  if (!this.ids.has(value)) {
+    this.ids.set(value, ++this.lastId);
+  }
+
+  return '#' + this.ids.get(value);
+};
+
+/**
+ * Serializes the options that can change the result of a lookup.
+ * Values that can't be serialized (like functions and file systems) are told apart by their identity.
+ *
+ * @private
+ * @param  {Cache} cache
+ * @param  {Object} [options]
+ * @return {String}
+ */
+function getOptionsKey(cache, options) {
+  options = options || {};
+
+  function replacer(key, value) {
+    if (typeof value === 'function') { return cache.identify(value); }
+    if (value instanceof RegExp) { return String(value); }
+
+    return value;
+  }
+
+  return JSON.stringify(Object.keys(options).sort().filter(function(name) {
+    return lookupOptions.indexOf(name) === -1 && typeof options[name] !== 'undefined';
+  }).map(function(name) {
+    var value = options[name];
+
+    if (name === 'fs') {
+      return [name, cache.identify(value)];
+    }
+
+    try {
+      return [name, JSON.stringify(value, replacer)];
+    } catch (e) {
+      // Circular structures
+      return [name, cache.identify(value)];
+    }
+  }));
+}
+
+/**
+ * The names that a partial could use for the file, like foo and _foo for _foo.scss
+ *
+ * @private
+ * @param  {String} filePath - A file or a partial
+ * @return {String[]}
+ */
+function getNames(filePath) {
+  var basename = path.basename(filePath);
+  var name = basename.slice(0, basename.length - path.extname(basename).length) || basename;
+  var names = [name, basename];
+
+  // Sass partials
+  if (name[0] === '_') {
+    names.push(name.slice(1));
+  }
+
+  // Index files stand for their folder
+  if (name === 'index' || name === '_index') {
+    names.push(path.basename(path.dirname(filePath)));
+  }
+
+  return names;
+}
+
+/**
+ * @private
+ * @param  {String} partial
+ * @return {Boolean}
+ */
+function isRelative(partial) {
+  return partial[0] === '.' || path.isAbsolute(partial);
+}
+
+module.exports = Cache;
@@ -0,0 +1,90 @@
+var fs = require('fs');
+var debug = require('debug')('cabinet');
+
+/**
+ * Reads the files of the disk, or of the given file system (like an in-memory volume),
+ * treating what can't be read as missing rather than throwing
+ */
+
+/**
+ * @param  {String} filePath
+ * @param  {Object} [fileSystem] - Used instead of fs
+ * @return {fs.Stats|null}
+ */
+module.exports.stat = function(filePath, fileSystem) {
+  try {
+    return (fileSystem || fs).statSync(filePath);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * @param  {String} filePath
+ * @param  {Object} [fileSystem] - Used instead of fs
+ * @return {Boolean}
+ */
+module.exports.isFile = function(filePath, fileSystem) {
+  var stats = module.exports.stat(filePath, fileSystem);
+
+  return Boolean(stats && stats.isFile());
+};
+
+/**
+ * @param  {String} filePath
+ * @param  {Object} [fileSystem] - Used instead of fs
+ * @return {Boolean}
+ */
+module.exports.isDirectory = function(filePath, fileSystem) {
+  var stats = module.exports.stat(filePath, fileSystem);
+
+  return Boolean(stats && stats.isDirectory());
+};
+
+/**
+ * @param  {String} filePath
+ * @param  {Object} [fileSystem] - Used instead of fs
+ * @return {String|null} The contents of the file or null if it could not be read
+ */
+module.exports.readFile = function(filePath, fileSystem) {
+  try {
+    return (fileSystem || fs).readFileSync(filePath, 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT' && e.code !== 'ENOTDIR') {
+      debug('could not read ' + filePath + ': ' + e.message);
+    }
+
+    return null;
+  }
+};
+
+/**
+ * @param  {String} filePath
+ * @param  {Object} [fileSystem] - Used instead of fs
+ * @return {*} The parsed contents of the file or null if it could not be read or parsed
+ */
+module.exports.readJson = function(filePath, fileSystem) {
+  var contents = module.exports.readFile(filePath, fileSystem);
+
+  if (contents === null) { return null; }
+
+  try {
+    return JSON.parse(contents);
+  } catch (e) {
+    debug('could not parse ' + filePath + ': ' + e.message);
+    return null;
+  }
+};
+
+/**
+ * @param  {String} dir
+ * @param  {Object} [fileSystem] - Used instead of fs
+ * @return {String[]} The names of the entries within the directory
+ */
+module.exports.readDir = function(dir, fileSystem) {
+  try {
+    return (fileSystem || fs).readdirSync(dir);
+  } catch (e) {
+    return [];
+  }
+};
@@ -0,0 +1,161 @@
+var path = require('path');
+var fsUtils = require('./fs-utils');
+
+/**
+ * Matches paths against globs and lists the files or folders that globs match
+ * with the syntax shared by webpack, Vite, Stylus, the workspaces of package managers
+ * and babel-plugin-module-resolver: * matches within a segment, ** matches any number of segments
+ * and ?, character classes like [a-z] and alternatives like {js,ts} are supported
+ */
+
+/**
+ * @param  {String} str
+ * @return {Boolean} Whether the string has a wildcard, a character class or alternatives
+ */
+module.exports.isGlob = function(str) {
+  return /[*?{[]/.test(str);
+};
+
+/**
+ * @param  {String} glob - Segments separated by forward slashes
+ * @return {RegExp} Matches whole paths
+ */
+module.exports.toRegExp = function(glob) {
+  return new RegExp('^' + module.exports.toSource(glob) + '$');
+};
+
+/**
+ * @param  {String} glob - Segments separated by forward slashes
+ * @return {String} The source of a regular expression matching the glob
+ */
+module.exports.toSource = function(glob) {
+  var source = '';
+
+  for (var i = 0; i < glob.length; i++) {
+    var character = glob[i];
+
+    if (glob.slice(i, i + 3) === '**/') {
+      // Also matches no folders at all
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (glob.slice(i) === '/**') {
+      // Also matches the folder itself
+      source += '(?:/.*)?';
+      i += 2;
+    } else if (glob.slice(i, i + 2) === '**') {
+      source += '.*';
+      i += 1;
+    } else if (character === '*') {
+      source += '[^/]*';
+    } else if (character === '?') {
+      source += '[^/]';
+    } else if (character === '[' && glob.indexOf(']', i) !== -1) {
+      var end = glob.indexOf(']', i);
+
+      source += '[' + glob.slice(i + 1, end).replace(/^!/, '^') + ']';
+      i = end;
+    } else if (character === '{' && glob.indexOf('}', i) !== -1) {
+      var close = glob.indexOf('}', i);
+
+      source += '(?:' + glob.slice(i + 1, close).split(',').map(module.exports.toSource).join('|') + ')';
+      i = close;
+    } else {
+      source += module.exports.escapeRegExp(character);
+    }
+  }
+
+  return source;
+};
+
+/**
+ * @param  {String} str
+ * @return {String} The string with the characters that regular expressions treat specially escaped
+ */
+module.exports.escapeRegExp = function(str) {
+  return str.replace(/[|\\{}()[\]^$+*?.]/g, '\\$&');
+};
+
+/**
+ * Lists the files (or folders) within the directory that match the glob
+ *
+ * @param  {String} dir
+ * @param  {String} glob - Relative to the directory, with segments separated by forward slashes
+ * @param  {Object} [options]
+ * @param  {Boolean} [options.directories] - Whether the glob matches folders rather than files
+ * @param  {Function} [options.exclude] - Given the name of a folder, whether to leave it out of the wildcard matches
+ * @param  {Object} [fileSystem] - Reads the folders instead of fs
+ * @return {String[]} The paths of the matches in the order they are found
+ */
+module.exports.expand = function(dir, glob, options, fileSystem) {
+  return expandSegments(dir, glob.split('/'), options || {}, fileSystem);
+};
+
+/**
+ * @private
+ * @param  {String} dir
+ * @param  {String[]} segments
+ * @param  {Object} options
+ * @param  {Object} [fileSystem]
+ * @return {String[]}
+ */
+function expandSegments(dir, segments, options, fileSystem) {
+  if (!segments.length) { return [dir]; }
+
+  var segment = segments[0];
+  var rest = segments.slice(1);
+
+  if (!rest.length && !options.directories) {
+    var fileRegExp = module.exports.toRegExp(segment);
+
+    return readDirPaths(dir, fileSystem).filter(function(entry) {
+      return fileRegExp.test(path.basename(entry)) && fsUtils.isFile(entry, fileSystem);
+    });
+  }
+
+  if (segment === '**') {
+    return getSubdirectories(dir, options, fileSystem).reduce(function(matches, subdir) {
+      return matches.concat(expandSegments(subdir, segments, options, fileSystem));
+    }, expandSegments(dir, rest, options, fileSystem));
+  }
+
+  if (!module.exports.isGlob(segment)) {
+    var next = path.join(dir, segment);
+
+    return fsUtils.isDirectory(next, fileSystem) ? expandSegments(next, rest, options, fileSystem) : [];
+  }
+
+  var dirRegExp = module.exports.toRegExp(segment);
+
+  return getSubdirectories(dir, options, fileSystem)
+  .filter(function(subdir) {
+    return dirRegExp.test(path.basename(subdir));
+  })
+  .reduce(function(matches, subdir) {
+    return matches.concat(expandSegments(subdir, rest, options, fileSystem));
+  }, []);
+}
+
+/**
+ * @private
+ * @param  {String} dir
+ * @param  {Object} options
+ * @param  {Object} [fileSystem]
+ * @return {String[]}
+ */
+function getSubdirectories(dir, options, fileSystem) {
+  return readDirPaths(dir, fileSystem).filter(function(entry) {
+    return !(options.exclude && options.exclude(path.basename(entry))) && fsUtils.isDirectory(entry, fileSystem);
+  });
+}
+
+/**
+ * @private
+ * @param  {String} dir
+ * @param  {Object} [fileSystem]
+ * @return {String[]} The paths of the entries within the directory
+ */
+function readDirPaths(dir, fileSystem) {
+  return fsUtils.readDir(dir, fileSystem).map(function(entry) {
+    return path.join(dir, entry);
+  });
+}
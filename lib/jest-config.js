@@ -0,0 +1,126 @@
+var path = require('path');
+var debug = require('debug')('cabinet');
+var fsUtils = require('./fs-utils');
+
+/**
+ * Loads the parts of a Jest config that affect how modules are resolved
+ *
+ * @see https://jestjs.io/docs/configuration
+ */
+
+var defaultModuleFileExtensions = ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'json', 'node'];
+
+/**
+ * @param  {String|Object} jestConfig - The path to a Jest config (or a package.json with a jest field) or its contents
+ * @param  {String} directory - Used to resolve the rootDir of a Jest config object
+ * @param  {Object} [fileSystem] - Reads the JSON configs instead of fs
+ * @return {Object} The rootDir, the moduleNameMapper as a list of {regExp, mappedNames},
+ * the absolute modulePaths and roots, the moduleDirectories and the extensions
+ * @throws {Error} If the Jest config could not be loaded
+ */
+module.exports.load = function(jestConfig, directory, fileSystem) {
+  var configDir = path.resolve(directory);
+
+  if (typeof jestConfig === 'string') {
+    var configPath = path.resolve(jestConfig);
+
+    configDir = path.dirname(configPath);
+    jestConfig = readConfig(configPath, fileSystem);
+  }
+
+  if (typeof jestConfig === 'function') {
+    jestConfig = jestConfig();
+  }
+
+  if (jestConfig && typeof jestConfig.then === 'function') {
+    throw new Error('Jest configs that resolve asynchronously are not supported');
+  }
+
+  jestConfig = jestConfig || {};
+
+  var rootDir = path.resolve(configDir, jestConfig.rootDir || '.');
+
+  function toPath(value) {
+    return path.resolve(rootDir, replaceRootDir(value, rootDir));
+  }
+
+  var moduleNameMapper = jestConfig.moduleNameMapper || {};
+
+  return {
+    rootDir: rootDir,
+    moduleNameMapper: Object.keys(moduleNameMapper).map(function(key) {
+      return {
+        regExp: new RegExp(key),
+        mappedNames: [].concat(moduleNameMapper[key]).map(function(mappedName) {
+          return replaceRootDir(mappedName, rootDir);
+        })
+      };
+    }),
+    modulePaths: (jestConfig.modulePaths || []).map(toPath),
+    roots: (jestConfig.roots || ['<rootDir>']).map(toPath),
+    moduleDirectories: jestConfig.moduleDirectories || ['node_modules'],
+    extensions: (jestConfig.moduleFileExtensions || defaultModuleFileExtensions).map(function(extension) {
+      return '.' + extension;
+    })
+  };
+};
+
+/**
+ * Maps the partial through the first moduleNameMapper entry whose regular expression matches it,
+ * replacing $1 (and so on) with the groups it captured
+ *
+ * @param  {String} partial
+ * @param  {Object} loadedConfig - A config returned by load
+ * @return {String[]|null} The names to try in order or null if no entry matches the partial
+ */
+module.exports.mapModuleName = function(partial, loadedConfig) {
+  var mappers = loadedConfig.moduleNameMapper;
+
+  for (var i = 0; i < mappers.length; i++) {
+    var matches = mappers[i].regExp.exec(partial);
+
+    if (!matches) { continue; }
+
+    debug('the jest moduleNameMapper ' + mappers[i].regExp + ' matches ' + partial);
+
+    return mappers[i].mappedNames.map(function(mappedName) {
+      return mappedName.replace(/\$([0-9]+)/g, function(_, index) {
+        return matches[parseInt(index, 10)] || '';
+      });
+    });
+  }
+
+  return null;
+};
+
+/**
+ * @private
+ * @param  {String} configPath
+ * @param  {Object} [fileSystem] - Reads the JSON configs, while JavaScript configs are required
+ * @return {Object|Function}
+ */
+function readConfig(configPath, fileSystem) {
+  var basename = path.basename(configPath);
+
+  if (basename === 'package.json') {
+    return JSON.parse(fsUtils.readFile(configPath, fileSystem)).jest;
+  }
+
+  if (path.extname(basename) === '.json') {
+    return JSON.parse(fsUtils.readFile(configPath, fileSystem));
+  }
+
+  var loaded = require(configPath);
+
+  return loaded && loaded.__esModule ? loaded.default : loaded;
+}
+
+/**
+ * @private
+ * @param  {String} value
+ * @param  {String} rootDir
+ * @return {String}
+ */
+function replaceRootDir(value, rootDir) {
+  return value.split('<rootDir>').join(rootDir);
+}
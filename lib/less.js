@@ -0,0 +1,142 @@
+var path = require('path');
+var debug = require('debug')('cabinet');
+var fsUtils = require('./fs-utils');
+var packageExports = require('./package-exports');
+
+/**
+ * Resolves the partials of Less @import rules the way the Less compiler (and less-loader) does
+ *
+ * @see https://lesscss.org/features/#import-atrules-feature
+ */
+
+/**
+ * Splits an import into its options, like (reference) or (css, optional), and the imported path
+ *
+ * @example
+ * '(reference) "theme.less"'
+ *
+ * @param  {String} partial
+ * @return {Object} The imported path (path) and the import options (options)
+ */
+module.exports.parseImport = function(partial) {
+  var importOptions = [];
+  var importPath = partial.trim().replace(/^\(([^)]*)\)\s*/, function(_, list) {
+    importOptions = list.split(',').map(function(option) {
+      return option.trim();
+    })
+    .filter(Boolean);
+
+    return '';
+  });
+
+  // Imports can also be written as url("file.less")
+  importPath = importPath.replace(/^url\(\s*(.*?)\s*\)$/, '$1').replace(/^(['"])(.*)\1$/, '$2');
+
+  return {
+    path: importPath,
+    options: importOptions
+  };
+};
+
+/**
+ * Tries the path relative to the file, then within the paths of the options and the directory
+ * and finally within node_modules
+ *
+ * @param  {String} importPath - A path returned by parseImport
+ * @param  {String} filename - The file containing the import
+ * @param  {String} directory - The last of the paths
+ * @param  {Object} [lessOptions]
+ * @param  {String[]} [lessOptions.paths] - Relative to the directory
+ * @param  {Object} [fileSystem] - Reads the files instead of fs
+ * @return {String|null} The resolved path or null if the import could not be found
+ */
+module.exports.resolve = function(importPath, filename, directory, lessOptions, fileSystem) {
+  var fileDir = path.dirname(path.resolve(filename));
+
+  // The less-loader convention for the packages within node_modules
+  if (importPath[0] === '~') {
+    return resolveWithinNodeModules(importPath.replace(/^~\/?/, ''), fileDir, fileSystem);
+  }
+
+  if (path.isAbsolute(importPath)) {
+    return resolveFilePath(importPath, fileSystem);
+  }
+
+  var searchPaths = [fileDir].concat((lessOptions && lessOptions.paths) || [], directory);
+
+  for (var i = 0; i < searchPaths.length; i++) {
+    var resolved = resolveFilePath(path.resolve(directory, searchPaths[i], importPath), fileSystem);
+
+    if (resolved) {
+      debug('resolved ' + importPath + ' within ' + searchPaths[i]);
+      return resolved;
+    }
+  }
+
+  // Like the Less compiler, fall back to the packages within node_modules
+  return /^\.\.?\//.test(importPath) ? null : resolveWithinNodeModules(importPath, fileDir, fileSystem);
+};
+
+/**
+ * Paths without an extension are tried with .less appended first
+ *
+ * @private
+ * @param  {String} filePath
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ */
+function resolveFilePath(filePath, fileSystem) {
+  var candidates = path.extname(filePath) ? [filePath] : [filePath + '.less', filePath];
+
+  for (var i = 0; i < candidates.length; i++) {
+    if (fsUtils.isFile(candidates[i], fileSystem)) {
+      return candidates[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @param  {String} specifier - A package name optionally followed by a path within the package
+ * @param  {String} fileDir
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ */
+function resolveWithinNodeModules(specifier, fileDir, fileSystem) {
+  var parsed = packageExports.splitSpecifier(specifier);
+  var pkg = packageExports.findPackage(parsed.name, fileDir, fileSystem);
+
+  if (!pkg) { return null; }
+
+  var resolved = parsed.subpath ?
+    resolveFilePath(path.join(pkg.dir, parsed.subpath), fileSystem) :
+    resolvePackageEntry(pkg, fileSystem);
+
+  if (resolved) {
+    debug('resolved ' + specifier + ' within the package at ' + pkg.dir);
+  }
+
+  return resolved;
+}
+
+/**
+ * @private
+ * @param  {Object} pkg
+ * @param  {Object} [fileSystem]
+ * @return {String|null} The file named by the "less" or "style" field or the index.less of the package
+ */
+function resolvePackageEntry(pkg, fileSystem) {
+  var fields = ['less', 'style'];
+
+  for (var i = 0; i < fields.length; i++) {
+    if (typeof pkg.json[fields[i]] === 'string') {
+      var entry = resolveFilePath(path.resolve(pkg.dir, pkg.json[fields[i]]), fileSystem);
+
+      if (entry) { return entry; }
+    }
+  }
+
+  return resolveFilePath(path.join(pkg.dir, 'index'), fileSystem);
+}
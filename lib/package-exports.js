@@ -0,0 +1,351 @@
+var path = require('path');
+var debug = require('debug')('cabinet');
+var fsUtils = require('./fs-utils');
+
+/**
+ * Resolves bare specifiers through the "exports" field of packages
+ * and private (#) specifiers through the "imports" field, following Node's algorithm
+ *
+ * @see https://nodejs.org/api/esm.html#resolution-algorithm-specification
+ */
+
+/**
+ * @param  {String} partial - A bare specifier like lodash-es/debounce
+ * @param  {String} filename - The file containing the partial
+ * @param  {String[]} conditions - The conditions that "exports" targets are matched against
+ * @param  {Object} [fileSystem] - Reads the package.json files instead of fs
+ * @return {String|undefined} The resolved path or undefined if the package does not have an "exports" field
+ * @throws {Error} If the package does not export the subpath
+ */
+module.exports.resolveExports = function(partial, filename, conditions, fileSystem) {
+  var parsed = module.exports.splitSpecifier(partial);
+  var subpath = parsed.subpath ? './' + parsed.subpath : '.';
+  var pkg = findPackageByName(parsed.name, path.dirname(path.resolve(filename)), fileSystem);
+
+  if (!pkg || typeof pkg.json.exports === 'undefined' || pkg.json.exports === null) {
+    return;
+  }
+
+  debug('resolving ' + subpath + ' through the exports of ' + pkg.dir);
+
+  var resolved = resolvePackageExports(pkg.dir, subpath, pkg.json.exports, conditions);
+
+  if (!resolved) {
+    throw createError('ERR_PACKAGE_PATH_NOT_EXPORTED',
+      'Package subpath \'' + subpath + '\' is not defined by "exports" in ' + path.join(pkg.dir, 'package.json'));
+  }
+
+  return resolved;
+};
+
+/**
+ * @param  {String} partial - A private specifier like #internal/utils
+ * @param  {String} filename - The file containing the partial
+ * @param  {String[]} conditions - The conditions that "imports" targets are matched against
+ * @param  {Object} [fileSystem] - Reads the package.json files instead of fs
+ * @return {String} The resolved path or, when mapped to a dependency, a bare specifier
+ * @throws {Error} If the package scope of the file does not define the specifier
+ */
+module.exports.resolveImports = function(partial, filename, conditions, fileSystem) {
+  var scope = findPackageScope(path.dirname(path.resolve(filename)), fileSystem);
+
+  if (partial !== '#' && partial.indexOf('#/') !== 0 && scope && scope.json.imports && typeof scope.json.imports === 'object') {
+    debug('resolving ' + partial + ' through the imports of ' + scope.dir);
+
+    var resolved = resolveImportsExports(partial, scope.json.imports, scope.dir, true, conditions);
+
+    if (resolved) {
+      return resolved;
+    }
+  }
+
+  throw createError('ERR_PACKAGE_IMPORT_NOT_DEFINED',
+    'Package import specifier \'' + partial + '\' is not defined' + (scope ? ' in ' + path.join(scope.dir, 'package.json') : ''));
+};
+
+/**
+ * Finds the package that a bare specifier names the way Node does
+ *
+ * @param  {String} name - The name of the package
+ * @param  {String} dir - The directory of the file containing the specifier
+ * @param  {Object} [fileSystem] - Reads the package.json files instead of fs
+ * @return {Object|null} The package's directory (dir) and parsed package.json (json)
+ */
+module.exports.findPackage = function(name, dir, fileSystem) {
+  return findPackageByName(name, path.resolve(dir), fileSystem);
+};
+
+/**
+ * Finds the package that a file belongs to
+ *
+ * @param  {String} dir - The directory of the file
+ * @param  {Object} [fileSystem] - Reads the package.json files instead of fs
+ * @return {Object|null} The package's directory (dir) and parsed package.json (json)
+ */
+module.exports.findPackageScope = function(dir, fileSystem) {
+  return findPackageScope(path.resolve(dir), fileSystem);
+};
+
+/**
+ * Splits a bare specifier into the name of the package (along with its scope) and the path within the package
+ *
+ * @param  {String} specifier - Like @scope/pkg/lib/file
+ * @return {Object} The package name (name) and the path within the package, without a leading ./ (subpath)
+ * or an empty string for the package itself
+ */
+module.exports.splitSpecifier = function(specifier) {
+  var segments = specifier.split('/');
+  var nameLength = specifier[0] === '@' ? 2 : 1;
+
+  return {
+    name: segments.slice(0, nameLength).join('/'),
+    subpath: segments.slice(nameLength).join('/')
+  };
+};
+
+/**
+ * @private
+ * @param  {String} packageDir
+ * @param  {String} subpath - Either . or ./ followed by the rest of the specifier
+ * @param  {String|Array|Object} exports
+ * @param  {String[]} conditions
+ * @return {String|null}
+ */
+function resolvePackageExports(packageDir, subpath, exports, conditions) {
+  var isSubpathMap = exports && typeof exports === 'object' && !Array.isArray(exports) &&
+    Object.keys(exports).some(function(key) { return key[0] === '.'; });
+
+  if (subpath === '.') {
+    var mainExport = isSubpathMap ? exports['.'] : exports;
+
+    if (typeof mainExport === 'undefined') { return null; }
+
+    return resolveTarget(packageDir, mainExport, null, false, conditions) || null;
+  }
+
+  if (!isSubpathMap) { return null; }
+
+  return resolveImportsExports(subpath, exports, packageDir, false, conditions);
+}
+
+/**
+ * Matches the key against the entries and subpath patterns of an "exports" or "imports" map
+ *
+ * @private
+ * @param  {String} matchKey
+ * @param  {Object} matchObj
+ * @param  {String} packageDir
+ * @param  {Boolean} isImports
+ * @param  {String[]} conditions
+ * @return {String|null}
+ */
+function resolveImportsExports(matchKey, matchObj, packageDir, isImports, conditions) {
+  if (matchObj.hasOwnProperty(matchKey) && matchKey.indexOf('*') === -1) {
+    return resolveTarget(packageDir, matchObj[matchKey], null, isImports, conditions) || null;
+  }
+
+  var expansionKeys = Object.keys(matchObj).filter(function(key) {
+    return key.indexOf('*') !== -1 && key.indexOf('*') === key.lastIndexOf('*');
+  })
+  .sort(comparePatternKeys);
+
+  for (var i = 0; i < expansionKeys.length; i++) {
+    var expansionKey = expansionKeys[i];
+    var patternBase = expansionKey.slice(0, expansionKey.indexOf('*'));
+    var patternTrailer = expansionKey.slice(expansionKey.indexOf('*') + 1);
+
+    if (matchKey.indexOf(patternBase) !== 0 || matchKey === patternBase) { continue; }
+
+    if (!patternTrailer ||
+        (endsWith(matchKey, patternTrailer) && matchKey.length >= expansionKey.length)) {
+      var patternMatch = matchKey.slice(patternBase.length, matchKey.length - patternTrailer.length);
+
+      return resolveTarget(packageDir, matchObj[expansionKey], patternMatch, isImports, conditions) || null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @param  {String} packageDir
+ * @param  {String|Array|Object|null} target
+ * @param  {String|null} patternMatch - What the * of the matched key stands for
+ * @param  {Boolean} isImports
+ * @param  {String[]} conditions
+ * @return {String|null|undefined} undefined when no condition matched and null when the target is excluded
+ */
+function resolveTarget(packageDir, target, patternMatch, isImports, conditions) {
+  if (typeof target === 'string') {
+    if (patternMatch !== null) {
+      target = target.split('*').join(patternMatch);
+    }
+
+    if (target.indexOf('./') !== 0) {
+      // Only "imports" may map to other packages
+      if (isImports && target.indexOf('../') !== 0 && target[0] !== '/' && !/^[a-z][a-z0-9+.-]*:/i.test(target)) {
+        return target;
+      }
+
+      return null;
+    }
+
+    var resolved = path.join(packageDir, target);
+
+    // Targets can't escape the package
+    if (resolved.indexOf(packageDir + path.sep) !== 0 || /(^|\/)node_modules(\/|$)/.test(target)) {
+      return null;
+    }
+
+    return resolved;
+  }
+
+  if (Array.isArray(target)) {
+    for (var i = 0; i < target.length; i++) {
+      var fallback = resolveTarget(packageDir, target[i], patternMatch, isImports, conditions);
+
+      if (fallback) { return fallback; }
+    }
+
+    return null;
+  }
+
+  if (target && typeof target === 'object') {
+    var keys = Object.keys(target);
+
+    for (var j = 0; j < keys.length; j++) {
+      var condition = keys[j];
+
+      if (condition !== 'default' && conditions.indexOf(condition) === -1) { continue; }
+
+      var conditional = resolveTarget(packageDir, target[condition], patternMatch, isImports, conditions);
+
+      if (typeof conditional !== 'undefined') {
+        return conditional;
+      }
+    }
+
+    return;
+  }
+
+  return null;
+}
+
+/**
+ * Orders subpath patterns from the most to the least specific
+ *
+ * @private
+ * @param  {String} keyA
+ * @param  {String} keyB
+ * @return {Number}
+ */
+function comparePatternKeys(keyA, keyB) {
+  var baseLengthA = keyA.indexOf('*') + 1;
+  var baseLengthB = keyB.indexOf('*') + 1;
+
+  if (baseLengthA !== baseLengthB) {
+    return baseLengthB - baseLengthA;
+  }
+
+  return keyB.length - keyA.length;
+}
+
+/**
+ * Looks for the package within the node_modules of the directory and its ancestors.
+ * A package can also refer to itself by its own name.
+ *
+ * @private
+ * @param  {String} name
+ * @param  {String} dir
+ * @param  {Object} [fileSystem]
+ * @return {Object|null} The package's directory (dir) and parsed package.json (json)
+ */
+function findPackageByName(name, dir, fileSystem) {
+  var scope = findPackageScope(dir, fileSystem);
+
+  if (scope && scope.json.name === name && scope.json.exports) {
+    return scope;
+  }
+
+  while (true) {
+    if (path.basename(dir) !== 'node_modules') {
+      var packageDir = path.join(dir, 'node_modules', name);
+      var json = readPackageJson(packageDir, fileSystem);
+
+      if (json) {
+        return {
+          dir: packageDir,
+          json: json
+        };
+      }
+    }
+
+    var parent = path.dirname(dir);
+
+    if (parent === dir) { return null; }
+
+    dir = parent;
+  }
+}
+
+/**
+ * Finds the nearest package.json of the directory
+ *
+ * @private
+ * @param  {String} dir
+ * @param  {Object} [fileSystem]
+ * @return {Object|null} The package's directory (dir) and parsed package.json (json)
+ */
+function findPackageScope(dir, fileSystem) {
+  while (path.basename(dir) !== 'node_modules') {
+    var json = readPackageJson(dir, fileSystem);
+
+    if (json) {
+      return {
+        dir: dir,
+        json: json
+      };
+    }
+
+    var parent = path.dirname(dir);
+
+    if (parent === dir) { break; }
+
+    dir = parent;
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @param  {String} dir
+ * @param  {Object} [fileSystem]
+ * @return {Object|null}
+ */
+function readPackageJson(dir, fileSystem) {
+  return fsUtils.readJson(path.join(dir, 'package.json'), fileSystem);
+}
+
+/**
+ * @private
+ * @param  {String} str
+ * @param  {String} suffix
+ * @return {Boolean}
+ */
+function endsWith(str, suffix) {
+  return str.slice(-suffix.length) === suffix;
+}
+
+/**
+ * @private
+ * @param  {String} code
+ * @param  {String} message
+ * @return {Error}
+ */
+function createError(code, message) {
+  var error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,131 @@
+var path = require('path');
+var debug = require('debug')('cabinet');
+var fsUtils = require('./fs-utils');
+var glob = require('./glob');
+
+/**
+ * Splits the dynamic patterns of bundlers into the folder they start from and a regular expression
+ * for the files within it: the folders of webpack's require.context, the globs of Vite's import.meta.glob
+ * and template literal imports like `./lang/${x}.js`
+ *
+ * @see https://webpack.js.org/guides/dependency-management/#requirecontext
+ * @see https://vitejs.dev/guide/features.html#glob-import
+ */
+
+/*
+ * Matches every file, like the default of require.context
+ */
+var defaultContextRegExp = /^\.\/.*$/;
+
+/**
+ * @param  {String} pattern - A folder, a glob like ./pages/*.vue or a template literal like ./lang/${x}.js
+ * @param  {Object} [contextOptions]
+ * @param  {Boolean} [contextOptions.glob] - Whether a pattern without wildcards is a glob (matching a file) rather than a folder
+ * @param  {Boolean} [contextOptions.recursive=true] - Whether the subfolders of a folder are searched
+ * @param  {RegExp} [contextOptions.regExp] - The files of a folder to match, as paths relative to the folder starting with ./
+ * @return {Object} The request of the folder (base), the regular expression that the paths of the files within it
+ * match, starting with ./ (regExp), and how many levels of folders to search (depth)
+ */
+module.exports.parse = function(pattern, contextOptions) {
+  contextOptions = contextOptions || {};
+
+  // Template literals can be given along with their backticks
+  pattern = pattern.replace(/^`(.*)`$/, '$1');
+
+  if (/\$\{[^}]*\}/.test(pattern)) {
+    return parseTemplate(pattern);
+  }
+
+  if (contextOptions.glob || glob.isGlob(pattern)) {
+    return parseGlob(pattern);
+  }
+
+  return {
+    base: pattern.replace(/\/+$/, ''),
+    regExp: contextOptions.regExp || defaultContextRegExp,
+    depth: contextOptions.recursive === false ? 1 : Infinity
+  };
+};
+
+/**
+ * Finds the files within the folder that match a parsed pattern,
+ * leaving out the ones within node_modules and hidden folders
+ *
+ * @param  {String} dir - The folder that the base of the pattern resolved to
+ * @param  {Object} parsed - The pattern returned by parse
+ * @param  {Object} [fileSystem] - Reads the folders instead of fs
+ * @return {String[]} The matching files in alphabetical order
+ */
+module.exports.find = function(dir, parsed, fileSystem) {
+  var files = [];
+
+  (function walk(currentDir, relativeDir, depth) {
+    fsUtils.readDir(currentDir, fileSystem).forEach(function(entry) {
+      var entryPath = path.join(currentDir, entry);
+      var relativePath = relativeDir + '/' + entry;
+      var stats = fsUtils.stat(entryPath, fileSystem);
+
+      if (!stats) { return; }
+
+      if (stats.isDirectory()) {
+        if (depth > 1 && entry !== 'node_modules' && entry[0] !== '.') {
+          walk(entryPath, relativePath, depth - 1);
+        }
+
+        return;
+      }
+
+      if (parsed.regExp.test(relativePath)) {
+        files.push(entryPath);
+      }
+    });
+  })(dir, '.', parsed.depth);
+
+  debug('found ' + files.length + ' files matching ' + parsed.regExp + ' within ' + dir);
+
+  return files.sort();
+};
+
+/**
+ * Like webpack, the placeholders match any part of the path including its folders
+ *
+ * @private
+ * @param  {String} pattern
+ * @return {Object}
+ */
+function parseTemplate(pattern) {
+  var prefix = pattern.slice(0, pattern.indexOf('${'));
+  var base = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+  var rest = pattern.slice(base.length);
+
+  return {
+    base: base.replace(/\/+$/, '') || '.',
+    regExp: new RegExp('^\\./' + rest.split(/\$\{[^}]*\}/).map(glob.escapeRegExp).join('.*') + '$'),
+    depth: Infinity
+  };
+}
+
+/**
+ * The folders before the first segment with a wildcard make up the base of the glob
+ *
+ * @private
+ * @param  {String} pattern
+ * @return {Object}
+ */
+function parseGlob(pattern) {
+  var segments = pattern.split('/');
+  var firstDynamic = 0;
+
+  // The last segment matches the files
+  while (firstDynamic < segments.length - 1 && !glob.isGlob(segments[firstDynamic])) {
+    firstDynamic++;
+  }
+
+  var rest = segments.slice(firstDynamic);
+
+  return {
+    base: segments.slice(0, firstDynamic).join('/') || (pattern[0] === '/' ? '/' : '.'),
+    regExp: new RegExp('^\\./' + glob.toSource(rest.join('/')) + '$'),
+    depth: rest.indexOf('**') === -1 ? rest.length : Infinity
+  };
+}
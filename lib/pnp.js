@@ -0,0 +1,525 @@
+var path = require('path');
+var fs = require('fs');
+var zlib = require('zlib');
+var debug = require('debug')('cabinet');
+var fsUtils = require('./fs-utils');
+
+/**
+ * Resolves bare specifiers through the package locator data of a Yarn Plug'n'Play manifest
+ * without running (or setting up) the manifest
+ *
+ * @see https://yarnpkg.com/advanced/pnp-spec
+ */
+
+var manifestNames = ['.pnp.cjs', '.pnp.js'];
+
+/**
+ * Finds the nearest PnP manifest of the directory
+ *
+ * @param  {String} dir
+ * @param  {Object} [fileSystem] - Looks for the manifest instead of fs
+ * @return {String|null} The path to the manifest or null if there's none
+ */
+module.exports.findManifest = function(dir, fileSystem) {
+  dir = path.resolve(dir);
+
+  while (true) {
+    for (var i = 0; i < manifestNames.length; i++) {
+      var manifestPath = path.join(dir, manifestNames[i]);
+
+      if (fsUtils.isFile(manifestPath, fileSystem)) {
+        return manifestPath;
+      }
+    }
+
+    var parent = path.dirname(dir);
+
+    if (parent === dir) { return null; }
+
+    dir = parent;
+  }
+};
+
+/**
+ * Tells whether a file (like one being invalidated) could be a PnP manifest
+ *
+ * @param  {String} filePath
+ * @return {Boolean}
+ */
+module.exports.isManifest = function(filePath) {
+  var basename = path.basename(filePath);
+
+  return manifestNames.indexOf(basename) !== -1 || basename === '.pnp.data.json';
+};
+
+/**
+ * Reads the manifest into the subset of the PnP api that resolvers need
+ *
+ * @param  {String} manifestPath
+ * @param  {Object} [fileSystem] - Reads the manifest and the zip archives instead of fs
+ * @return {Object} The api with resolveToUnqualified(request, issuer) and the file system (fs)
+ * that also reads the files within the zip archives of the cache
+ * @throws {Error} If the manifest could not be read
+ */
+module.exports.load = function(manifestPath, fileSystem) {
+  manifestPath = path.resolve(manifestPath);
+
+  var manifestDir = path.dirname(manifestPath);
+  var state = readRuntimeState(manifestPath, fileSystem);
+  var packages = {};
+  var locations = [];
+
+  state.packageRegistryData.forEach(function(packageEntry) {
+    var name = packageEntry[0];
+
+    packageEntry[1].forEach(function(referenceEntry) {
+      var reference = referenceEntry[0];
+      var information = referenceEntry[1];
+      var packageLocation = path.resolve(manifestDir, information.packageLocation);
+
+      packages[getLocatorKey(name, reference)] = {
+        location: packageLocation,
+        dependencies: toMap(information.packageDependencies)
+      };
+
+      // The top-level (null) locator shares its location with the workspace
+      if (name !== null) {
+        locations.push({
+          location: packageLocation + path.sep,
+          name: name,
+          reference: reference
+        });
+      }
+    });
+  });
+
+  // The deepest locations come first since packages can be nested within others
+  locations.sort(function(a, b) {
+    return b.location.length - a.location.length;
+  });
+
+  var fallbackDependencies = toMap(state.fallbackPool || []);
+  var fallbackExclusions = toMap(state.fallbackExclusionList || []);
+
+  function findPackageLocator(issuer) {
+    for (var i = 0; i < locations.length; i++) {
+      if (issuer.indexOf(locations[i].location) === 0) {
+        return locations[i];
+      }
+    }
+
+    return null;
+  }
+
+  function isExcludedFromFallback(locator) {
+    var references = fallbackExclusions[locator.name];
+
+    return !!references && references.indexOf(locator.reference) !== -1;
+  }
+
+  /**
+   * @param  {String} request - A bare specifier like lodash/fp
+   * @param  {String} issuer - The file (or directory, with a trailing slash) containing the request
+   * @return {String|null} The path within the package or null if the issuer is not within the project
+   * @throws {Error} If the issuer does not depend on the package
+   */
+  function resolveToUnqualified(request, issuer) {
+    if (request === 'pnpapi') {
+      return manifestPath;
+    }
+
+    var issuerLocator = findPackageLocator(path.resolve(issuer) + (/[\\/]$/.test(issuer) ? path.sep : ''));
+
+    if (!issuerLocator) { return null; }
+
+    var name = /^(@[^/]+\/)?[^/]+/.exec(request)[0];
+    var subpath = request.slice(name.length);
+    var issuerPackage = packages[getLocatorKey(issuerLocator.name, issuerLocator.reference)];
+    var reference = issuerPackage.dependencies[name];
+
+    if (typeof reference === 'undefined' && state.enableTopLevelFallback && !isExcludedFromFallback(issuerLocator)) {
+      var topLevelPackage = packages[getLocatorKey(null, null)];
+
+      reference = topLevelPackage && topLevelPackage.dependencies.hasOwnProperty(name) ?
+        topLevelPackage.dependencies[name] :
+        fallbackDependencies[name];
+    }
+
+    if (reference === null || typeof reference === 'undefined') {
+      throw createUndeclaredDependencyError(name, issuerLocator, reference === null);
+    }
+
+    // Aliased dependencies (like "lodash": "npm:lodash-es@...") name another package
+    var dependencyPackage = Array.isArray(reference) ?
+      packages[getLocatorKey(reference[0], reference[1])] :
+      packages[getLocatorKey(name, reference)];
+
+    debug('resolved ' + name + ' through the pnp manifest to ' + dependencyPackage.location);
+
+    return subpath ? path.join(dependencyPackage.location, subpath) : dependencyPackage.location;
+  }
+
+  return {
+    manifestPath: manifestPath,
+    resolveToUnqualified: resolveToUnqualified,
+    fs: createZipFs(fileSystem || fs)
+  };
+};
+
+/**
+ * Wraps the file system so that it can also read the files and directories within zip archives,
+ * which is where Yarn keeps the packages of its cache
+ *
+ * It offers the synchronous and callback-based methods that the resolvers use
+ *
+ * @param  {Object} baseFs
+ * @return {Object}
+ */
+function createZipFs(baseFs) {
+  var archives = {};
+
+  function getArchive(zipPath) {
+    if (!archives.hasOwnProperty(zipPath)) {
+      archives[zipPath] = readZipEntries(baseFs, zipPath);
+    }
+
+    return archives[zipPath];
+  }
+
+  function statSync(filePath) {
+    var zipped = splitZipPath(filePath);
+
+    if (!zipped) { return baseFs.statSync(filePath); }
+
+    var archive = getArchive(zipped.zipPath);
+    var entry = archive.files[zipped.entryName];
+
+    if (!entry && zipped.entryName && !archive.directories[zipped.entryName]) {
+      throw createFsError('ENOENT', 'no such file or directory', filePath);
+    }
+
+    return createStats(!!entry, entry ? entry.size : 0);
+  }
+
+  function readFileSync(filePath, encoding) {
+    var zipped = splitZipPath(filePath);
+
+    if (!zipped) { return baseFs.readFileSync(filePath, encoding); }
+
+    var archive = getArchive(zipped.zipPath);
+    var entry = archive.files[zipped.entryName];
+
+    if (!entry) {
+      throw createFsError('ENOENT', 'no such file or directory', filePath);
+    }
+
+    var contents = readZipEntry(archive, entry);
+
+    encoding = typeof encoding === 'object' && encoding ? encoding.encoding : encoding;
+
+    return encoding ? contents.toString(encoding) : contents;
+  }
+
+  function readdirSync(dirPath) {
+    var zipped = splitZipPath(dirPath);
+
+    if (!zipped) { return baseFs.readdirSync(dirPath); }
+
+    var archive = getArchive(zipped.zipPath);
+    var prefix = zipped.entryName ? zipped.entryName + '/' : '';
+    var children = {};
+
+    Object.keys(archive.files).concat(Object.keys(archive.directories)).forEach(function(entryName) {
+      if (entryName.indexOf(prefix) === 0 && entryName.length > prefix.length) {
+        children[entryName.slice(prefix.length).split('/')[0]] = true;
+      }
+    });
+
+    return Object.keys(children);
+  }
+
+  function readlinkSync(filePath) {
+    if (!splitZipPath(filePath)) { return baseFs.readlinkSync(filePath); }
+
+    throw createFsError('EINVAL', 'invalid argument', filePath);
+  }
+
+  function readJsonSync(filePath) {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  }
+
+  var zipFs = {
+    statSync: statSync,
+    lstatSync: statSync,
+    readFileSync: readFileSync,
+    readdirSync: readdirSync,
+    readlinkSync: readlinkSync,
+    readJsonSync: readJsonSync,
+    existsSync: function(filePath) {
+      try {
+        statSync(filePath);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }
+  };
+
+  ['stat', 'lstat', 'readFile', 'readdir', 'readlink', 'readJson'].forEach(function(method) {
+    var syncMethod = zipFs[method + 'Sync'];
+
+    zipFs[method] = function() {
+      var args = Array.prototype.slice.call(arguments);
+      var callback = args.pop();
+      var result;
+
+      try {
+        result = syncMethod.apply(null, args);
+      } catch (e) {
+        return process.nextTick(callback, e);
+      }
+
+      process.nextTick(callback, null, result);
+    };
+  });
+
+  return zipFs;
+}
+
+module.exports.createZipFs = createZipFs;
+
+/**
+ * Reads the state that the manifest hydrates its runtime with: either the .pnp.data.json next to it
+ * or the JSON inlined within the manifest (as a string by Yarn 3+ or as an object literal by Yarn 2)
+ *
+ * @private
+ * @param  {String} manifestPath
+ * @param  {Object} [fileSystem]
+ * @return {Object}
+ */
+function readRuntimeState(manifestPath, fileSystem) {
+  var dataPath = path.join(path.dirname(manifestPath), '.pnp.data.json');
+
+  fileSystem = fileSystem || fs;
+
+  if (fsUtils.isFile(dataPath, fileSystem)) {
+    return JSON.parse(fileSystem.readFileSync(dataPath, 'utf8'));
+  }
+
+  var source = fileSystem.readFileSync(manifestPath, 'utf8');
+  var rawState = /RAW_RUNTIME_STATE\s*=\s*'((?:[^'\\]|\\[\s\S])*)'/.exec(source);
+
+  if (rawState) {
+    // Undo the escaping of the string literal
+    return JSON.parse(rawState[1].replace(/\\(\r?\n|[\s\S])/g, function(_, escaped) {
+      return /^\r?\n$/.test(escaped) ? '' : escaped;
+    }));
+  }
+
+  var hydrateCall = source.indexOf('hydrateRuntimeState({');
+
+  if (hydrateCall !== -1) {
+    var start = source.indexOf('{', hydrateCall);
+
+    return JSON.parse(source.slice(start, findClosingBrace(source, start) + 1));
+  }
+
+  throw new Error('Could not find the runtime state within the PnP manifest at ' + manifestPath);
+}
+
+/**
+ * @private
+ * @param  {String} source
+ * @param  {Number} start - The index of the opening brace
+ * @return {Number} The index of the matching closing brace
+ */
+function findClosingBrace(source, start) {
+  var depth = 0;
+  var inString = false;
+
+  for (var i = start; i < source.length; i++) {
+    var character = source[i];
+
+    if (inString) {
+      if (character === '\\') {
+        i++;
+      } else if (character === '"') {
+        inString = false;
+      }
+    } else if (character === '"') {
+      inString = true;
+    } else if (character === '{') {
+      depth++;
+    } else if (character === '}' && --depth === 0) {
+      return i;
+    }
+  }
+
+  return source.length - 1;
+}
+
+/**
+ * Lists the entries of a zip archive from its central directory
+ *
+ * @private
+ * @param  {Object} baseFs
+ * @param  {String} zipPath
+ * @return {Object} The contents of the archive (buffer), its files by name (files) and the names of its directories (directories)
+ */
+function readZipEntries(baseFs, zipPath) {
+  var buffer = baseFs.readFileSync(zipPath);
+  var endOfCentralDirectory = -1;
+
+  // The end of central directory record is followed by a comment of up to 64kb
+  for (var i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOfCentralDirectory = i;
+      break;
+    }
+  }
+
+  if (endOfCentralDirectory === -1) {
+    throw createFsError('EINVAL', 'not a zip archive', zipPath);
+  }
+
+  var entryCount = buffer.readUInt16LE(endOfCentralDirectory + 10);
+  var offset = buffer.readUInt32LE(endOfCentralDirectory + 16);
+  var files = {};
+  var directories = {};
+
+  for (var j = 0; j < entryCount; j++) {
+    var nameLength = buffer.readUInt16LE(offset + 28);
+    var extraLength = buffer.readUInt16LE(offset + 30);
+    var commentLength = buffer.readUInt16LE(offset + 32);
+    var name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (name[name.length - 1] === '/') {
+      directories[name.slice(0, -1)] = true;
+    } else {
+      files[name] = {
+        method: buffer.readUInt16LE(offset + 10),
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        size: buffer.readUInt32LE(offset + 24),
+        localHeaderOffset: buffer.readUInt32LE(offset + 42)
+      };
+
+      // Archives don't need to list the directories of their files
+      var segments = name.split('/');
+
+      for (var k = 1; k < segments.length; k++) {
+        directories[segments.slice(0, k).join('/')] = true;
+      }
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    buffer: buffer,
+    files: files,
+    directories: directories
+  };
+}
+
+/**
+ * @private
+ * @param  {Object} archive
+ * @param  {Object} entry
+ * @return {Buffer}
+ */
+function readZipEntry(archive, entry) {
+  var buffer = archive.buffer;
+  var headerOffset = entry.localHeaderOffset;
+  var dataOffset = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+  var data = buffer.slice(dataOffset, dataOffset + entry.compressedSize);
+
+  // Entries are either stored as-is or deflated
+  return entry.method === 8 ? zlib.inflateRawSync(data) : data;
+}
+
+/**
+ * @private
+ * @param  {String} filePath
+ * @return {Object|null} The path to the zip archive (zipPath) and the name of the entry within it (entryName)
+ */
+function splitZipPath(filePath) {
+  var match = /^(.*?\.zip)(?:[\\/](.*))?$/.exec(filePath);
+
+  if (!match) { return null; }
+
+  return {
+    zipPath: match[1],
+    entryName: (match[2] || '').replace(/\\/g, '/').replace(/\/$/, '')
+  };
+}
+
+/**
+ * @private
+ * @param  {Boolean} isFile
+ * @param  {Number} size
+ * @return {Object}
+ */
+function createStats(isFile, size) {
+  return {
+    size: size,
+    mtime: new Date(0),
+    isFile: function() { return isFile; },
+    isDirectory: function() { return !isFile; },
+    isFIFO: function() { return false; },
+    isSymbolicLink: function() { return false; }
+  };
+}
+
+/**
+ * @private
+ * @param  {String} code
+ * @param  {String} description
+ * @param  {String} filePath
+ * @return {Error}
+ */
+function createFsError(code, description, filePath) {
+  var error = new Error(code + ': ' + description + ', ' + filePath);
+  error.code = code;
+  return error;
+}
+
+/**
+ * @private
+ * @param  {String} name
+ * @param  {Object} issuerLocator
+ * @param  {Boolean} isMissingPeer
+ * @return {Error}
+ */
+function createUndeclaredDependencyError(name, issuerLocator, isMissingPeer) {
+  var error = new Error(issuerLocator.name + ' tried to access ' + name +
+    (isMissingPeer ? ' (a peer dependency) but it was not provided by its ancestors' : ' but it isn\'t declared in its dependencies'));
+
+  error.code = 'MODULE_NOT_FOUND';
+  error.pnpCode = isMissingPeer ? 'MISSING_PEER_DEPENDENCY' : 'UNDECLARED_DEPENDENCY';
+  return error;
+}
+
+/**
+ * @private
+ * @param  {String|null} name
+ * @param  {String|null} reference
+ * @return {String}
+ */
+function getLocatorKey(name, reference) {
+  return JSON.stringify([name, reference]);
+}
+
+/**
+ * @private
+ * @param  {Array[]} entries - [key, value] pairs
+ * @return {Object}
+ */
+function toMap(entries) {
+  var map = {};
+
+  entries.forEach(function(entry) {
+    map[entry[0]] = entry[1];
+  });
+
+  return map;
+}
@@ -0,0 +1,157 @@
+var debug = require('debug')('cabinet');
+
+/**
+ * The ordered lookup strategies of a cabinet per file extension
+ *
+ * A strategy receives every option given to cabinet (including the partial, filename,
+ * directory, cache and trace) as a single object and returns the resolved path.
+ * Async strategies may return a promise for the path.
+ *
+ * The strategies of an extension are tried in order until one of them resolves the partial.
+ * A strategy that doesn't handle the partial returns Registry.CONTINUE.
+ *
+ * @constructor
+ * @param  {Object} lookups - A strategy or list of strategies by extension
+ * @param  {Object} [asyncLookups] - The strategies used by cabinet.async by extension
+ */
+function Registry(lookups, asyncLookups) {
+  this.lookups = {};
+  this.asyncLookups = {};
+  // Kept in place so that it can be exposed as supportedFileExtensions
+  this.extensions = [];
+
+  Object.keys(lookups).forEach(function(extension) {
+    this.register(extension, lookups[extension], asyncLookups && asyncLookups[extension]);
+  }, this);
+}
+
+/**
+ * Returned by a strategy to hand the partial over to the next strategy of the extension
+ *
+ * @type {Object}
+ */
+Registry.CONTINUE = Object.freeze({});
+
+/**
+ * @param  {String} extension - The file extension that should use the strategies
+ * @param  {Function|Function[]} lookupStrategies - A strategy or the strategies to try in order
+ * @param  {Function|Function[]} [asyncLookupStrategies] - Used instead of the lookup strategies by cabinet.async
+ */
+Registry.prototype.register = function(extension, lookupStrategies, asyncLookupStrategies) {
+  lookupStrategies = toChain(extension, lookupStrategies);
+
+  debug('registering ' + lookupStrategies.length + ' lookup strategies for ' + extension);
+
+  this.lookups[extension] = lookupStrategies;
+
+  if (asyncLookupStrategies) {
+    this.asyncLookups[extension] = toChain(extension, asyncLookupStrategies);
+  } else {
+    delete this.asyncLookups[extension];
+  }
+
+  if (this.extensions.indexOf(extension) === -1) {
+    this.extensions.push(extension);
+  }
+};
+
+/**
+ * Removes the strategies of the extension, whose files are then resolved by the generic resolver
+ *
+ * @param  {String} extension
+ * @return {Boolean} Whether the extension had a strategy
+ */
+Registry.prototype.unregister = function(extension) {
+  var index = this.extensions.indexOf(extension);
+
+  delete this.lookups[extension];
+  delete this.asyncLookups[extension];
+
+  if (index === -1) { return false; }
+
+  debug('unregistering the lookup strategy for ' + extension);
+
+  this.extensions.splice(index, 1);
+
+  return true;
+};
+
+/**
+ * @param  {String} extension
+ * @return {Function[]|undefined} The strategies of the extension in order
+ */
+Registry.prototype.getLookups = function(extension) {
+  return this.lookups.hasOwnProperty(extension) ? this.lookups[extension].slice() : undefined;
+};
+
+/**
+ * @param  {String} extension
+ * @return {Function[]|undefined} The async strategies of the extension or else its lookup strategies
+ */
+Registry.prototype.getAsyncLookups = function(extension) {
+  return this.asyncLookups.hasOwnProperty(extension) ?
+    this.asyncLookups[extension].slice() :
+    this.getLookups(extension);
+};
+
+/**
+ * Marks a strategy as one that receives the options as a single object
+ *
+ * @param  {Function} strategy
+ * @return {Function} The strategy
+ */
+Registry.takesOptions = function(strategy) {
+  strategy.takesOptions = true;
+
+  return strategy;
+};
+
+/**
+ * Adapts a strategy written for the legacy contract, which receives the options as
+ * (partial, filename, directory, config, webpackConfig, configPath, nodeModulesConfig, ast, options)
+ *
+ * Strategies marked as taking the options, like the built-in ones and those of a registry, are returned as they are
+ *
+ * @param  {Function} positionalStrategy
+ * @return {Function}
+ */
+Registry.fromPositional = function(positionalStrategy) {
+  if (positionalStrategy.takesOptions) { return positionalStrategy; }
+
+  var strategy = function(options) {
+    return positionalStrategy(options.partial, options.filename, options.directory, options.config,
+      options.webpackConfig, options.configPath, options.nodeModulesConfig, options.ast, options);
+  };
+
+  // Lets traces report the name of the adapted strategy
+  strategy.positionalStrategy = positionalStrategy;
+
+  return Registry.takesOptions(strategy);
+};
+
+/**
+ * @private
+ * @param  {String} extension
+ * @param  {Function|Function[]} strategies
+ * @return {Function[]}
+ */
+function toChain(extension, strategies) {
+  var chain = Array.isArray(strategies) ? strategies.slice() : [strategies];
+
+  if (!chain.length) {
+    throw new Error('no lookup strategies were given for ' + extension);
+  }
+
+  chain.forEach(function(strategy) {
+    if (typeof strategy !== 'function') {
+      throw new Error('each lookup strategy for ' + extension + ' must be a function');
+    }
+
+    // So that the strategies handed out by getLookups can be registered again
+    Registry.takesOptions(strategy);
+  });
+
+  return chain;
+}
+
+module.exports = Registry;
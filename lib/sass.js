@@ -0,0 +1,388 @@
+var path = require('path');
+var url = require('url');
+var debug = require('debug')('cabinet');
+var fsUtils = require('./fs-utils');
+var packageExports = require('./package-exports');
+
+/**
+ * Resolves the partials of @use, @forward and @import rules the way Dart Sass does
+ *
+ * @see https://sass-lang.com/documentation/at-rules/use/#finding-the-module
+ * @see https://sass-lang.com/documentation/js-api/classes/nodepackageimporter/
+ */
+
+var syntaxExtensions = ['.scss', '.sass'];
+
+/*
+ * The conditions that Dart Sass matches the "exports" of a package against
+ */
+var exportConditions = ['sass', 'style'];
+
+/**
+ * Tries the partial relative to the file, then through the importers and within the load paths
+ *
+ * @param  {String} partial
+ * @param  {String} filename - The file containing the partial
+ * @param  {String} directory - The last of the load paths
+ * @param  {Object} [sassOptions]
+ * @param  {String[]} [sassOptions.loadPaths] - Relative to the directory
+ * @param  {Array|Object} [sassOptions.importers] - Legacy importer functions and objects with findFileUrl
+ * or an object mapping prefixes of partials to the folders they stand for
+ * @param  {Object} [fileSystem] - Reads the files instead of fs
+ * @return {String|null} The resolved path or null if the partial could not be found
+ * @throws {Error} If the partial matches more than one file or names a package that can't be resolved
+ */
+module.exports.resolve = function(partial, filename, directory, sassOptions, fileSystem) {
+  sassOptions = sassOptions || {};
+  filename = path.resolve(filename);
+
+  var fileDir = path.dirname(filename);
+
+  function resolveFile(filePath) {
+    return resolveFilePath(filePath, fileSystem);
+  }
+
+  if (partial.indexOf('pkg:') === 0) {
+    return resolvePackageUrl(partial.slice('pkg:'.length), fileDir, fileSystem);
+  }
+
+  // The webpack convention for the packages within node_modules
+  if (partial[0] === '~') {
+    return resolveWithinNodeModules(partial.replace(/^~\/?/, ''), fileDir, fileSystem);
+  }
+
+  if (partial.indexOf('file://') === 0) {
+    return resolveFile(url.fileURLToPath(partial));
+  }
+
+  if (path.isAbsolute(partial)) {
+    return resolveFile(partial);
+  }
+
+  var resolved = resolveFile(path.resolve(fileDir, partial)) ||
+    resolveThroughImporters(partial, filename, sassOptions.importers, directory, resolveFile);
+
+  if (resolved) { return resolved; }
+
+  var loadPaths = (sassOptions.loadPaths || []).concat(directory);
+
+  for (var i = 0; i < loadPaths.length; i++) {
+    resolved = resolveFile(path.resolve(directory, loadPaths[i], partial));
+
+    if (resolved) {
+      debug('resolved ' + partial + ' within the load path ' + loadPaths[i]);
+      return resolved;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @private
+ * @param  {String} partial
+ * @param  {String} filename
+ * @param  {Array|Object} [importers]
+ * @param  {String} directory - What the folders of the mapped prefixes are relative to
+ * @param  {Function} resolveFile
+ * @return {String|null}
+ */
+function resolveThroughImporters(partial, filename, importers, directory, resolveFile) {
+  if (!importers) { return null; }
+
+  if (!Array.isArray(importers)) {
+    return resolveThroughMappings(partial, importers, directory, resolveFile);
+  }
+
+  for (var i = 0; i < importers.length; i++) {
+    var importer = importers[i];
+    var result = null;
+
+    if (typeof importer === 'function') {
+      // Legacy importers return {file} or, to leave the partial to the next importer, null
+      var imported = importer(partial, filename);
+
+      result = imported && imported.file ? path.resolve(path.dirname(filename), imported.file) : null;
+    } else if (importer && typeof importer.findFileUrl === 'function') {
+      var fileUrl = importer.findFileUrl(partial, {fromImport: false, containingUrl: url.pathToFileURL(filename)});
+
+      result = fileUrl ? url.fileURLToPath(fileUrl) : null;
+    }
+
+    var resolved = result && resolveFile(result);
+
+    if (resolved) {
+      debug('resolved ' + partial + ' through importer ' + i);
+      return resolved;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @param  {String} partial
+ * @param  {Object} mappings - The folders that prefixes of partials stand for
+ * @param  {String} directory
+ * @param  {Function} resolveFile
+ * @return {String|null}
+ */
+function resolveThroughMappings(partial, mappings, directory, resolveFile) {
+  var prefixes = Object.keys(mappings).filter(function(prefix) {
+    return partial.indexOf(prefix) === 0;
+  })
+  // The longest prefix is the most specific
+  .sort(function(a, b) {
+    return b.length - a.length;
+  });
+
+  for (var i = 0; i < prefixes.length; i++) {
+    var rest = partial.slice(prefixes[i].length).replace(/^\//, '');
+    var resolved = resolveFile(path.resolve(directory, mappings[prefixes[i]], rest));
+
+    if (resolved) {
+      debug('resolved ' + partial + ' through the importer mapping of ' + prefixes[i]);
+      return resolved;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolves a pkg: URL like Dart Sass's NodePackageImporter: through the "exports" of the package,
+ * then its "sass" or "style" field and finally the files within it
+ *
+ * @private
+ * @param  {String} specifier - The URL without its pkg: scheme
+ * @param  {String} fileDir
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ * @throws {Error} If the package can't be found
+ */
+function resolvePackageUrl(specifier, fileDir, fileSystem) {
+  var parsed = packageExports.splitSpecifier(specifier);
+  var pkg = packageExports.findPackage(parsed.name, fileDir, fileSystem);
+
+  if (!pkg) {
+    throw new Error('Can\'t find the package ' + parsed.name + ' for pkg:' + specifier);
+  }
+
+  var hasExports = typeof pkg.json.exports !== 'undefined' && pkg.json.exports !== null;
+
+  if (!parsed.subpath) {
+    return (hasExports && resolveExport(parsed.name, '', pkg, fileDir, fileSystem)) ||
+      resolvePackageEntry(pkg, fileSystem);
+  }
+
+  if (hasExports) {
+    return resolveExport(parsed.name, parsed.subpath, pkg, fileDir, fileSystem);
+  }
+
+  return resolveFilePath(path.join(pkg.dir, parsed.subpath), fileSystem);
+}
+
+/**
+ * Tries the subpath, the subpath with each extension, its partial and its index file within the "exports" of the package
+ *
+ * @private
+ * @param  {String} name
+ * @param  {String} subpath - Empty for the root of the package
+ * @param  {Object} pkg
+ * @param  {String} fileDir
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ * @throws {Error} If more than one of the variants of a subpath is exported
+ */
+function resolveExport(name, subpath, pkg, fileDir, fileSystem) {
+  function resolveExported(variant) {
+    try {
+      var resolved = packageExports.resolveExports(variant ? name + '/' + variant : name, path.join(fileDir, 'file'),
+        exportConditions, fileSystem);
+
+      return resolved && fsUtils.isFile(resolved, fileSystem) ? resolved : null;
+    } catch (e) {
+      // The variant is not exported
+      return null;
+    }
+  }
+
+  var tiers = [[subpath]];
+
+  if (subpath && !path.extname(subpath)) {
+    var dirname = path.dirname(subpath);
+    var basename = path.basename(subpath);
+    var partialPath = dirname === '.' ? '_' + basename : dirname + '/_' + basename;
+
+    tiers.push(
+      withExtensions(subpath),
+      withExtensions(partialPath),
+      withExtensions(subpath + '/index'),
+      withExtensions(subpath + '/_index')
+    );
+  }
+
+  for (var i = 0; i < tiers.length; i++) {
+    var found = exactlyOne(tiers[i].map(resolveExported).filter(Boolean), 'pkg:' + name + (subpath ? '/' + subpath : ''));
+
+    if (found) {
+      debug('resolved the export ' + (subpath || '.') + ' of ' + pkg.dir + ' to ' + found);
+      return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @param  {String} subpath
+ * @return {String[]}
+ */
+function withExtensions(subpath) {
+  return syntaxExtensions.concat('.css').map(function(extension) {
+    return subpath + extension;
+  });
+}
+
+/**
+ * @private
+ * @param  {Object} pkg
+ * @param  {Object} [fileSystem]
+ * @return {String|null} The file named by the "sass" or "style" field or the index file of the package
+ */
+function resolvePackageEntry(pkg, fileSystem) {
+  var fields = ['sass', 'style'];
+
+  for (var i = 0; i < fields.length; i++) {
+    if (typeof pkg.json[fields[i]] === 'string') {
+      var entry = path.resolve(pkg.dir, pkg.json[fields[i]]);
+
+      if (fsUtils.isFile(entry, fileSystem)) {
+        debug('resolved the ' + fields[i] + ' field of ' + pkg.dir + ': ' + entry);
+        return entry;
+      }
+    }
+  }
+
+  return resolveIndex(pkg.dir, fileSystem);
+}
+
+/**
+ * Resolves ~package/path within the node_modules of the file's directory and its ancestors like sass-loader
+ *
+ * @private
+ * @param  {String} specifier - The partial without its ~
+ * @param  {String} fileDir
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ */
+function resolveWithinNodeModules(specifier, fileDir, fileSystem) {
+  var parsed = packageExports.splitSpecifier(specifier);
+  var dir = fileDir;
+
+  while (true) {
+    if (path.basename(dir) !== 'node_modules') {
+      var nodeModulesPath = path.join(dir, 'node_modules', specifier);
+      var resolved = resolveFilePath(nodeModulesPath, fileSystem);
+
+      if (resolved) { return resolved; }
+
+      if (!parsed.subpath) {
+        var pkg = packageExports.findPackage(parsed.name, dir, fileSystem);
+
+        resolved = pkg && resolvePackageEntry(pkg, fileSystem);
+
+        if (resolved) { return resolved; }
+      }
+    }
+
+    var parent = path.dirname(dir);
+
+    if (parent === dir) { return null; }
+
+    dir = parent;
+  }
+}
+
+/**
+ * Resolves a path to a stylesheet: the path itself if it has an extension,
+ * otherwise the stylesheet (or its partial, prefixed with _) with one of the extensions
+ * and then the index file of the folder
+ *
+ * Like Dart Sass, a .scss and a .sass file of the same name make the path ambiguous, whatever the syntax of the importing file
+ *
+ * @private
+ * @param  {String} filePath
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ * @throws {Error} If more than one file matches
+ */
+function resolveFilePath(filePath, fileSystem) {
+  var extension = path.extname(filePath);
+
+  if (syntaxExtensions.indexOf(extension) !== -1 || extension === '.css') {
+    return exactlyOne(tryPath(filePath, fileSystem), filePath);
+  }
+
+  return tryPathWithExtensions(filePath, fileSystem) ||
+    resolveIndex(filePath, fileSystem);
+}
+
+/**
+ * @private
+ * @param  {String} dir
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ */
+function resolveIndex(dir, fileSystem) {
+  return fsUtils.isDirectory(dir, fileSystem) ? tryPathWithExtensions(path.join(dir, 'index'), fileSystem) : null;
+}
+
+/**
+ * @private
+ * @param  {String} filePath - A path without an extension
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ * @throws {Error} If more than one stylesheet matches
+ */
+function tryPathWithExtensions(filePath, fileSystem) {
+  var found = syntaxExtensions.reduce(function(paths, extension) {
+    return paths.concat(tryPath(filePath + extension, fileSystem));
+  }, []);
+
+  // CSS files are only imported when there's no stylesheet
+  return exactlyOne(found.length ? found : tryPath(filePath + '.css', fileSystem), filePath);
+}
+
+/**
+ * @private
+ * @param  {String} filePath
+ * @param  {Object} [fileSystem]
+ * @return {String[]} The existing files among the partial (prefixed with _) and the path itself
+ */
+function tryPath(filePath, fileSystem) {
+  return [
+    path.join(path.dirname(filePath), '_' + path.basename(filePath)),
+    filePath
+  ]
+  .filter(function(candidate) {
+    return fsUtils.isFile(candidate, fileSystem);
+  });
+}
+
+/**
+ * @private
+ * @param  {String[]} paths
+ * @param  {String} partial - Names what was being imported within errors
+ * @return {String|null}
+ * @throws {Error} If there is more than one path
+ */
+function exactlyOne(paths, partial) {
+  if (paths.length > 1) {
+    throw new Error('It\'s not clear which file to import for ' + partial + '. Found:\n  ' + paths.join('\n  '));
+  }
+
+  return paths[0] || null;
+}
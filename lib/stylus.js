@@ -0,0 +1,229 @@
+var path = require('path');
+var debug = require('debug')('cabinet');
+var fsUtils = require('./fs-utils');
+var glob = require('./glob');
+var packageExports = require('./package-exports');
+
+/**
+ * Resolves the partials of Stylus @import and @require rules the way the Stylus compiler does
+ *
+ * @see https://stylus-lang.com/docs/import.html
+ */
+
+/**
+ * @param  {String} partial
+ * @return {Boolean} Whether the partial is a glob that imports every matching file
+ */
+module.exports.isGlob = function(partial) {
+  return partial.indexOf('*') !== -1;
+};
+
+/**
+ * Tries the partial relative to the file, then within the paths of the options and the directory
+ * and finally as a package within node_modules
+ *
+ * @param  {String} partial
+ * @param  {String} filename - The file containing the partial
+ * @param  {String} directory - The last of the lookup paths
+ * @param  {Object} [stylusOptions]
+ * @param  {String[]} [stylusOptions.paths] - Relative to the directory
+ * @param  {Object} [fileSystem] - Reads the files instead of fs
+ * @return {String|null} The resolved path or null if the partial could not be found
+ */
+module.exports.resolve = function(partial, filename, directory, stylusOptions, fileSystem) {
+  var fileDir = path.dirname(path.resolve(filename));
+  var lookupPaths = getLookupPaths(fileDir, directory, stylusOptions);
+  var importPath = withExtension(partial, getExtension(filename));
+
+  var found = findFile(importPath, lookupPaths, fileSystem) || lookupIndex(partial, lookupPaths, fileSystem);
+
+  if (found) { return found; }
+
+  var resolved = lookupPackage(partial, lookupPaths, fileDir, fileSystem);
+
+  if (resolved) {
+    debug('resolved ' + partial + ' as a package: ' + resolved);
+  }
+
+  return resolved;
+};
+
+/**
+ * Finds the files matching a glob like mixins/* within the first lookup path that has any
+ *
+ * @param  {String} partial
+ * @param  {String} filename - The file containing the partial
+ * @param  {String} directory - The last of the lookup paths
+ * @param  {Object} [stylusOptions]
+ * @param  {String[]} [stylusOptions.paths] - Relative to the directory
+ * @param  {Object} [fileSystem] - Reads the folders instead of fs
+ * @return {String[]} The matching files in alphabetical order
+ */
+module.exports.resolveGlob = function(partial, filename, directory, stylusOptions, fileSystem) {
+  var fileDir = path.dirname(path.resolve(filename));
+  var globPath = withExtension(partial, getExtension(filename));
+
+  if (path.isAbsolute(globPath)) {
+    return glob.expand('/', globPath.slice(1), null, fileSystem).sort();
+  }
+
+  var lookupPaths = getLookupPaths(fileDir, directory, stylusOptions);
+
+  for (var i = 0; i < lookupPaths.length; i++) {
+    var matches = glob.expand(lookupPaths[i], globPath, null, fileSystem).sort();
+
+    if (matches.length) {
+      debug('found ' + matches.length + ' files matching ' + partial + ' within ' + lookupPaths[i]);
+      return matches;
+    }
+  }
+
+  return [];
+};
+
+/**
+ * @private
+ * @param  {String} fileDir
+ * @param  {String} directory
+ * @param  {Object} [stylusOptions]
+ * @return {String[]}
+ */
+function getLookupPaths(fileDir, directory, stylusOptions) {
+  return [fileDir]
+  .concat((stylusOptions && stylusOptions.paths) || [], directory)
+  .map(function(lookupPath) {
+    return path.resolve(directory, lookupPath);
+  });
+}
+
+/**
+ * @private
+ * @param  {String} filename
+ * @return {String} The extension that partials of the file default to
+ */
+function getExtension(filename) {
+  return path.extname(filename) || '.styl';
+}
+
+/**
+ * Like the compiler, partials without an extension are taken to be Stylus files
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String} extension
+ * @return {String}
+ */
+function withExtension(partial, extension) {
+  return path.extname(partial) ? partial : partial + extension;
+}
+
+/**
+ * @private
+ * @param  {String} importPath
+ * @param  {String[]} lookupPaths
+ * @param  {Object} [fileSystem]
+ * @return {String|null} The first existing file among the lookup paths
+ */
+function findFile(importPath, lookupPaths, fileSystem) {
+  if (path.isAbsolute(importPath)) {
+    return fsUtils.isFile(importPath, fileSystem) ? importPath : null;
+  }
+
+  for (var i = 0; i < lookupPaths.length; i++) {
+    var candidate = path.join(lookupPaths[i], importPath);
+
+    if (fsUtils.isFile(candidate, fileSystem)) { return candidate; }
+  }
+
+  return null;
+}
+
+/**
+ * Tries the partial as a folder holding an index.styl or a file named after the folder
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String[]} lookupPaths
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ */
+function lookupIndex(partial, lookupPaths, fileSystem) {
+  var name = partial.replace(/\.styl$/i, '');
+
+  return findFile(path.join(name, 'index.styl'), lookupPaths, fileSystem) ||
+    findFile(path.join(name, path.basename(name) + '.styl'), lookupPaths, fileSystem);
+}
+
+/**
+ * Tries the partial as a package within the node_modules of the lookup paths and then of the file's ancestors,
+ * using the stylus and main fields of its package.json
+ *
+ * @private
+ * @param  {String} partial
+ * @param  {String[]} lookupPaths
+ * @param  {String} fileDir
+ * @param  {Object} [fileSystem]
+ * @return {String|null}
+ */
+function lookupPackage(partial, lookupPaths, fileDir, fileSystem) {
+  if (/^\.\.?\//.test(partial) || path.isAbsolute(partial)) { return null; }
+
+  var parsed = packageExports.splitSpecifier(partial);
+  var name = parsed.name;
+  var subpath = parsed.subpath;
+  var packageDirs = lookupPaths.map(function(lookupPath) {
+    return path.join(lookupPath, 'node_modules', name);
+  });
+  var pkg = packageExports.findPackage(name, fileDir, fileSystem);
+
+  if (pkg) {
+    packageDirs.push(pkg.dir);
+  }
+
+  for (var i = 0; i < packageDirs.length; i++) {
+    var packageDir = packageDirs[i];
+
+    if (!fsUtils.isDirectory(packageDir, fileSystem)) { continue; }
+
+    if (subpath) {
+      var file = findFile(withExtension(subpath, '.styl'), [packageDir], fileSystem) ||
+        lookupIndex(subpath, [packageDir], fileSystem);
+
+      if (file) { return file; }
+
+      continue;
+    }
+
+    var entry = resolvePackageEntry(packageDir, fileSystem);
+
+    if (entry) { return entry; }
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @param  {String} packageDir
+ * @param  {Object} [fileSystem]
+ * @return {String|null} The file named by the stylus or main field or the index.styl of the package
+ */
+function resolvePackageEntry(packageDir, fileSystem) {
+  var packageJson = fsUtils.readJson(path.join(packageDir, 'package.json'), fileSystem) || {};
+  var fields = ['stylus', 'main'];
+
+  for (var i = 0; i < fields.length; i++) {
+    var entry = packageJson[fields[i]];
+
+    if (typeof entry !== 'string') { continue; }
+
+    var entryPath = path.resolve(packageDir, entry);
+    var found = [entryPath, entryPath + '.styl'].filter(function(candidate) {
+      return fsUtils.isFile(candidate, fileSystem);
+    })[0] || (fsUtils.isDirectory(entryPath, fileSystem) && lookupIndex(entryPath, [], fileSystem));
+
+    if (found) { return found; }
+  }
+
+  return lookupIndex(packageDir, [], fileSystem);
+}
@@ -0,0 +1,259 @@
+var path = require('path');
+var debug = require('debug')('cabinet');
+
+/**
+ * Loads the resolve options of Vite and Rollup configs
+ *
+ * @see https://vitejs.dev/config/shared-options.html#resolve-alias
+ * @see https://github.com/rollup/plugins/tree/master/packages/alias
+ */
+
+var defaults = {
+  vite: {
+    extensions: ['.mjs', '.js', '.mts', '.ts', '.jsx', '.tsx', '.json'],
+    // Vite falls back to main after these
+    mainFields: ['browser', 'module', 'jsnext:main', 'jsnext', 'main'],
+    conditions: ['import', 'module', 'browser', 'production', 'default']
+  },
+  rollup: {
+    // The defaults of @rollup/plugin-node-resolve
+    extensions: ['.mjs', '.js', '.json', '.node'],
+    mainFields: ['module', 'main'],
+    conditions: ['default', 'module', 'import']
+  }
+};
+
+/**
+ * Loads the config the way the CLIs do: configs exporting a function (like those wrapped in defineConfig)
+ * are called with the env of a production build
+ *
+ * @param  {String|Object|Function} config - The path to the config or its contents
+ * @param  {String} kind - Either vite or rollup
+ * @return {Object|Object[]|Promise} The config or, for configs that are ES modules or resolve asynchronously, a promise of it
+ * @throws {Error} If the config could not be loaded
+ */
+module.exports.load = function(config, kind) {
+  if (typeof config === 'string') {
+    config = requireConfig(path.resolve(config));
+
+    if (config && typeof config.then === 'function') {
+      return config.then(function(loaded) {
+        return callConfig(loaded, kind);
+      });
+    }
+  }
+
+  return callConfig(config, kind);
+};
+
+/**
+ * @param  {Object|Object[]} loadedConfig
+ * @param  {String} kind - Either vite or rollup
+ * @param  {String} configDir - The directory of the config, which is the default root
+ * @return {Object} The aliases as functions of the partial and filename (alias),
+ * the project's root (root) and the extensions, mainFields and conditions to resolve with
+ * @throws {Error} If the config is not an object
+ */
+module.exports.translate = function(loadedConfig, kind, configDir) {
+  // Rollup configs can hold the options of several builds
+  if (Array.isArray(loadedConfig)) {
+    loadedConfig = loadedConfig[0];
+  }
+
+  if (!loadedConfig || typeof loadedConfig !== 'object') {
+    throw new Error('The ' + kind + ' config does not export an object');
+  }
+
+  var resolveOptions = loadedConfig.resolve || {};
+
+  return {
+    root: path.resolve(configDir, loadedConfig.root || '.'),
+    alias: normalizeAliases(resolveOptions.alias).map(createAliasEntry)
+      .concat(flatten(loadedConfig.plugins || []).filter(isAliasPlugin).map(createAliasPluginEntry)),
+    extensions: resolveOptions.extensions || defaults[kind].extensions,
+    mainFields: resolveOptions.mainFields || defaults[kind].mainFields,
+    conditions: (resolveOptions.conditions || []).concat(defaults[kind].conditions)
+  };
+};
+
+/**
+ * Applies the first alias that matches the partial
+ *
+ * @param  {String} partial
+ * @param  {String} filename - The file containing the partial
+ * @param  {Object} translatedConfig - A config returned by translate
+ * @param  {Object} [trace] - Collects the aliases that could not be applied
+ * @return {String} The aliased partial or the partial itself if no alias matches it
+ */
+module.exports.applyAlias = function(partial, filename, translatedConfig, trace) {
+  var aliases = translatedConfig.alias;
+
+  for (var i = 0; i < aliases.length; i++) {
+    var aliased = aliases[i](partial, filename, trace);
+
+    if (typeof aliased === 'string') {
+      debug('aliased ' + partial + ' to ' + aliased);
+      return aliased;
+    }
+  }
+
+  return partial;
+};
+
+/**
+ * @private
+ * @param  {String} configPath
+ * @return {*} The exports of the config or a promise for those of an ES module
+ */
+function requireConfig(configPath) {
+  var loaded;
+
+  try {
+    loaded = require(configPath);
+  } catch (e) {
+    if (e.code !== 'ERR_REQUIRE_ESM' && !(e instanceof SyntaxError)) {
+      throw e;
+    }
+
+    debug('loading ' + configPath + ' as an ES module');
+    return importModule(configPath, e);
+  }
+
+  return loaded && loaded.__esModule ? loaded.default : loaded;
+}
+
+/**
+ * @private
+ * @param  {String} configPath
+ * @param  {Error} requireError - Thrown when the runtime can't import modules either
+ * @return {Promise}
+ */
+function importModule(configPath, requireError) {
+  var dynamicImport;
+
+  try {
+    // Keeps the import() from being parsed by runtimes (and transpilers) that don't support it
+    dynamicImport = new Function('specifier', 'return import(specifier)');
+  } catch (e) {
+    throw requireError;
+  }
+
+  return dynamicImport('file://' + configPath).then(function(loaded) {
+    return loaded.default;
+  });
+}
+
+/**
+ * @private
+ * @param  {*} config
+ * @param  {String} kind - Either vite or rollup
+ * @return {*}
+ */
+function callConfig(config, kind) {
+  if (typeof config !== 'function') { return config; }
+
+  return kind === 'vite' ?
+    config({command: 'build', mode: 'production', isSsrBuild: false, isPreview: false}) :
+    config({});
+}
+
+/**
+ * Vite accepts the aliases of @rollup/plugin-alias as an object or as an array of {find, replacement}
+ *
+ * @private
+ * @param  {Object|Object[]} [alias]
+ * @return {Object[]}
+ */
+function normalizeAliases(alias) {
+  if (!alias) { return []; }
+
+  if (Array.isArray(alias)) { return alias; }
+
+  return Object.keys(alias).map(function(find) {
+    return {
+      find: find,
+      replacement: alias[find]
+    };
+  });
+}
+
+/**
+ * @private
+ * @param  {Object} entry - Holds what to find (a string or regular expression) and its replacement
+ * @return {Function}
+ */
+function createAliasEntry(entry) {
+  return function(partial) {
+    var find = entry.find;
+    var matches = find instanceof RegExp ?
+      find.test(partial) :
+      partial === find || partial.indexOf(find + '/') === 0;
+
+    return matches ? partial.replace(find, entry.replacement) : null;
+  };
+}
+
+/**
+ * @private
+ * @param  {Object} plugin
+ * @return {Boolean}
+ */
+function isAliasPlugin(plugin) {
+  return !!plugin && plugin.name === 'alias' && typeof plugin.resolveId === 'function';
+}
+
+/**
+ * The entries of an @rollup/plugin-alias instance aren't exposed,
+ * so the plugin is asked to alias the partial with nothing else to resolve it.
+ * That only works for plugins that alias synchronously: the ones returning a promise are reported as a config error.
+ *
+ * @private
+ * @param  {Object} plugin
+ * @return {Function}
+ */
+function createAliasPluginEntry(plugin) {
+  var context = {
+    resolve: function() {
+      // A synchronous thenable lets the plugin's result be used right away
+      return {
+        then: function(onResolved) {
+          return onResolved(null);
+        }
+      };
+    },
+    warn: function() {}
+  };
+
+  return function(partial, filename, trace) {
+    var result = plugin.resolveId.call(context, partial, filename, {});
+
+    if (result && typeof result.then === 'function') {
+      // Keeps a failing lookup of the plugin from being an unhandled rejection
+      result.then(null, function() {});
+
+      debug('the ' + plugin.name + ' plugin resolved ' + partial + ' asynchronously, so its aliases were not applied');
+
+      if (trace) {
+        trace.configError = 'The ' + plugin.name + ' plugin of the config resolves asynchronously, ' +
+          'so its aliases were not applied to ' + partial;
+      }
+
+      return null;
+    }
+
+    if (typeof result === 'string') { return result; }
+
+    return result && typeof result.id === 'string' ? result.id : null;
+  };
+}
+
+/**
+ * @private
+ * @param  {Array} plugins - Vite accepts nested arrays of plugins
+ * @return {Array}
+ */
+function flatten(plugins) {
+  return plugins.reduce(function(flattened, plugin) {
+    return flattened.concat(Array.isArray(plugin) ? flatten(plugin) : [plugin]);
+  }, []);
+}
@@ -0,0 +1,220 @@
+var path = require('path');
+var debug = require('debug')('cabinet');
+var fsUtils = require('./fs-utils');
+var glob = require('./glob');
+
+/**
+ * Maps the names of the packages within a monorepo to their folders using the workspaces
+ * of the root package.json (npm and yarn), lerna.json and pnpm-workspace.yaml
+ *
+ * @see https://docs.npmjs.com/cli/using-npm/workspaces
+ * @see https://pnpm.io/pnpm-workspace_yaml
+ */
+
+var configFileNames = ['package.json', 'lerna.json', 'pnpm-workspace.yaml'];
+
+/**
+ * Finds the root of the monorepo containing the directory
+ *
+ * @param  {String} dir
+ * @param  {Object} [fileSystem] - Reads the files instead of fs
+ * @return {String|null} The root or null if the directory is not within a monorepo
+ */
+module.exports.findRoot = function(dir, fileSystem) {
+  dir = path.resolve(dir);
+
+  while (true) {
+    if (getPatterns(dir, fileSystem).length) {
+      return dir;
+    }
+
+    var parent = path.dirname(dir);
+
+    if (parent === dir) { return null; }
+
+    dir = parent;
+  }
+};
+
+/**
+ * Tells whether a file (like one being invalidated) could change the packages of a monorepo
+ *
+ * @param  {String} filePath
+ * @return {Boolean}
+ */
+module.exports.isConfigFile = function(filePath) {
+  return configFileNames.indexOf(path.basename(filePath)) !== -1;
+};
+
+/**
+ * @param  {String} root - The root of the monorepo
+ * @param  {Object} [fileSystem] - Reads the files instead of fs
+ * @return {Object} The root (root) and the folder and package.json of each package by name (packages)
+ */
+module.exports.load = function(root, fileSystem) {
+  root = path.resolve(root);
+
+  var patterns = getPatterns(root, fileSystem);
+  var excluded = patterns.filter(isNegated).map(function(pattern) {
+    return glob.toRegExp(normalizePattern(pattern.slice(1)));
+  });
+  var packages = {};
+
+  patterns.filter(function(pattern) {
+    return !isNegated(pattern);
+  })
+  .forEach(function(pattern) {
+    glob.expand(root, normalizePattern(pattern), {directories: true, exclude: isIgnoredFolder}, fileSystem).forEach(function(dir) {
+      var relativeDir = path.relative(root, dir).split(path.sep).join('/');
+
+      if (excluded.some(function(regExp) { return regExp.test(relativeDir); })) { return; }
+
+      var packageJson = fsUtils.readJson(path.join(dir, 'package.json'), fileSystem);
+
+      // Folders without a package.json (or a name) aren't packages
+      if (!packageJson || !packageJson.name || packages.hasOwnProperty(packageJson.name)) { return; }
+
+      packages[packageJson.name] = {
+        dir: dir,
+        packageJson: packageJson
+      };
+    });
+  });
+
+  debug('found the workspace packages of ' + root + ': ' + Object.keys(packages).join(', '));
+
+  return {
+    root: root,
+    packages: packages
+  };
+};
+
+/**
+ * Finds the workspace package that a bare partial names
+ *
+ * @param  {String} partial
+ * @param  {Object} loadedWorkspaces - The workspaces returned by load
+ * @return {Object|null} The folder (dir) and package.json (packageJson) of the package along with the path within it (subpath)
+ * or null if the partial does not name a workspace package
+ */
+module.exports.findPackage = function(partial, loadedWorkspaces) {
+  var name = /^(@[^/]+\/)?[^/]+/.exec(partial);
+
+  if (!name || !loadedWorkspaces.packages.hasOwnProperty(name[0])) {
+    return null;
+  }
+
+  var workspacePackage = loadedWorkspaces.packages[name[0]];
+
+  return {
+    dir: workspacePackage.dir,
+    packageJson: workspacePackage.packageJson,
+    subpath: partial.slice(name[0].length + 1)
+  };
+};
+
+/**
+ * The globs of the workspace packages in the order of package.json, lerna.json and pnpm-workspace.yaml
+ *
+ * @private
+ * @param  {String} dir
+ * @param  {Object} [fileSystem]
+ * @return {String[]}
+ */
+function getPatterns(dir, fileSystem) {
+  var patterns = [];
+  var packageJson = fsUtils.readJson(path.join(dir, 'package.json'), fileSystem);
+  var workspaces = packageJson && packageJson.workspaces;
+
+  // Yarn also accepts an object to configure nohoist
+  if (workspaces) {
+    patterns = patterns.concat(Array.isArray(workspaces) ? workspaces : workspaces.packages || []);
+  }
+
+  var lernaJson = fsUtils.readJson(path.join(dir, 'lerna.json'), fileSystem);
+
+  if (lernaJson) {
+    patterns = patterns.concat(lernaJson.packages || ['packages/*']);
+  }
+
+  var pnpmWorkspace = fsUtils.readFile(path.join(dir, 'pnpm-workspace.yaml'), fileSystem);
+
+  if (pnpmWorkspace !== null) {
+    patterns = patterns.concat(readPnpmPackages(pnpmWorkspace));
+  }
+
+  return patterns;
+}
+
+/**
+ * Reads the list of packages out of a pnpm-workspace.yaml, in either block or flow style
+ *
+ * @private
+ * @param  {String} source
+ * @return {String[]}
+ */
+function readPnpmPackages(source) {
+  var lines = source.split(/\r?\n/).map(function(line) {
+    return line.replace(/(^|\s)#.*$/, '');
+  });
+  var patterns = [];
+  var inPackages = false;
+
+  lines.forEach(function(line) {
+    if (/^\S/.test(line)) {
+      var flow = /^packages\s*:\s*\[(.*)\]\s*$/.exec(line);
+
+      inPackages = /^packages\s*:\s*$/.test(line);
+
+      if (flow) {
+        patterns = patterns.concat(flow[1].split(',').map(unquote).filter(Boolean));
+      }
+
+      return;
+    }
+
+    var item = /^\s+-\s*(.+?)\s*$/.exec(line);
+
+    if (inPackages && item) {
+      patterns.push(unquote(item[1]));
+    }
+  });
+
+  return patterns;
+}
+
+/**
+ * @private
+ * @param  {String} value
+ * @return {String}
+ */
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * @private
+ * @param  {String} pattern
+ * @return {Boolean}
+ */
+function isNegated(pattern) {
+  return pattern[0] === '!';
+}
+
+/**
+ * @private
+ * @param  {String} pattern
+ * @return {String}
+ */
+function normalizePattern(pattern) {
+  return pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * @private
+ * @param  {String} name
+ * @return {Boolean} Whether the folder is node_modules or a hidden one, which never hold workspace packages
+ */
+function isIgnoredFolder(name) {
+  return name === 'node_modules' || name[0] === '.';
+}
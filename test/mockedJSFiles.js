@@ -1,3 +1,130 @@
+var zlib = require('zlib');
+
+// Builds a zip archive of deflated files the way Yarn stores the packages of its cache
+function createZip(files) {
+  var names = Object.keys(files);
+  var localParts = [];
+  var centralParts = [];
+  var offset = 0;
+
+  names.forEach(function(name) {
+    var contents = Buffer.from(files[name]);
+    var data = zlib.deflateRawSync(contents);
+    var nameBuffer = Buffer.from(name);
+    var localHeader = Buffer.alloc(30);
+    var centralHeader = Buffer.alloc(46);
+
+    localHeader.writeUInt32LE(0x04034b50, 0);
+    localHeader.writeUInt16LE(8, 8);
+    localHeader.writeUInt32LE(data.length, 18);
+    localHeader.writeUInt32LE(contents.length, 22);
+    localHeader.writeUInt16LE(nameBuffer.length, 26);
+
+    centralHeader.writeUInt32LE(0x02014b50, 0);
+    centralHeader.writeUInt16LE(8, 10);
+    centralHeader.writeUInt32LE(data.length, 20);
+    centralHeader.writeUInt32LE(contents.length, 24);
+    centralHeader.writeUInt16LE(nameBuffer.length, 28);
+    centralHeader.writeUInt32LE(offset, 42);
+
+    localParts.push(localHeader, nameBuffer, data);
+    centralParts.push(centralHeader, nameBuffer);
+    offset += localHeader.length + nameBuffer.length + data.length;
+  });
+
+  var centralDirectory = Buffer.concat(centralParts);
+  var end = Buffer.alloc(22);
+
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(names.length, 8);
+  end.writeUInt16LE(names.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat(localParts.concat([centralDirectory, end]));
+}
+
+// Inlines the runtime state the way Yarn 3+ writes a .pnp.cjs
+function createPnpManifest(state) {
+  var literal = JSON.stringify(state, null, 2)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, '\\\'')
+    .replace(/\n/g, '\\\n');
+
+  return [
+    '#!/usr/bin/env node',
+    '"use strict";',
+    '',
+    'const RAW_RUNTIME_STATE =',
+    '\'' + literal + '\';',
+    '',
+    'function $$SETUP_STATE(hydrateRuntimeState, basePath) {',
+    '  return hydrateRuntimeState(JSON.parse(RAW_RUNTIME_STATE), {basePath: basePath || __dirname});',
+    '}'
+  ].join('\n');
+}
+
+// Inlines the runtime state the way Yarn 2 writes a .pnp.js
+function createLegacyPnpManifest(state) {
+  return [
+    '#!/usr/bin/env node',
+    'function $$SETUP_STATE(hydrateRuntimeState, basePath) {',
+    '  return hydrateRuntimeState(' + JSON.stringify(state, null, 2) + ', {basePath: basePath || __dirname});',
+    '}'
+  ].join('\n');
+}
+
+var pnpState = {
+  __info: ['This file is automatically generated. Don\'t touch it.'],
+  dependencyTreeRoots: [{name: 'pnp-app', reference: 'workspace:.'}],
+  enableTopLevelFallback: true,
+  fallbackPool: [],
+  fallbackExclusionList: [],
+  packageRegistryData: [
+    [null, [
+      [null, {
+        packageLocation: './',
+        packageDependencies: [['lodash', 'npm:4.17.21'], ['left-pad', 'npm:1.3.0'], ['underscore', ['lodash', 'npm:4.17.21']]],
+        linkType: 'SOFT'
+      }]
+    ]],
+    ['pnp-app', [
+      ['workspace:.', {
+        packageLocation: './',
+        packageDependencies: [['lodash', 'npm:4.17.21'], ['left-pad', 'npm:1.3.0'], ['underscore', ['lodash', 'npm:4.17.21']]],
+        linkType: 'SOFT'
+      }]
+    ]],
+    ['lodash', [
+      ['npm:4.17.21', {
+        packageLocation: './.yarn/cache/lodash-npm-4.17.21-6382451519-eb835a2e51.zip/node_modules/lodash/',
+        packageDependencies: [['lodash', 'npm:4.17.21'], ['left-pad', 'npm:1.3.0']],
+        linkType: 'HARD'
+      }]
+    ]],
+    ['left-pad', [
+      ['npm:1.3.0', {
+        packageLocation: './.yarn/unplugged/left-pad-npm-1.3.0-fb5a1d5f0c/node_modules/left-pad/',
+        packageDependencies: [['left-pad', 'npm:1.3.0']],
+        linkType: 'HARD'
+      }]
+    ]]
+  ]
+};
+
+var unpluggedLeftPad = {
+  'left-pad-npm-1.3.0-fb5a1d5f0c': {
+    'node_modules': {
+      'left-pad': {
+        'package.json': JSON.stringify({main: 'lib/index.js'}),
+        'lib': {
+          'index.js': 'module.exports = function() {};'
+        }
+      }
+    }
+  }
+};
+
 module.exports = {
   'js': {
     'es6': {
@@ -13,6 +140,22 @@ module.exports = {
       'index.ts': 'import foo from "./foo";',
       'foo.ts': 'export default 1;'
     },
+    'tsx': {
+      'index.tsx': 'import Component from "./Component";',
+      'index.js': 'var Component = require("./Component");',
+      'Component.tsx': 'export default () => <div></div>;'
+    },
+    'mts': {
+      'index.mts': 'import util from "./util.mjs";',
+      'util.mts': 'export default 1;',
+      'index.cts': 'import util = require("./util.cjs");',
+      'util.cts': 'export = 1;'
+    },
+    'esm': {
+      'foo.mjs': 'import bar from "./bar.mjs";',
+      'bar.mjs': 'export default 1;',
+      'baz.cjs': 'module.exports = 1;'
+    },
     'amd': {
       'foo.js': 'define(["./bar"], function(bar){ return bar; });',
       'bar.js': 'define({});'
@@ -40,6 +183,52 @@ module.exports = {
         'index.module.js': 'module.exports = function() {};',
         'package.json': '{ "main": "index.main.js", "module": "index.module.js" }'
       },
+      'exported': {
+        'package.json': JSON.stringify({
+          name: 'exported',
+          main: './main.js',
+          exports: {
+            '.': {
+              'import': './esm/index.mjs',
+              'require': './cjs/index.js'
+            },
+            './debounce': './debounce.js',
+            './features/*': './src/features/*.js',
+            './features/private/*': null,
+            './internal': {
+              development: './internal.dev.js',
+              'default': './internal.prod.js'
+            },
+            './missing': './missing.js'
+          }
+        }),
+        'main.js': '',
+        'debounce.js': '',
+        'internal.dev.js': '',
+        'internal.prod.js': '',
+        'esm': {
+          'index.mjs': ''
+        },
+        'cjs': {
+          'index.js': ''
+        },
+        'src': {
+          'features': {
+            'a.js': '',
+            'private': {
+              'b.js': ''
+            }
+          }
+        }
+      },
+      '@scope': {
+        'sugar': {
+          'package.json': JSON.stringify({
+            exports: './sugar.js'
+          }),
+          'sugar.js': ''
+        }
+      },
       'nested': {
         'index.js': 'require("lodash.assign")',
         'node_modules': {
@@ -49,6 +238,210 @@ module.exports = {
         }
       }
     },
+    'exports': {
+      'package.json': JSON.stringify({
+        name: 'self',
+        exports: {
+          './utils': './src/utils.js'
+        },
+        imports: {
+          '#internal/*': './src/internal/*.js',
+          '#debounce': 'exported/debounce',
+          '#env': {
+            browser: './src/env.browser.js',
+            'default': './src/env.node.js'
+          }
+        }
+      }),
+      'foo.js': 'import bar from "exported";',
+      'foo.cjs': 'var bar = require("exported");',
+      'src': {
+        'utils.js': '',
+        'env.browser.js': '',
+        'env.node.js': '',
+        'internal': {
+          'a.js': ''
+        }
+      }
+    },
+    'babel': {
+      '.babelrc': JSON.stringify({
+        plugins: [
+          ['module-resolver', {
+            root: ['./src'],
+            alias: {
+              components: './src/components',
+              '^@app/(.+)': './src/app/\\1',
+              assign: 'lodash.assign'
+            }
+          }]
+        ]
+      }),
+      'index.js': 'import Button from "components/Button";',
+      'src': {
+        'utils.js': '',
+        'components': {
+          'Button.js': ''
+        },
+        'app': {
+          'store.js': ''
+        }
+      },
+      'pkg': {
+        'package.json': JSON.stringify({
+          babel: {
+            plugins: [
+              ['babel-plugin-module-resolver', {alias: {lib: './lib'}}]
+            ]
+          }
+        }),
+        'index.js': 'import foo from "lib/foo";',
+        'lib': {
+          'foo.js': ''
+        }
+      }
+    },
+    'jest': {
+      'jest.config.json': JSON.stringify({
+        moduleNameMapper: {
+          '^@components/(.*)$': '<rootDir>/src/components/$1',
+          '\\.css$': '<rootDir>/__mocks__/styleMock.js',
+          '^config$': ['<rootDir>/config/missing', '<rootDir>/config/default'],
+          '^missing$': '<rootDir>/missing'
+        },
+        modulePaths: ['<rootDir>/shared'],
+        moduleDirectories: ['node_modules', 'src'],
+        roots: ['<rootDir>/test', '<rootDir>/lib']
+      }),
+      'package.json': JSON.stringify({
+        jest: {
+          rootDir: 'src',
+          moduleNameMapper: {
+            '^~/(.*)$': '<rootDir>/$1'
+          }
+        }
+      }),
+      'src': {
+        'components': {
+          'Button.js': ''
+        },
+        'utils': {
+          'index.js': ''
+        }
+      },
+      '__mocks__': {
+        'styleMock.js': ''
+      },
+      'config': {
+        'default.js': ''
+      },
+      'shared': {
+        'helpers.js': ''
+      },
+      'lib': {
+        'legacy.js': ''
+      },
+      'test': {
+        'Button.test.js': 'import Button from "@components/Button";',
+        'setup.js': ''
+      }
+    },
+    'pnp': {
+      '.pnp.cjs': createPnpManifest(pnpState),
+      'index.js': 'var _ = require("lodash");',
+      '.yarn': {
+        'cache': {
+          'lodash-npm-4.17.21-6382451519-eb835a2e51.zip': createZip({
+            'node_modules/lodash/package.json': JSON.stringify({main: 'lodash.js'}),
+            'node_modules/lodash/lodash.js': 'var pad = require("left-pad");',
+            'node_modules/lodash/fp/map.js': ''
+          })
+        },
+        'unplugged': unpluggedLeftPad
+      },
+      'legacy': {
+        '.pnp.js': createLegacyPnpManifest(pnpState),
+        'index.js': 'var pad = require("left-pad");',
+        '.yarn': {
+          'unplugged': unpluggedLeftPad
+        }
+      }
+    },
+    'monorepo': {
+      'package.json': JSON.stringify({
+        private: true,
+        workspaces: ['packages/*', 'apps/**', '!**/fixtures/**']
+      }),
+      'packages': {
+        'ui': {
+          'package.json': JSON.stringify({
+            name: '@acme/ui',
+            main: 'dist/index.js',
+            types: 'dist/index.d.ts',
+            module: 'src/index.js',
+            source: 'src/index.ts'
+          }),
+          'src': {
+            'index.ts': 'import utils from "@acme/utils";',
+            'index.js': '',
+            'Button.js': ''
+          }
+        },
+        'utils': {
+          'package.json': JSON.stringify({
+            name: '@acme/utils',
+            main: 'lib/index.js'
+          }),
+          'lib': {
+            'index.js': ''
+          }
+        },
+        'notes': {
+          'readme.md': ''
+        }
+      },
+      'apps': {
+        'web': {
+          'package.json': JSON.stringify({name: 'web'}),
+          'index.js': 'import ui from "@acme/ui";',
+          'fixtures': {
+            'pkg': {
+              'package.json': JSON.stringify({name: '@acme/fixture'}),
+              'index.js': ''
+            }
+          }
+        }
+      }
+    },
+    'lerna': {
+      'lerna.json': JSON.stringify({packages: ['modules/*']}),
+      'index.js': 'var core = require("core-lib");',
+      'modules': {
+        'core': {
+          'package.json': JSON.stringify({name: 'core-lib'}),
+          'index.js': ''
+        }
+      }
+    },
+    'pnpm': {
+      'pnpm-workspace.yaml': [
+        'packages:',
+        '  # shared libraries',
+        '  - \'libs/*\'',
+        '  - "!libs/private"'
+      ].join('\n'),
+      'index.js': 'var shared = require("@acme/shared");',
+      'libs': {
+        'shared': {
+          'package.json': JSON.stringify({name: '@acme/shared', main: 'main.js'}),
+          'main.js': ''
+        },
+        'private': {
+          'package.json': JSON.stringify({name: '@acme/private'}),
+          'index.js': ''
+        }
+      }
+    },
     'withIndex': {
       'subdir': {
         'index.js': ''
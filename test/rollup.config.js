@@ -0,0 +1,32 @@
+var path = require('path');
+
+// Stands in for @rollup/plugin-alias
+function alias(entries) {
+  return {
+    name: 'alias',
+    resolveId: function(importee, importer) {
+      var find = Object.keys(entries).filter(function(key) {
+        return importee === key || importee.indexOf(key + '/') === 0;
+      })[0];
+
+      if (!find) { return null; }
+
+      var updatedId = entries[find] + importee.slice(find.length);
+
+      return this.resolve(updatedId, importer, {skipSelf: true}).then(function(resolved) {
+        return resolved || {id: updatedId};
+      });
+    }
+  };
+}
+
+module.exports = [
+  {
+    input: 'index.js',
+    plugins: [
+      alias({
+        mods: path.resolve(__dirname, 'root2')
+      })
+    ]
+  }
+];
@@ -4,18 +4,41 @@ var rewire = require('rewire');
 var mock = require('mock-fs');
 var path = require('path');
 
+// Loaded before rewiring: once rewire changes Node's module wrapper, Node 12 and later
+// no longer strip the shebang of the requirejs optimizer that module-lookup-amd loads
+var amdLookup = require('module-lookup-amd');
+
 var cabinet = rewire('../');
 //manually add dynamic imports to rewired app
 cabinet.__set__('resolveDependencyPath', require('resolve-dependency-path'));
 cabinet.__set__('resolve', require('resolve'));
 cabinet.__set__('getModuleType', require('module-definition'));
 cabinet.__set__('ts', require('typescript'));
-cabinet.__set__('amdLookup', require('module-lookup-amd'));
+cabinet.__set__('amdLookup', amdLookup);
 cabinet.__set__('webpackResolve', require('enhanced-resolve'));
 
 var mockedFiles = require('./mockedJSFiles');
 var mockAST = require('./ast');
 
+// The exports of enhanced-resolve are frozen, so the resolver factory is swapped instead of wrapped
+function spyOnWebpackResolverCreation() {
+  var spy = sinon.spy(require('enhanced-resolve').create.sync);
+
+  spy.restore = cabinet.__set__('webpackResolve', {create: {sync: spy}});
+
+  return spy;
+}
+
+function spyOnAsyncWebpackResolverCreation() {
+  var create = require('enhanced-resolve').create;
+  var spy = sinon.spy(create);
+
+  spy.sync = create.sync;
+  spy.restore = cabinet.__set__('webpackResolve', {create: spy});
+
+  return spy;
+}
+
 describe('filing-cabinet', function() {
   describe('JavaScript', function() {
     beforeEach(function() {
@@ -30,7 +53,12 @@ describe('filing-cabinet', function() {
       assert.deepEqual(cabinet.supportedFileExtensions, [
         '.js',
         '.jsx',
+        '.mjs',
+        '.cjs',
         '.ts',
+        '.tsx',
+        '.mts',
+        '.cts',
         '.scss',
         '.sass',
         '.styl',
@@ -151,6 +179,66 @@ describe('filing-cabinet', function() {
       });
     });
 
+    describe('mjs', function() {
+      it('assumes es6 without reading the file', function() {
+        const stub = sinon.stub();
+        const revert = cabinet.__set__('getModuleType', {
+          sync: stub
+        });
+
+        assert.equal(cabinet._getJSType({filename: 'js/esm/foo.mjs'}), 'es6');
+        assert.ok(!stub.called);
+        revert();
+      });
+
+      it('resolves files with the .mjs extension', function() {
+        const result = cabinet({
+          partial: './bar.mjs',
+          filename: 'js/esm/foo.mjs',
+          directory: 'js/esm/'
+        });
+
+        assert.equal(result, path.resolve('js/esm/bar.mjs'));
+      });
+
+      it('completes extensionless partials with the .mjs extension', function() {
+        const result = cabinet({
+          partial: './bar',
+          filename: 'js/esm/foo.mjs',
+          directory: 'js/esm/'
+        });
+
+        assert.equal(result, path.resolve('js/esm/bar.mjs'));
+      });
+    });
+
+    describe('cjs', function() {
+      it('assumes commonjs without reading the file', function() {
+        const stub = sinon.stub();
+        const revert = cabinet.__set__('getModuleType', {
+          sync: stub
+        });
+
+        assert.equal(cabinet._getJSType({filename: 'js/esm/baz.cjs'}), 'commonjs');
+        assert.ok(!stub.called);
+        revert();
+      });
+
+      it('uses the amd resolver when given a requirejs config', function() {
+        assert.equal(cabinet._getJSType({filename: 'js/esm/baz.cjs', config: {}}), 'amd');
+      });
+
+      it('completes extensionless partials with the .cjs extension', function() {
+        const result = cabinet({
+          partial: './baz',
+          filename: 'js/esm/foo.mjs',
+          directory: 'js/esm/'
+        });
+
+        assert.equal(result, path.resolve('js/esm/baz.cjs'));
+      });
+    });
+
     describe('amd', function() {
       it('uses the amd resolver', function() {
         var stub = sinon.stub();
@@ -220,17 +308,46 @@ describe('filing-cabinet', function() {
         assert.equal(result, '');
       });
 
-      it('adds the directory to the require resolution paths', function() {
-        var directory = 'js/commonjs/';
-        var result = cabinet({
+      it('does not change the require resolution paths of the process', function() {
+        var Module = require('module');
+        var nodeModulePaths = Module._nodeModulePaths;
+        var mainPaths = require.main.paths.slice();
+
+        cabinet({
           partial: 'foobar',
           filename: 'js/commonjs/foo.js',
-          directory: directory
+          directory: 'js/commonjs/'
         });
 
-        assert.ok(require.main.paths.some(function(p) {
-          return p.indexOf(directory) !== -1;
-        }));
+        assert.equal(Module._nodeModulePaths, nodeModulePaths);
+        assert.deepEqual(require.main.paths, mainPaths);
+      });
+
+      it('keeps the lookups of separate directories apart', function() {
+        mock({
+          projectA: {
+            'index.js': 'require("foobar");',
+            'node_modules': {
+              foobar: {
+                'index.js': ''
+              }
+            }
+          },
+          projectB: {
+            'index.js': 'require("foobar");'
+          }
+        });
+
+        function resolveFoobar(directory) {
+          return cabinet({
+            partial: 'foobar',
+            filename: directory + '/index.js',
+            directory: directory
+          });
+        }
+
+        assert.equal(resolveFoobar('projectA'), path.resolve('projectA/node_modules/foobar/index.js'));
+        assert.equal(resolveFoobar('projectB'), '');
       });
 
       it('resolves a relative partial about the filename', function() {
@@ -345,246 +462,2819 @@ describe('filing-cabinet', function() {
       });
     });
 
-    describe('typescript', function() {
-      it('resolves an import', function() {
-        var directory = 'js/ts';
-        var filename = directory + '/index.ts';
+    describe('package.json exports and imports', function() {
+      const nodeModules = path.resolve('js/node_modules');
 
-        var result = cabinet({
-          partial: './foo',
+      function resolveFrom(filename, partial, conditions) {
+        return cabinet({
+          partial,
           filename,
-          directory
+          directory: 'js/exports/',
+          conditions
         });
+      }
 
-        assert.equal(
-          result,
-          path.join(path.resolve(directory), 'foo.ts')
-        );
+      it('resolves the import entry of an es6 module', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', 'exported'), `${nodeModules}/exported/esm/index.mjs`);
       });
 
-      describe('when a partial does not exist', function() {
-        it('returns an empty result', function() {
-          var directory = 'js/ts';
-          var filename = directory + '/index.ts';
-
-          var result = cabinet({
-            partial: './barbar',
-            filename,
-            directory
-          });
+      it('resolves the require entry of a commonjs module', function() {
+        assert.equal(resolveFrom('js/exports/foo.cjs', 'exported'), `${nodeModules}/exported/cjs/index.js`);
+      });
 
-          assert.equal(result, '');
-        });
+      it('resolves an exported subpath', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', 'exported/debounce'), `${nodeModules}/exported/debounce.js`);
       });
-    });
-  });
 
-  describe('CSS', function() {
-    beforeEach(function() {
-      mock({
-        stylus: {
-          'foo.styl': '',
-          'bar.styl': ''
-        },
-        sass: {
-          'foo.scss': '',
-          'bar.scss': '',
-          'foo.sass': '',
-          'bar.sass': ''
-        },
-        less: {
-          'foo.less': '',
-          'bar.less': '',
-          'bar.css': ''
-        }
+      it('resolves a subpath pattern', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', 'exported/features/a'), `${nodeModules}/exported/src/features/a.js`);
       });
 
-      this._directory = path.resolve(__dirname, '../');
-    });
+      it('does not resolve a subpath excluded via a null target', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', 'exported/features/private/b'), '');
+      });
 
-    afterEach(function() {
-      mock.restore();
-    });
+      it('does not resolve a subpath that is not exported', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', 'exported/main.js'), '');
+      });
 
-    describe('sass', function() {
-      it('uses the sass resolver for .scss files', function() {
-        const result = cabinet({
-          partial: 'bar',
-          filename: 'sass/foo.scss',
-          directory: 'sass/'
+      it('does not resolve an exported subpath whose file is missing', function() {
+        const trace = cabinet.explain({
+          partial: 'exported/missing',
+          filename: 'js/exports/foo.js',
+          directory: 'js/exports/'
         });
 
-        assert.equal(result, `${this._directory}/sass/bar.scss`);
+        assert.equal(trace.result, '');
+        assert.deepEqual(trace.candidates, [
+          {path: `${nodeModules}/exported/missing.js`, reason: 'does not exist'}
+        ]);
       });
 
-      it('uses the sass resolver for .sass files', function() {
-        const result = cabinet({
-          partial: 'bar',
-          filename: 'sass/foo.sass',
-          directory: 'sass/'
+      it('explains a subpath that is not exported', function() {
+        const trace = cabinet.explain({
+          partial: 'exported/main.js',
+          filename: 'js/exports/foo.js',
+          directory: 'js/exports/'
         });
 
-        assert.equal(result, `${this._directory}/sass/bar.sass`);
+        assert.ok(trace.error.indexOf('is not defined by "exports"') !== -1);
       });
-    });
 
-    describe('stylus', function() {
-      it('uses the stylus resolver', function() {
-        const result = cabinet({
-          partial: 'bar',
-          filename: 'stylus/foo.styl',
-          directory: 'stylus/'
-        });
+      it('resolves an exports string of a scoped package', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', '@scope/sugar'), `${nodeModules}/@scope/sugar/sugar.js`);
+      });
 
-        assert.equal(result, `${this._directory}/stylus/bar.styl`);
+      it('resolves a package referring to itself', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', 'self/utils'), path.resolve('js/exports/src/utils.js'));
       });
-    });
 
-    describe('less', function() {
-      it('resolves extensionless partials', function() {
-        const result = cabinet({
-          partial: 'bar',
-          filename: 'less/foo.less',
-          directory: 'less/'
-        });
+      it('matches the given conditions', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', 'exported', ['require']), `${nodeModules}/exported/cjs/index.js`);
+        assert.equal(resolveFrom('js/exports/foo.js', 'exported/internal', ['import', 'development']),
+          `${nodeModules}/exported/internal.dev.js`);
+        assert.equal(resolveFrom('js/exports/foo.js', 'exported/internal'), `${nodeModules}/exported/internal.prod.js`);
+      });
 
-        assert.equal(result, `${this._directory}/less/bar.less`);
+      it('uses the main entry of packages without exports', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', 'lodash.assign'), `${nodeModules}/lodash.assign/index.js`);
       });
 
-      it('resolves partials with a less extension', function() {
-        const result = cabinet({
-          partial: 'bar.less',
-          filename: 'less/foo.less',
-          directory: 'less/'
-        });
+      it('resolves a private import pattern', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', '#internal/a'), path.resolve('js/exports/src/internal/a.js'));
+      });
 
-        assert.equal(result, `${this._directory}/less/bar.less`);
+      it('resolves a private import with conditions', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', '#env'), path.resolve('js/exports/src/env.node.js'));
+        assert.equal(resolveFrom('js/exports/foo.js', '#env', ['browser']), path.resolve('js/exports/src/env.browser.js'));
       });
 
-      it('resolves partials with a css extension', function() {
-        const result = cabinet({
-          partial: 'bar.css',
-          filename: 'less/foo.less',
-          directory: 'less/'
-        });
+      it('resolves a private import mapped to a dependency', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', '#debounce'), `${nodeModules}/exported/debounce.js`);
+      });
 
-        assert.equal(result, `${this._directory}/less/bar.css`);
+      it('does not resolve an undefined private import', function() {
+        assert.equal(resolveFrom('js/exports/foo.js', '#nope'), '');
+      });
+
+      it('is used by cabinet.async', function() {
+        return cabinet.async({
+          partial: 'exported/features/a',
+          filename: 'js/exports/foo.js',
+          directory: 'js/exports/'
+        })
+        .then(function(result) {
+          assert.equal(result, `${nodeModules}/exported/src/features/a.js`);
+        });
       });
     });
-  });
 
-  describe('.register', function() {
-    it('registers a custom resolver for a given extension', function() {
-      var stub = sinon.stub().returns('foo.foobar');
-      cabinet.register('.foobar', stub);
+    describe('browser target', function() {
+      const appDir = path.resolve('browser/app');
+      const nodeModules = `${appDir}/node_modules`;
+
+      beforeEach(function() {
+        mock(Object.assign({}, mockedFiles, {
+          browser: {
+            app: {
+              'package.json': JSON.stringify({
+                name: 'app',
+                browser: {
+                  './src/server.js': './src/client.js',
+                  'fs': false,
+                  'request': 'xhr'
+                }
+              }),
+              src: {
+                'index.js': 'var server = require("./server");',
+                'server.js': 'module.exports = {};',
+                'client.js': 'module.exports = {};'
+              },
+              'node_modules': {
+                str: {
+                  'package.json': JSON.stringify({main: 'index.js', browser: 'browser.js'}),
+                  'index.js': 'module.exports = {};',
+                  'browser.js': 'module.exports = {};'
+                },
+                obj: {
+                  'package.json': JSON.stringify({
+                    main: 'lib/node.js',
+                    browser: {
+                      './lib/node.js': './lib/browser.js',
+                      './lib/db.js': false,
+                      'http': './lib/xhr.js'
+                    }
+                  }),
+                  lib: {
+                    'node.js': 'module.exports = {};',
+                    'browser.js': 'module.exports = {};',
+                    'db.js': 'module.exports = {};',
+                    'util.js': 'var node = require("./node");',
+                    'xhr.js': 'module.exports = {};'
+                  }
+                },
+                exp: {
+                  'package.json': JSON.stringify({
+                    exports: {
+                      '.': {
+                        browser: './browser.js',
+                        node: './node.js'
+                      }
+                    }
+                  }),
+                  'browser.js': 'module.exports = {};',
+                  'node.js': 'module.exports = {};'
+                },
+                xhr: {
+                  'index.js': 'module.exports = {};'
+                }
+              }
+            }
+          }
+        }));
+      });
 
-      var path = cabinet({
-        partial: './bar',
-        filename: 'js/amd/foo.foobar',
-        directory: 'js/amd/'
+      function resolveFrom(filename, partial, options) {
+        return cabinet(Object.assign({
+          partial,
+          filename,
+          directory: 'browser/app',
+          target: 'browser'
+        }, options));
+      }
+
+      it('uses a browser field string as the entry of a package', function() {
+        assert.equal(resolveFrom('browser/app/src/index.js', 'str'), `${nodeModules}/str/browser.js`);
       });
 
-      assert.ok(stub.called);
-      assert.equal(path, 'foo.foobar');
-    });
+      it('resolves like node without the browser target', function() {
+        assert.equal(resolveFrom('browser/app/src/index.js', 'str', {target: 'node'}), `${nodeModules}/str/index.js`);
+        assert.equal(resolveFrom('browser/app/src/index.js', './server', {target: undefined}), `${appDir}/src/server.js`);
+      });
 
-    it('allows does not break default resolvers', function() {
-      mock({
-        stylus: {
-          'foo.styl': '',
-          'bar.styl': ''
-        }
+      it('replaces the main entry of a package mapped by its browser field', function() {
+        assert.equal(resolveFrom('browser/app/src/index.js', 'obj'), `${nodeModules}/obj/lib/browser.js`);
       });
 
-      var stub = sinon.stub().returns('foo');
+      it('replaces the relative requires within a package', function() {
+        assert.equal(resolveFrom(`${nodeModules}/obj/lib/util.js`, './node'), `${nodeModules}/obj/lib/browser.js`);
+        assert.equal(resolveFrom('browser/app/src/index.js', './server'), `${appDir}/src/client.js`);
+      });
 
-      cabinet.register('.foobar', stub);
+      it('replaces the modules required within a package', function() {
+        assert.equal(resolveFrom(`${nodeModules}/obj/lib/util.js`, 'http', {builtins: true}), `${nodeModules}/obj/lib/xhr.js`);
+        assert.equal(resolveFrom('browser/app/src/index.js', 'request'), `${nodeModules}/xhr/index.js`);
+      });
 
-      cabinet({
-        partial: './bar',
-        filename: 'js/amd/foo.foobar',
-        directory: 'js/amd/'
+      it('reports the modules mapped to false as empty', function() {
+        assert.deepEqual(resolveFrom(`${nodeModules}/obj/lib/util.js`, './db'), {empty: true, name: './db'});
+        assert.deepEqual(resolveFrom('browser/app/src/index.js', 'fs', {builtins: true}), {empty: true, name: 'fs'});
       });
 
-      var result = cabinet({
-        partial: './bar',
-        filename: 'stylus/foo.styl',
-        directory: 'stylus/'
+      it('does not explain an empty module as an error', function() {
+        const trace = cabinet.explain({
+          partial: './db',
+          filename: `${nodeModules}/obj/lib/util.js`,
+          directory: 'browser/app',
+          target: 'browser'
+        });
+
+        assert.deepEqual(trace.result, {empty: true, name: './db'});
+        assert.equal(trace.error, null);
       });
 
-      assert.ok(stub.called);
-      assert.ok(result);
+      it('matches the browser condition of the exports field', function() {
+        assert.equal(resolveFrom('browser/app/src/index.js', 'exp'), `${nodeModules}/exp/browser.js`);
+        assert.equal(resolveFrom('browser/app/src/index.js', 'exp', {target: 'node'}), `${nodeModules}/exp/node.js`);
+      });
 
-      mock.restore();
+      it('is used by cabinet.async', function() {
+        return Promise.all([
+          cabinet.async({
+            partial: 'obj',
+            filename: 'browser/app/src/index.js',
+            directory: 'browser/app',
+            target: 'browser'
+          }),
+          cabinet.async({
+            partial: 'fs',
+            filename: 'browser/app/src/index.js',
+            directory: 'browser/app',
+            target: 'browser'
+          })
+        ])
+        .then(function(results) {
+          assert.equal(results[0], `${nodeModules}/obj/lib/browser.js`);
+          assert.deepEqual(results[1], {empty: true, name: 'fs'});
+        });
+      });
     });
 
-    it('can be called multiple times', function() {
-      var stub = sinon.stub().returns('foo');
-      var stub2 = sinon.stub().returns('foo');
+    describe('babel-plugin-module-resolver', function() {
+      function resolveFrom(filename, partial, options) {
+        return cabinet(Object.assign({
+          partial,
+          filename,
+          directory: 'js/babel/',
+          discoverBabelConfig: true
+        }, options));
+      }
 
-      cabinet.register('.foobar', stub);
-      cabinet.register('.barbar', stub2);
+      const babelDir = path.resolve('js/babel');
 
-      cabinet({
-        partial: './bar',
-        filename: 'js/amd/foo.foobar',
-        directory: 'js/amd/'
+      it('resolves a partial within a root', function() {
+        assert.equal(resolveFrom('js/babel/index.js', 'utils'), `${babelDir}/src/utils.js`);
       });
 
-      cabinet({
-        partial: './bar',
-        filename: 'js/amd/foo.barbar',
-        directory: 'js/amd/'
+      it('resolves an alias', function() {
+        assert.equal(resolveFrom('js/babel/index.js', 'components/Button'), `${babelDir}/src/components/Button.js`);
       });
 
-      assert.ok(stub.called);
-      assert.ok(stub2.called);
-    });
+      it('resolves a regular expression alias', function() {
+        assert.equal(resolveFrom('js/babel/index.js', '@app/store'), `${babelDir}/src/app/store.js`);
+      });
 
-    it('does not add redundant extensions to supportedFileExtensions', function() {
-      const stub = sinon.stub;
-      const newExt = '.foobar';
+      it('resolves an alias to a package', function() {
+        assert.equal(resolveFrom('js/babel/index.js', 'assign'), path.resolve('js/node_modules/lodash.assign/index.js'));
+      });
 
-      cabinet.register(newExt, stub);
-      cabinet.register(newExt, stub);
+      it('uses the babel config within the nearest package.json', function() {
+        assert.equal(resolveFrom('js/babel/pkg/index.js', 'lib/foo'), `${babelDir}/pkg/lib/foo.js`);
+      });
 
-      const {supportedFileExtensions} = cabinet;
+      it('does not use babel configs by default', function() {
+        assert.equal(resolveFrom('js/babel/index.js', 'components/Button', {discoverBabelConfig: false}), '');
+      });
 
-      assert.equal(supportedFileExtensions.indexOf(newExt), supportedFileExtensions.lastIndexOf(newExt));
-    });
-  });
+      it('uses the given babel config', function() {
+        assert.equal(resolveFrom('js/babel/pkg/index.js', 'components/Button', {
+          discoverBabelConfig: false,
+          babelConfig: 'js/babel/.babelrc'
+        }), `${babelDir}/src/components/Button.js`);
+      });
 
-  describe('webpack', function() {
-    let directory;
+      it('resolves the paths of a babel config object about the directory', function() {
+        assert.equal(resolveFrom('js/babel/index.js', 'app/store', {
+          discoverBabelConfig: false,
+          babelConfig: function(api) {
+            api.cache(true);
 
-    beforeEach(function() {
-      directory = path.resolve(__dirname, '../');
-    });
+            return {
+              plugins: [['module-resolver', {alias: {app: './src/app'}}]]
+            };
+          }
+        }), `${babelDir}/src/app/store.js`);
+      });
 
-    function testResolution(partial, expected) {
-      const resolved = cabinet({
-        partial,
-        filename: `${directory}/index.js`,
-        directory,
-        webpackConfig: `${directory}/webpack.config.js`
+      it('is used by cabinet.async', function() {
+        return cabinet.async({
+          partial: 'components/Button',
+          filename: 'js/babel/index.js',
+          directory: 'js/babel/',
+          discoverBabelConfig: true
+        })
+        .then(function(result) {
+          assert.equal(result, `${babelDir}/src/components/Button.js`);
+        });
       });
 
-      assert.equal(resolved, expected);
-    }
+      it('drops the results once the babel config is invalidated', function() {
+        const cache = cabinet.createCache();
 
-    it('resolves an aliased path', function() {
-      testResolution('R', `${directory}/node_modules/resolve/index.js`);
-    });
+        resolveFrom('js/babel/index.js', 'utils', {cache});
+        cache.invalidate('js/babel/.babelrc');
 
-    it('resolves a non-aliased path', function() {
-      testResolution('resolve', `${directory}/node_modules/resolve/index.js`);
+        assert.deepEqual(cache.results, {});
+        assert.deepEqual(cache.babelConfigPaths, {});
+      });
     });
 
-    it('resolves a relative path', function() {
-      testResolution('./test/ast', `${directory}/test/ast.js`);
-    });
+    describe('jest', function() {
+      const jestDir = path.resolve('js/jest');
+
+      function resolveJest(partial, options) {
+        return cabinet(Object.assign({
+          partial,
+          filename: 'js/jest/test/Button.test.js',
+          directory: 'js/jest/',
+          jestConfig: 'js/jest/jest.config.json'
+        }, options));
+      }
+
+      it('maps a partial through the moduleNameMapper', function() {
+        assert.equal(resolveJest('@components/Button'), `${jestDir}/src/components/Button.js`);
+        assert.equal(resolveJest('./Button.css'), `${jestDir}/__mocks__/styleMock.js`);
+      });
 
-    it('resolves an absolute path from a file within a subdirectory', function() {
+      it('tries each of the mapped names in order', function() {
+        assert.equal(resolveJest('config'), `${jestDir}/config/default.js`);
+      });
+
+      it('explains a mapped name that does not resolve', function() {
+        const trace = cabinet.explain({
+          partial: 'missing',
+          filename: 'js/jest/test/Button.test.js',
+          directory: 'js/jest/',
+          jestConfig: 'js/jest/jest.config.json'
+        });
+
+        assert.equal(trace.moduleType, 'jest');
+        assert.equal(trace.result, '');
+        assert.equal(trace.error, `Could not locate module missing mapped as: ${jestDir}/missing`);
+      });
+
+      it('resolves a path using modulePaths', function() {
+        assert.equal(resolveJest('helpers'), `${jestDir}/shared/helpers.js`);
+      });
+
+      it('resolves a path using moduleDirectories', function() {
+        assert.equal(resolveJest('utils'), `${jestDir}/src/utils/index.js`);
+      });
+
+      it('resolves a path using roots', function() {
+        assert.equal(resolveJest('legacy'), `${jestDir}/lib/legacy.js`);
+      });
+
+      it('resolves a relative partial about the filename', function() {
+        assert.equal(resolveJest('./setup'), `${jestDir}/test/setup.js`);
+      });
+
+      it('uses the jest field of a package.json relative to its rootDir', function() {
+        assert.equal(resolveJest('~/utils', {jestConfig: 'js/jest/package.json'}), `${jestDir}/src/utils/index.js`);
+      });
+
+      it('resolves the rootDir of a config object about the directory', function() {
+        assert.equal(resolveJest('#/Button', {
+          jestConfig: {
+            moduleNameMapper: {
+              '^#/(.*)$': '<rootDir>/src/components/$1'
+            }
+          }
+        }), `${jestDir}/src/components/Button.js`);
+      });
+
+      it('is used by cabinet.async', function() {
+        return cabinet.async({
+          partial: '@components/Button',
+          filename: 'js/jest/test/Button.test.js',
+          directory: 'js/jest/',
+          jestConfig: 'js/jest/jest.config.json'
+        })
+        .then(function(result) {
+          assert.equal(result, `${jestDir}/src/components/Button.js`);
+        });
+      });
+    });
+
+    describe('yarn plug\'n\'play', function() {
+      const pnpDir = path.resolve('js/pnp');
+      const lodashDir = `${pnpDir}/.yarn/cache/lodash-npm-4.17.21-6382451519-eb835a2e51.zip/node_modules/lodash`;
+      const leftPadDir = `${pnpDir}/.yarn/unplugged/left-pad-npm-1.3.0-fb5a1d5f0c/node_modules/left-pad`;
+
+      function resolvePnp(partial, options) {
+        return cabinet(Object.assign({
+          partial,
+          filename: 'js/pnp/index.js',
+          directory: 'js/pnp/'
+        }, options));
+      }
+
+      it('resolves a package within a zip archive of the cache', function() {
+        assert.equal(resolvePnp('lodash'), `${lodashDir}/lodash.js`);
+      });
+
+      it('resolves a file within a package', function() {
+        assert.equal(resolvePnp('lodash/fp/map'), `${lodashDir}/fp/map.js`);
+      });
+
+      it('resolves an unplugged package', function() {
+        assert.equal(resolvePnp('left-pad'), `${leftPadDir}/lib/index.js`);
+      });
+
+      it('resolves an aliased dependency to the package it names', function() {
+        assert.equal(resolvePnp('underscore'), `${lodashDir}/lodash.js`);
+      });
+
+      it('resolves the dependencies of a package within a zip archive', function() {
+        // The module type can't be read from a file within a zip archive
+        assert.equal(resolvePnp('left-pad', {
+          filename: `${lodashDir}/lodash.js`,
+          ast: mockAST
+        }), `${leftPadDir}/lib/index.js`);
+      });
+
+      it('falls back to the dependencies of the top-level package', function() {
+        assert.equal(resolvePnp('lodash', {filename: `${leftPadDir}/lib/index.js`}), `${lodashDir}/lodash.js`);
+      });
+
+      it('explains a package that is not declared as a dependency', function() {
+        const trace = cabinet.explain({
+          partial: 'react',
+          filename: 'js/pnp/index.js',
+          directory: 'js/pnp/'
+        });
+
+        assert.equal(trace.result, '');
+        assert.equal(trace.error, 'pnp-app tried to access react but it isn\'t declared in its dependencies');
+      });
+
+      it('still resolves relative partials', function() {
+        assert.equal(resolvePnp('./index'), `${pnpDir}/index.js`);
+      });
+
+      it('reads the manifests written by Yarn 2', function() {
+        assert.equal(cabinet({
+          partial: 'left-pad',
+          filename: 'js/pnp/legacy/index.js',
+          directory: 'js/pnp/legacy/'
+        }), `${pnpDir}/legacy/.yarn/unplugged/left-pad-npm-1.3.0-fb5a1d5f0c/node_modules/left-pad/lib/index.js`);
+      });
+
+      it('resolves through the manifest with a webpack config', function() {
+        const cache = cabinet.createCache();
+
+        // The webpack config can only be required from the actual filesystem
+        mock.restore();
+
+        return cabinet.async({
+          partial: './index',
+          filename: 'index.js',
+          directory: '.',
+          webpackConfig: 'webpack.config.js',
+          cache
+        })
+        .then(function() {
+          mock(mockedFiles);
+
+          assert.equal(resolvePnp('lodash/fp/map', {webpackConfig: 'webpack.config.js', cache}), `${lodashDir}/fp/map.js`);
+          assert.equal(resolvePnp('react', {webpackConfig: 'webpack.config.js', cache}), '');
+        });
+      });
+
+      it('is used by cabinet.async', function() {
+        return cabinet.async({
+          partial: 'lodash',
+          filename: 'js/pnp/index.js',
+          directory: 'js/pnp/'
+        })
+        .then(function(result) {
+          assert.equal(result, `${lodashDir}/lodash.js`);
+        });
+      });
+
+      it('reuses the manifest found for the directory', function() {
+        const cache = cabinet.createCache();
+
+        resolvePnp('lodash', {cache});
+        assert.equal(cache.pnpManifestPaths[pnpDir], `${pnpDir}/.pnp.cjs`);
+        assert.ok(cache.configs[`${pnpDir}/.pnp.cjs`][''].value);
+
+        cache.invalidate('js/pnp/.pnp.cjs');
+
+        assert.deepEqual(cache.pnpManifestPaths, {});
+        assert.deepEqual(cache.results, {});
+        assert.ok(!cache.configs.hasOwnProperty(`${pnpDir}/.pnp.cjs`));
+      });
+    });
+
+    describe('workspaces', function() {
+      const monorepoDir = path.resolve('js/monorepo');
+
+      function resolveWorkspace(partial, options) {
+        return cabinet(Object.assign({
+          partial,
+          filename: 'js/monorepo/apps/web/index.js',
+          directory: 'js/monorepo/',
+          workspaces: true
+        }, options));
+      }
+
+      it('resolves a workspace package within its folder', function() {
+        assert.equal(resolveWorkspace('@acme/utils'), `${monorepoDir}/packages/utils/lib/index.js`);
+      });
+
+      it('resolves a file within a workspace package', function() {
+        assert.equal(resolveWorkspace('@acme/ui/src/Button'), `${monorepoDir}/packages/ui/src/Button.js`);
+      });
+
+      it('prefers the given entry fields over the main', function() {
+        assert.equal(resolveWorkspace('@acme/ui', {
+          workspaceEntryFields: ['source', 'module']
+        }), `${monorepoDir}/packages/ui/src/index.ts`);
+      });
+
+      it('skips the entry fields that point to missing files', function() {
+        assert.equal(resolveWorkspace('@acme/ui', {
+          workspaceEntryFields: ['types', 'module']
+        }), `${monorepoDir}/packages/ui/src/index.js`);
+      });
+
+      it('explains a workspace package that has not been built', function() {
+        const trace = cabinet.explain({
+          partial: '@acme/ui',
+          filename: 'js/monorepo/apps/web/index.js',
+          directory: 'js/monorepo/',
+          workspaces: true
+        });
+
+        assert.equal(trace.result, '');
+        assert.ok(trace.candidates.some(function(candidate) {
+          return candidate.path === `${monorepoDir}/packages/ui/dist/index.js`;
+        }));
+      });
+
+      it('leaves out the folders excluded by a negated glob', function() {
+        assert.equal(resolveWorkspace('@acme/fixture'), '');
+      });
+
+      it('uses the given root of the monorepo', function() {
+        assert.equal(resolveWorkspace('@acme/utils', {
+          directory: 'js/monorepo/apps/web',
+          workspaces: 'js/monorepo'
+        }), `${monorepoDir}/packages/utils/lib/index.js`);
+      });
+
+      it('reads the packages of lerna.json', function() {
+        assert.equal(cabinet({
+          partial: 'core-lib',
+          filename: 'js/lerna/index.js',
+          directory: 'js/lerna/',
+          workspaces: true
+        }), path.resolve('js/lerna/modules/core/index.js'));
+      });
+
+      it('reads the packages of pnpm-workspace.yaml', function() {
+        const options = {
+          filename: 'js/pnpm/index.js',
+          directory: 'js/pnpm/',
+          workspaces: true
+        };
+
+        assert.equal(cabinet(Object.assign({partial: '@acme/shared'}, options)), path.resolve('js/pnpm/libs/shared/main.js'));
+        assert.equal(cabinet(Object.assign({partial: '@acme/private'}, options)), '');
+      });
+
+      it('resolves the partials of TypeScript files', function() {
+        assert.equal(resolveWorkspace('@acme/utils', {
+          filename: 'js/monorepo/packages/ui/src/index.ts'
+        }), `${monorepoDir}/packages/utils/lib/index.js`);
+      });
+
+      it('is used by cabinet.async', function() {
+        return cabinet.async({
+          partial: '@acme/utils',
+          filename: 'js/monorepo/apps/web/index.js',
+          directory: 'js/monorepo/',
+          workspaces: true
+        })
+        .then(function(result) {
+          assert.equal(result, `${monorepoDir}/packages/utils/lib/index.js`);
+        });
+      });
+
+      it('finds the packages again once a package.json changes', function() {
+        const cache = cabinet.createCache();
+
+        resolveWorkspace('@acme/utils', {cache});
+        assert.equal(cache.workspaceRoots[monorepoDir], monorepoDir);
+        assert.deepEqual(Object.keys(cache.workspaces[monorepoDir].packages).sort(), ['@acme/ui', '@acme/utils', 'web']);
+
+        cache.invalidate('js/monorepo/packages/notes/package.json');
+
+        assert.deepEqual(cache.workspaceRoots, {});
+        assert.deepEqual(cache.workspaces, {});
+      });
+    });
+
+    describe('built-in modules', function() {
+      function resolveBuiltin(partial, filename) {
+        return cabinet({
+          partial,
+          filename: filename || 'js/commonjs/foo.js',
+          directory: 'js/commonjs/',
+          builtins: true
+        });
+      }
+
+      it('reports a built-in module', function() {
+        assert.deepEqual(resolveBuiltin('fs'), {builtin: true, name: 'fs'});
+      });
+
+      it('reports a built-in module with the node: prefix', function() {
+        assert.deepEqual(resolveBuiltin('node:path'), {builtin: true, name: 'path'});
+      });
+
+      it('reports built-in modules of es6 modules', function() {
+        assert.deepEqual(resolveBuiltin('events', 'js/es6/foo.js'), {builtin: true, name: 'events'});
+      });
+
+      it('reports built-in modules of typescript files', function() {
+        assert.deepEqual(resolveBuiltin('fs', 'js/ts/index.ts'), {builtin: true, name: 'fs'});
+        assert.deepEqual(resolveBuiltin('node:path', 'js/ts/index.ts'), {builtin: true, name: 'path'});
+        assert.equal(resolveBuiltin('./foo', 'js/ts/index.ts'), path.join(path.resolve('js/ts/'), 'foo.ts'));
+      });
+
+      it('still resolves other partials', function() {
+        assert.equal(resolveBuiltin('./bar'), path.join(path.resolve('js/commonjs/'), 'bar.js'));
+        assert.equal(resolveBuiltin('foobar'), '');
+      });
+
+      it('does not report built-in modules unless asked to', function() {
+        assert.equal(cabinet({
+          partial: 'node:path',
+          filename: 'js/commonjs/foo.js',
+          directory: 'js/commonjs/'
+        }), '');
+      });
+
+      it('reports built-in modules within cabinet.async', function() {
+        return cabinet.async({
+          partial: 'node:fs',
+          filename: 'js/commonjs/foo.js',
+          directory: 'js/commonjs/',
+          builtins: true
+        })
+        .then(function(result) {
+          assert.deepEqual(result, {builtin: true, name: 'fs'});
+        });
+      });
+
+      it('keeps reported built-in modules within an invalidated cache', function() {
+        const cache = cabinet.createCache();
+        const options = {
+          partial: 'fs',
+          filename: 'js/commonjs/foo.js',
+          directory: 'js/commonjs/',
+          builtins: true,
+          cache
+        };
+
+        cabinet(options);
+        cache.invalidate('js/commonjs/bar.js');
+
+        assert.deepEqual(cache.getResult(options.filename, 'fs', options), {builtin: true, name: 'fs'});
+      });
+    });
+
+    describe('typescript', function() {
+      it('resolves an import', function() {
+        var directory = 'js/ts';
+        var filename = directory + '/index.ts';
+
+        var result = cabinet({
+          partial: './foo',
+          filename,
+          directory
+        });
+
+        assert.equal(
+          result,
+          path.join(path.resolve(directory), 'foo.ts')
+        );
+      });
+
+      it('resolves an import from a .tsx file', function() {
+        const result = cabinet({
+          partial: './Component',
+          filename: 'js/tsx/index.tsx',
+          directory: 'js/tsx'
+        });
+
+        assert.equal(result, path.resolve('js/tsx/Component.tsx'));
+      });
+
+      it('resolves an import of a .mjs path to its .mts source', function() {
+        const result = cabinet({
+          partial: './util.mjs',
+          filename: 'js/mts/index.mts',
+          directory: 'js/mts'
+        });
+
+        assert.equal(result, path.resolve('js/mts/util.mts'));
+      });
+
+      it('resolves an import of a .cjs path to its .cts source', function() {
+        const result = cabinet({
+          partial: './util.cjs',
+          filename: 'js/mts/index.cts',
+          directory: 'js/mts'
+        });
+
+        assert.equal(result, path.resolve('js/mts/util.cts'));
+      });
+
+      it('resolves .tsx partials of commonjs modules', function() {
+        const result = cabinet({
+          partial: './Component',
+          filename: 'js/tsx/index.js',
+          directory: 'js/tsx'
+        });
+
+        assert.equal(result, path.resolve('js/tsx/Component.tsx'));
+      });
+
+      describe('when given a tsconfig', function() {
+        beforeEach(function() {
+          mock(Object.assign({
+            tsconfig: {
+              'tsconfig.base.json': JSON.stringify({
+                compilerOptions: {
+                  module: 'commonjs',
+                  baseUrl: '.',
+                  paths: {
+                    '@app/*': ['src/app/*']
+                  }
+                }
+              }),
+              'tsconfig.json': JSON.stringify({
+                extends: './tsconfig.base.json',
+                compilerOptions: {
+                  target: 'es5'
+                }
+              }),
+              'tsconfig.invalid.json': '{ "compilerOptions": ',
+              src: {
+                'index.ts': 'import foo from "@app/foo";',
+                app: {
+                  'foo.ts': 'export default 1;'
+                },
+                lib: {
+                  'bar.ts': 'export default 2;'
+                }
+              }
+            }
+          }, mockedFiles));
+        });
+
+        it('resolves paths aliases of a tsconfig path', function() {
+          const result = cabinet({
+            partial: '@app/foo',
+            filename: 'tsconfig/src/index.ts',
+            directory: 'tsconfig',
+            tsConfig: 'tsconfig/tsconfig.json'
+          });
+
+          assert.equal(result, path.resolve('tsconfig/src/app/foo.ts'));
+        });
+
+        it('resolves baseUrl-relative imports', function() {
+          const result = cabinet({
+            partial: 'src/lib/bar',
+            filename: 'tsconfig/src/index.ts',
+            directory: 'tsconfig',
+            tsConfig: 'tsconfig/tsconfig.json'
+          });
+
+          assert.equal(result, path.resolve('tsconfig/src/lib/bar.ts'));
+        });
+
+        it('resolves paths aliases of a tsconfig object about the directory', function() {
+          const result = cabinet({
+            partial: '@app/foo',
+            filename: 'tsconfig/src/index.ts',
+            directory: 'tsconfig',
+            tsConfig: {
+              compilerOptions: {
+                moduleResolution: 'node',
+                baseUrl: '.',
+                paths: {
+                  '@app/*': ['src/app/*']
+                }
+              }
+            }
+          });
+
+          assert.equal(result, path.resolve('tsconfig/src/app/foo.ts'));
+        });
+
+        it('discovers the nearest tsconfig.json when asked to', function() {
+          const options = {
+            partial: '@app/foo',
+            filename: 'tsconfig/src/index.ts',
+            directory: 'tsconfig'
+          };
+
+          assert.equal(cabinet(options), '');
+
+          options.discoverTsConfig = true;
+
+          assert.equal(cabinet(options), path.resolve('tsconfig/src/app/foo.ts'));
+        });
+
+        it('prefers the given tsconfig over a discovered one', function() {
+          const result = cabinet({
+            partial: '@app/foo',
+            filename: 'tsconfig/src/index.ts',
+            directory: 'tsconfig',
+            tsConfig: {},
+            discoverTsConfig: true
+          });
+
+          assert.equal(result, '');
+        });
+
+        it('reports an invalid tsconfig as a config error', function() {
+          const trace = cabinet.explain({
+            partial: '@app/foo',
+            filename: 'tsconfig/src/index.ts',
+            directory: 'tsconfig',
+            tsConfig: 'tsconfig/tsconfig.invalid.json'
+          });
+
+          assert.equal(trace.result, '');
+          assert.ok(trace.configError);
+        });
+
+        it('reuses the parsed tsconfig of a cache until it is invalidated', function() {
+          const ts = cabinet.__get__('ts');
+          const spy = sinon.spy(ts, 'parseJsonConfigFileContent');
+          const cache = cabinet.createCache();
+          const options = {
+            filename: 'tsconfig/src/index.ts',
+            directory: 'tsconfig',
+            tsConfig: 'tsconfig/tsconfig.json',
+            cache
+          };
+
+          cabinet.resolveMany(Object.assign({partials: ['@app/foo', 'src/lib/bar']}, options));
+          assert.equal(spy.callCount, 1);
+
+          cache.invalidate('tsconfig/tsconfig.base.json');
+          cabinet(Object.assign({partial: '@app/foo'}, options));
+          assert.equal(spy.callCount, 2);
+
+          spy.restore();
+        });
+      });
+
+      describe('when a partial does not exist', function() {
+        it('returns an empty result', function() {
+          var directory = 'js/ts';
+          var filename = directory + '/index.ts';
+
+          var result = cabinet({
+            partial: './barbar',
+            filename,
+            directory
+          });
+
+          assert.equal(result, '');
+        });
+      });
+    });
+  });
+
+  describe('CSS', function() {
+    beforeEach(function() {
+      mock({
+        stylus: {
+          'foo.styl': '',
+          'bar.styl': '',
+          'components': {
+            'index.styl': ''
+          },
+          'mixins': {
+            'a.styl': '',
+            'b.styl': '',
+            'notes.txt': '',
+            'nested': {
+              'c.styl': ''
+            }
+          },
+          'vendor': {
+            'grid.styl': ''
+          },
+          'node_modules': {
+            'nib': {
+              'package.json': JSON.stringify({main: 'lib/nib'}),
+              'lib': {
+                'nib': {
+                  'index.styl': ''
+                }
+              }
+            },
+            'rupture': {
+              'package.json': JSON.stringify({main: 'index.js', stylus: 'rupture/index.styl'}),
+              'index.js': '',
+              'rupture': {
+                'index.styl': ''
+              }
+            },
+            'kouto': {
+              'package.json': '{}',
+              'index.styl': '',
+              'mixins': {
+                'swatch.styl': ''
+              }
+            }
+          }
+        },
+        sass: {
+          'foo.scss': '',
+          'bar.scss': '',
+          'foo.sass': '',
+          'baz.sass': '',
+          '_partial.scss': '',
+          'ambiguous.scss': '',
+          '_ambiguous.scss': '',
+          'components': {
+            '_index.scss': '',
+            '_button.scss': ''
+          },
+          'vendor': {
+            '_grid.scss': ''
+          },
+          'design': {
+            '_tokens.scss': ''
+          },
+          'node_modules': {
+            'bootstrap': {
+              'package.json': JSON.stringify({sass: 'scss/bootstrap.scss'}),
+              'scss': {
+                'bootstrap.scss': '',
+                '_mixins.scss': ''
+              }
+            },
+            'theme': {
+              'package.json': JSON.stringify({
+                exports: {
+                  '.': {sass: './src/index.scss'},
+                  './*': {sass: './src/_*.scss'}
+                }
+              }),
+              'src': {
+                'index.scss': '',
+                '_colors.scss': ''
+              }
+            },
+            'plain': {
+              'package.json': '{}',
+              '_index.scss': ''
+            }
+          }
+        },
+        less: {
+          'foo.less': '',
+          'bar.less': '',
+          'bar.css': '',
+          '_underscored.less': '',
+          'vendor': {
+            'mixins.less': ''
+          },
+          'node_modules': {
+            'bootstrap': {
+              'package.json': JSON.stringify({less: 'less/bootstrap.less'}),
+              'less': {
+                'bootstrap.less': '',
+                'variables.less': ''
+              }
+            }
+          }
+        }
+      });
+
+      this._directory = path.resolve(__dirname, '../');
+    });
+
+    afterEach(function() {
+      mock.restore();
+    });
+
+    describe('sass', function() {
+      it('uses the sass resolver for .scss files', function() {
+        const result = cabinet({
+          partial: 'bar',
+          filename: 'sass/foo.scss',
+          directory: 'sass/'
+        });
+
+        assert.equal(result, `${this._directory}/sass/bar.scss`);
+      });
+
+      it('uses the sass resolver for .sass files', function() {
+        const result = cabinet({
+          partial: 'baz',
+          filename: 'sass/foo.sass',
+          directory: 'sass/'
+        });
+
+        assert.equal(result, `${this._directory}/sass/baz.sass`);
+      });
+
+      function resolveSass(partial, sassOptions) {
+        return cabinet({
+          partial,
+          filename: 'sass/foo.scss',
+          directory: 'sass/',
+          sassOptions
+        });
+      }
+
+      it('resolves partials prefixed with an underscore', function() {
+        assert.equal(resolveSass('partial'), `${this._directory}/sass/_partial.scss`);
+        assert.equal(resolveSass('components/button'), `${this._directory}/sass/components/_button.scss`);
+      });
+
+      it('resolves the index file of a folder', function() {
+        assert.equal(resolveSass('components'), `${this._directory}/sass/components/_index.scss`);
+      });
+
+      it('explains a partial that matches more than one file', function() {
+        const trace = cabinet.explain({
+          partial: 'ambiguous',
+          filename: 'sass/foo.scss',
+          directory: 'sass/'
+        });
+
+        assert.equal(trace.result, '');
+        assert.equal(trace.error, `It's not clear which file to import for ${this._directory}/sass/ambiguous. Found:\n` +
+          `  ${this._directory}/sass/_ambiguous.scss\n  ${this._directory}/sass/ambiguous.scss`);
+      });
+
+      it('explains a partial that matches a stylesheet of each syntax', function() {
+        ['sass/foo.scss', 'sass/foo.sass'].forEach(function(filename) {
+          const trace = cabinet.explain({
+            partial: 'foo',
+            filename,
+            directory: 'sass/'
+          });
+
+          assert.equal(trace.result, '');
+          assert.equal(trace.error, `It's not clear which file to import for ${this._directory}/sass/foo. Found:\n` +
+            `  ${this._directory}/sass/foo.scss\n  ${this._directory}/sass/foo.sass`);
+        }, this);
+      });
+
+      it('explains a partial that does not exist', function() {
+        const trace = cabinet.explain({
+          partial: 'missing',
+          filename: 'sass/foo.scss',
+          directory: 'sass/'
+        });
+
+        assert.equal(trace.result, '');
+        assert.equal(trace.error, 'Can\'t find stylesheet to import: missing');
+      });
+
+      it('resolves partials within the load paths', function() {
+        assert.equal(resolveSass('grid', {loadPaths: ['vendor']}), `${this._directory}/sass/vendor/_grid.scss`);
+      });
+
+      it('resolves partials through a mapping of prefixes to folders', function() {
+        assert.equal(resolveSass('@design/tokens', {importers: {'@design': 'design'}}), `${this._directory}/sass/design/_tokens.scss`);
+      });
+
+      it('resolves partials through importers', function() {
+        const directory = this._directory;
+        const sassOptions = {
+          importers: [
+            function(url) {
+              return url === 'grid' ? {file: 'vendor/grid'} : null;
+            },
+            {
+              findFileUrl(url) {
+                return url.indexOf('tokens:') === 0 ? new URL(`file://${directory}/sass/design/${url.slice(7)}`) : null;
+              }
+            }
+          ]
+        };
+
+        assert.equal(resolveSass('grid', sassOptions), `${this._directory}/sass/vendor/_grid.scss`);
+        assert.equal(resolveSass('tokens:tokens', sassOptions), `${this._directory}/sass/design/_tokens.scss`);
+      });
+
+      it('resolves pkg: urls through the sass field of a package', function() {
+        assert.equal(resolveSass('pkg:bootstrap'), `${this._directory}/sass/node_modules/bootstrap/scss/bootstrap.scss`);
+        assert.equal(resolveSass('pkg:bootstrap/scss/mixins'), `${this._directory}/sass/node_modules/bootstrap/scss/_mixins.scss`);
+      });
+
+      it('resolves pkg: urls through the exports of a package', function() {
+        assert.equal(resolveSass('pkg:theme'), `${this._directory}/sass/node_modules/theme/src/index.scss`);
+        assert.equal(resolveSass('pkg:theme/colors'), `${this._directory}/sass/node_modules/theme/src/_colors.scss`);
+      });
+
+      it('resolves pkg: urls to the index file of a package', function() {
+        assert.equal(resolveSass('pkg:plain'), `${this._directory}/sass/node_modules/plain/_index.scss`);
+      });
+
+      it('resolves partials prefixed with ~ within node_modules', function() {
+        assert.equal(resolveSass('~bootstrap/scss/mixins'), `${this._directory}/sass/node_modules/bootstrap/scss/_mixins.scss`);
+        assert.equal(resolveSass('~bootstrap'), `${this._directory}/sass/node_modules/bootstrap/scss/bootstrap.scss`);
+      });
+    });
+
+    describe('stylus', function() {
+      it('uses the stylus resolver', function() {
+        const result = cabinet({
+          partial: 'bar',
+          filename: 'stylus/foo.styl',
+          directory: 'stylus/'
+        });
+
+        assert.equal(result, `${this._directory}/stylus/bar.styl`);
+      });
+
+      function resolveStylus(partial, stylusOptions) {
+        return cabinet({
+          partial,
+          filename: 'stylus/foo.styl',
+          directory: 'stylus/',
+          stylusOptions
+        });
+      }
+
+      it('resolves the index file of a folder', function() {
+        assert.equal(resolveStylus('components'), `${this._directory}/stylus/components/index.styl`);
+      });
+
+      it('explains a partial that does not exist', function() {
+        const trace = cabinet.explain({
+          partial: 'missing',
+          filename: 'stylus/foo.styl',
+          directory: 'stylus/'
+        });
+
+        assert.equal(trace.resolver, 'stylusLookup');
+        assert.equal(trace.result, '');
+        assert.equal(trace.error, 'Could not find missing');
+      });
+
+      it('resolves partials within the paths', function() {
+        assert.equal(resolveStylus('grid', {paths: ['vendor']}), `${this._directory}/stylus/vendor/grid.styl`);
+      });
+
+      it('resolves packages through their main field', function() {
+        assert.equal(resolveStylus('nib'), `${this._directory}/stylus/node_modules/nib/lib/nib/index.styl`);
+      });
+
+      it('prefers the stylus field of a package', function() {
+        assert.equal(resolveStylus('rupture'), `${this._directory}/stylus/node_modules/rupture/rupture/index.styl`);
+      });
+
+      it('resolves files within packages', function() {
+        assert.equal(resolveStylus('kouto'), `${this._directory}/stylus/node_modules/kouto/index.styl`);
+        assert.equal(resolveStylus('kouto/mixins/swatch'), `${this._directory}/stylus/node_modules/kouto/mixins/swatch.styl`);
+      });
+
+      it('resolves a glob to every matching file', function() {
+        assert.deepEqual(resolveStylus('mixins/*'), [
+          `${this._directory}/stylus/mixins/a.styl`,
+          `${this._directory}/stylus/mixins/b.styl`
+        ]);
+
+        assert.deepEqual(resolveStylus('mixins/**/*'), [
+          `${this._directory}/stylus/mixins/a.styl`,
+          `${this._directory}/stylus/mixins/b.styl`,
+          `${this._directory}/stylus/mixins/nested/c.styl`
+        ]);
+      });
+
+      it('supports character classes and alternatives within globs', function() {
+        assert.deepEqual(resolveStylus('mixins/[b-z]*'), [`${this._directory}/stylus/mixins/b.styl`]);
+        assert.deepEqual(resolveStylus('mixins/{a,c}*'), [`${this._directory}/stylus/mixins/a.styl`]);
+      });
+
+      it('explains a glob that matches no files', function() {
+        const trace = cabinet.explain({
+          partial: 'missing/*',
+          filename: 'stylus/foo.styl',
+          directory: 'stylus/'
+        });
+
+        assert.deepEqual(trace.result, []);
+        assert.equal(trace.error, 'No files match missing/*');
+      });
+
+      it('drops the results of globs once a file changes', function() {
+        const cache = cabinet.createCache();
+
+        cabinet({
+          partial: 'mixins/*',
+          filename: 'stylus/foo.styl',
+          directory: 'stylus/',
+          cache
+        });
+
+        cache.invalidate('stylus/mixins/d.styl');
+
+        assert.deepEqual(cache.results[path.resolve('stylus/foo.styl')], {});
+      });
+    });
+
+    describe('less', function() {
+      it('resolves extensionless partials', function() {
+        const result = cabinet({
+          partial: 'bar',
+          filename: 'less/foo.less',
+          directory: 'less/'
+        });
+
+        assert.equal(result, `${this._directory}/less/bar.less`);
+      });
+
+      it('resolves partials with a less extension', function() {
+        const result = cabinet({
+          partial: 'bar.less',
+          filename: 'less/foo.less',
+          directory: 'less/'
+        });
+
+        assert.equal(result, `${this._directory}/less/bar.less`);
+      });
+
+      it('resolves partials with a css extension', function() {
+        const result = cabinet({
+          partial: 'bar.css',
+          filename: 'less/foo.less',
+          directory: 'less/'
+        });
+
+        assert.equal(result, `${this._directory}/less/bar.css`);
+      });
+
+      function resolveLess(partial, lessOptions) {
+        return cabinet({
+          partial,
+          filename: 'less/foo.less',
+          directory: 'less/',
+          lessOptions
+        });
+      }
+
+      it('strips the import options', function() {
+        assert.equal(resolveLess('(reference) bar'), `${this._directory}/less/bar.less`);
+        assert.equal(resolveLess('(css, optional) "bar.css"'), `${this._directory}/less/bar.css`);
+        assert.equal(resolveLess('url("bar.less")'), `${this._directory}/less/bar.less`);
+      });
+
+      it('does not resolve partials prefixed with an underscore', function() {
+        const trace = cabinet.explain({
+          partial: 'underscored',
+          filename: 'less/foo.less',
+          directory: 'less/'
+        });
+
+        assert.equal(trace.result, '');
+        assert.equal(trace.error, 'Could not find underscored');
+      });
+
+      it('does not report optional imports that do not exist', function() {
+        const trace = cabinet.explain({
+          partial: '(optional) missing',
+          filename: 'less/foo.less',
+          directory: 'less/'
+        });
+
+        assert.equal(trace.result, '');
+        assert.equal(trace.error, null);
+      });
+
+      it('resolves partials within the paths', function() {
+        assert.equal(resolveLess('mixins', {paths: ['vendor']}), `${this._directory}/less/vendor/mixins.less`);
+      });
+
+      it('resolves partials prefixed with ~ within node_modules', function() {
+        assert.equal(resolveLess('~bootstrap'), `${this._directory}/less/node_modules/bootstrap/less/bootstrap.less`);
+        assert.equal(resolveLess('~bootstrap/less/variables'), `${this._directory}/less/node_modules/bootstrap/less/variables.less`);
+      });
+
+      it('falls back to the packages within node_modules', function() {
+        assert.equal(resolveLess('bootstrap/less/variables'), `${this._directory}/less/node_modules/bootstrap/less/variables.less`);
+      });
+    });
+  });
+
+  describe('.resolveMany', function() {
+    beforeEach(function() {
+      mock(mockedFiles);
+    });
+
+    afterEach(function() {
+      mock.restore();
+    });
+
+    it('returns a mapping of each partial to its resolved path', function() {
+      const directory = 'js/commonjs/';
+
+      const results = cabinet.resolveMany({
+        partials: ['./bar', 'subdir', 'foobar'],
+        filename: `${directory}foo.js`,
+        directory
+      });
+
+      assert.deepEqual(results, {
+        './bar': path.join(path.resolve(directory), 'bar.js'),
+        subdir: path.join(path.resolve(directory), 'subdir/index.js'),
+        foobar: ''
+      });
+    });
+
+    it('determines the module type of the file only once', function() {
+      const spy = sinon.spy(cabinet, '_getJSType');
+
+      cabinet.resolveMany({
+        partials: ['./bar', './index', './subdir'],
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/'
+      });
+
+      assert.equal(spy.callCount, 1);
+      spy.restore();
+    });
+
+    it('creates the typescript compiler host only once', function() {
+      const ts = cabinet.__get__('ts');
+      const spy = sinon.spy(ts, 'createCompilerHost');
+
+      const results = cabinet.resolveMany({
+        partials: ['./foo', './barbar'],
+        filename: 'js/ts/index.ts',
+        directory: 'js/ts'
+      });
+
+      assert.equal(spy.callCount, 1);
+      assert.equal(results['./foo'], path.join(path.resolve('js/ts'), 'foo.ts'));
+      assert.equal(results['./barbar'], '');
+      spy.restore();
+    });
+
+    it('does not share work between separate calls', function() {
+      const spy = sinon.spy(cabinet, '_getJSType');
+      const options = {
+        partials: ['./bar'],
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/'
+      };
+
+      cabinet.resolveMany(options);
+      cabinet.resolveMany(options);
+
+      assert.equal(spy.callCount, 2);
+      spy.restore();
+    });
+
+    describe('webpack', function() {
+      beforeEach(function() {
+        mock.restore();
+      });
+
+      it('creates a resolver from the webpack config only once', function() {
+        const spy = spyOnWebpackResolverCreation();
+        const directory = path.resolve(__dirname, '../');
+
+        const results = cabinet.resolveMany({
+          partials: ['R', './test/ast'],
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`
+        });
+
+        assert.equal(spy.callCount, 1);
+        assert.deepEqual(results, {
+          R: `${directory}/node_modules/resolve/index.js`,
+          './test/ast': `${directory}/test/ast.js`
+        });
+        spy.restore();
+      });
+    });
+  });
+
+  describe('.createCache', function() {
+    let cache;
+
+    beforeEach(function() {
+      mock(mockedFiles);
+      cache = cabinet.createCache();
+    });
+
+    afterEach(function() {
+      mock.restore();
+    });
+
+    function resolveBar() {
+      return cabinet({
+        partial: './bar',
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/',
+        cache
+      });
+    }
+
+    it('reuses past results for the same partial and file', function() {
+      const spy = sinon.spy(cabinet, '_getJSType');
+
+      const first = resolveBar();
+      const second = resolveBar();
+
+      assert.equal(spy.callCount, 1);
+      assert.equal(first, path.join(path.resolve('js/commonjs/'), 'bar.js'));
+      assert.equal(second, first);
+      spy.restore();
+    });
+
+    it('reuses the module type of a file across partials', function() {
+      const spy = sinon.spy(cabinet, '_getJSType');
+
+      resolveBar();
+      cabinet({
+        partial: './index',
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/',
+        cache
+      });
+
+      assert.equal(spy.callCount, 1);
+      spy.restore();
+    });
+
+    it('is used by cabinet.async', function() {
+      const first = resolveBar();
+      const spy = sinon.spy(cabinet, '_getJSTypeAsync');
+
+      return cabinet.async({
+        partial: './bar',
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/',
+        cache
+      })
+      .then(function(result) {
+        assert.ok(!spy.called);
+        assert.equal(result, first);
+        spy.restore();
+      });
+    });
+
+    it('keeps the results of lookups with other options apart', function() {
+      const options = {
+        partial: 'fs',
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/',
+        cache
+      };
+
+      assert.deepEqual(cabinet(Object.assign({builtins: true}, options)), {builtin: true, name: 'fs'});
+      assert.equal(cabinet(options), 'fs');
+      assert.deepEqual(cabinet(Object.assign({builtins: true}, options)), {builtin: true, name: 'fs'});
+    });
+
+    it('tells apart the functions given as options', function() {
+      const filename = 'js/commonjs/foo.js';
+      const first = {directory: 'js/commonjs/', importer: function() {}};
+      const second = {directory: 'js/commonjs/', importer: function() {}};
+
+      cache.setResult(filename, './bar', '/first.js', first);
+      cache.setResult(filename, './bar', '/second.js', second);
+
+      assert.equal(cache.getResult(filename, './bar', first), '/first.js');
+      assert.equal(cache.getResult(filename, './bar', Object.assign({}, second)), '/second.js');
+    });
+
+    it('tells apart the values given as options without holding on to them', function() {
+      const importer = function() {};
+
+      assert.equal(cache.identify(importer), cache.identify(importer));
+      assert.notEqual(cache.identify(importer), cache.identify(function() {}));
+      assert.ok(cache.ids instanceof WeakMap);
+    });
+
+    it('is used by cabinet.resolveMany', function() {
+      resolveBar();
+
+      const spy = sinon.spy(cabinet, '_getJSType');
+
+      const results = cabinet.resolveMany({
+        partials: ['./bar', './index'],
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/',
+        cache
+      });
+
+      assert.ok(!spy.called);
+      assert.equal(results['./index'], path.join(path.resolve('js/commonjs/'), 'index.js'));
+      spy.restore();
+    });
+
+    describe('invalidate', function() {
+      it('forgets the module type and results of the file', function() {
+        const spy = sinon.spy(cabinet, '_getJSType');
+
+        resolveBar();
+        cache.invalidate('js/commonjs/foo.js');
+        resolveBar();
+
+        assert.equal(spy.callCount, 2);
+        spy.restore();
+      });
+
+      it('forgets lookups that resolved to the file', function() {
+        resolveBar();
+
+        const commonjs = Object.assign({}, mockedFiles.js.commonjs, {'bar.jsx': ''});
+        delete commonjs['bar.js'];
+
+        mock(Object.assign({}, mockedFiles, {
+          js: Object.assign({}, mockedFiles.js, {commonjs})
+        }));
+
+        cache.invalidate('js/commonjs/bar.js');
+
+        assert.equal(resolveBar(), path.join(path.resolve('js/commonjs/'), 'bar.jsx'));
+      });
+
+      it('forgets lookups that did not resolve', function() {
+        const options = {
+          partial: './baz',
+          filename: 'js/commonjs/foo.js',
+          directory: 'js/commonjs/',
+          cache
+        };
+
+        assert.equal(cabinet(options), '');
+
+        mock(Object.assign({}, mockedFiles, {
+          js: Object.assign({}, mockedFiles.js, {
+            commonjs: Object.assign({}, mockedFiles.js.commonjs, {
+              'baz.js': ''
+            })
+          })
+        }));
+
+        assert.equal(cabinet(options), '');
+
+        cache.invalidate('js/commonjs/baz.js');
+
+        assert.equal(cabinet(options), path.join(path.resolve('js/commonjs/'), 'baz.js'));
+      });
+
+      it('forgets lookups that an added file shadows', function() {
+        const options = {
+          partial: './subdir',
+          filename: 'js/commonjs/foo.js',
+          directory: 'js/commonjs/',
+          cache
+        };
+
+        assert.equal(cabinet(options), path.join(path.resolve('js/commonjs/'), 'subdir', 'index.js'));
+
+        mock(Object.assign({}, mockedFiles, {
+          js: Object.assign({}, mockedFiles.js, {
+            commonjs: Object.assign({}, mockedFiles.js.commonjs, {
+              'subdir.js': ''
+            })
+          })
+        }));
+
+        cache.invalidate('js/commonjs/subdir.js');
+
+        assert.equal(cabinet(options), path.join(path.resolve('js/commonjs/'), 'subdir.js'));
+      });
+
+      it('forgets lookups of packages named like the file', function() {
+        const options = {
+          partial: 'lodash.assign',
+          filename: 'js/commonjs/foo.js',
+          directory: 'js/commonjs/',
+          cache
+        };
+
+        cabinet(options);
+        cache.invalidate('js/commonjs/subdir/lodash.assign.js');
+
+        assert.equal(cache.getResult(options.filename, options.partial, options), undefined);
+      });
+
+      it('keeps unrelated results', function() {
+        const first = resolveBar();
+        const stub = sinon.stub();
+        const revert = cabinet.__set__('commonJSLookup', stub);
+
+        cache.invalidate('js/amd/bar.js');
+
+        assert.equal(resolveBar(), first);
+        assert.ok(!stub.called);
+        revert();
+      });
+    });
+
+    describe('clear', function() {
+      it('forgets everything', function() {
+        const spy = sinon.spy(cabinet, '_getJSType');
+
+        resolveBar();
+        cache.clear();
+        resolveBar();
+
+        assert.equal(spy.callCount, 2);
+        spy.restore();
+      });
+    });
+
+    describe('webpack', function() {
+      let directory;
+
+      beforeEach(function() {
+        mock.restore();
+        directory = path.resolve(__dirname, '../');
+      });
+
+      function resolveAlias() {
+        return cabinet({
+          partial: 'R',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`,
+          cache
+        });
+      }
+
+      it('reuses the loaded config and resolver', function() {
+        const spy = spyOnWebpackResolverCreation();
+
+        resolveAlias();
+        cabinet({
+          partial: './test/ast',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`,
+          cache
+        });
+
+        assert.equal(spy.callCount, 1);
+        spy.restore();
+      });
+
+      it('reuses the async resolver', function() {
+        const spy = spyOnAsyncWebpackResolverCreation();
+        const options = {
+          partial: 'R',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`,
+          cache
+        };
+
+        return cabinet.async(options)
+        .then(function() {
+          return cabinet.async(Object.assign({}, options, {partial: './test/ast'}));
+        })
+        .then(function(result) {
+          assert.equal(result, `${directory}/test/ast.js`);
+          assert.equal(spy.callCount, 1);
+          spy.restore();
+        });
+      });
+
+      it('reloads the config and drops every result once the config is invalidated', function() {
+        const spy = spyOnWebpackResolverCreation();
+
+        resolveAlias();
+        cache.invalidate(`${directory}/webpack.config.js`);
+
+        assert.deepEqual(cache.results, {});
+        assert.equal(resolveAlias(), `${directory}/node_modules/resolve/index.js`);
+        assert.equal(spy.callCount, 2);
+        spy.restore();
+      });
+    });
+  });
+
+  describe('.explain', function() {
+    beforeEach(function() {
+      mock(Object.assign({
+        sass: {
+          'foo.scss': '',
+          'bar.scss': ''
+        }
+      }, mockedFiles));
+    });
+
+    afterEach(function() {
+      mock.restore();
+    });
+
+    it('includes the resolved path', function() {
+      const trace = cabinet.explain({
+        partial: './bar',
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/'
+      });
+
+      assert.equal(trace.partial, './bar');
+      assert.equal(trace.filename, 'js/commonjs/foo.js');
+      assert.equal(trace.result, path.join(path.resolve('js/commonjs/'), 'bar.js'));
+      assert.equal(trace.error, null);
+    });
+
+    it('includes the resolver picked for the extension', function() {
+      assert.equal(cabinet.explain({
+        partial: './bar',
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/'
+      }).resolver, 'jsLookup');
+
+      assert.equal(cabinet.explain({
+        partial: './foo',
+        filename: 'js/ts/index.ts',
+        directory: 'js/ts'
+      }).resolver, 'tsLookup');
+
+      assert.equal(cabinet.explain({
+        partial: 'bar',
+        filename: 'sass/foo.scss',
+        directory: 'sass/'
+      }).resolver, 'sassLookup');
+    });
+
+    it('includes the detected module type', function() {
+      const trace = cabinet.explain({
+        partial: './bar',
+        filename: 'js/amd/foo.js',
+        directory: 'js/amd/'
+      });
+
+      assert.equal(trace.moduleType, 'amd');
+    });
+
+    it('lists the candidates that were rejected', function() {
+      const directory = path.resolve('js/commonjs/');
+      const trace = cabinet.explain({
+        partial: './baz',
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/'
+      });
+
+      assert.equal(trace.result, '');
+      assert.ok(trace.error.indexOf('Cannot find module') !== -1);
+      [`${directory}/baz`, `${directory}/baz.js`, `${directory}/baz.jsx`].forEach(function(candidatePath) {
+        assert.ok(trace.candidates.some(function(candidate) {
+          return candidate.path === candidatePath && candidate.reason === 'does not exist';
+        }), candidatePath);
+      });
+      assert.ok(!trace.candidates.some(function(candidate) {
+        return path.basename(candidate.path) === 'package.json';
+      }));
+    });
+
+    it('lists the typescript candidates that were rejected', function() {
+      const trace = cabinet.explain({
+        partial: './barbar',
+        filename: 'js/ts/index.ts',
+        directory: 'js/ts'
+      });
+
+      assert.equal(trace.result, '');
+      assert.ok(trace.candidates.some(function(candidate) {
+        return candidate.path === path.resolve('js/ts/barbar.ts') && candidate.reason === 'does not exist';
+      }));
+    });
+
+    it('does not reuse a cached result', function() {
+      const cache = cabinet.createCache();
+      const options = {
+        partial: './bar',
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/',
+        cache
+      };
+
+      cabinet(options);
+
+      const trace = cabinet.explain(options);
+
+      assert.equal(trace.moduleType, 'commonjs');
+      assert.equal(trace.result, path.join(path.resolve('js/commonjs/'), 'bar.js'));
+    });
+
+    describe('webpack', function() {
+      let directory;
+
+      beforeEach(function() {
+        mock.restore();
+        directory = path.resolve(__dirname, '../');
+      });
+
+      it('includes the error from loading the config', function() {
+        const trace = cabinet.explain({
+          partial: 'R',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/missing.config.js`
+        });
+
+        assert.equal(trace.moduleType, 'webpack');
+        assert.equal(trace.result, '');
+        assert.ok(trace.configError.indexOf('Cannot find module') !== -1);
+      });
+
+      it('includes the error from the resolver along with the candidates', function() {
+        const trace = cabinet.explain({
+          partial: './test/missing',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`
+        });
+
+        assert.equal(trace.result, '');
+        assert.equal(trace.configError, null);
+        assert.ok(trace.error);
+        assert.ok(trace.candidates.some(function(candidate) {
+          return candidate.path === `${directory}/test/missing.js`;
+        }));
+      });
+    });
+  });
+
+  describe('.async', function() {
+    beforeEach(function() {
+      mock(Object.assign({
+        sass: {
+          'foo.scss': '',
+          'bar.scss': ''
+        }
+      }, mockedFiles));
+    });
+
+    afterEach(function() {
+      mock.restore();
+    });
+
+    it('returns a promise for the resolved path', function() {
+      const promise = cabinet.async({
+        partial: './bar',
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/'
+      });
+
+      assert.ok(promise instanceof Promise);
+
+      return promise.then(function(result) {
+        assert.equal(result, path.join(path.resolve('js/commonjs/'), 'bar.js'));
+      });
+    });
+
+    it('resolves es6 partials with the commonjs resolver', function() {
+      return cabinet.async({
+        partial: './bar',
+        filename: 'js/es6/foo.js',
+        directory: 'js/es6/'
+      })
+      .then(function(result) {
+        assert.equal(result, path.join(__dirname, '../js/es6/bar.js'));
+      });
+    });
+
+    it('resolves a node module with module entry in package.json', function() {
+      return cabinet.async({
+        partial: 'module.entry',
+        filename: 'js/commonjs/module.entry.js',
+        directory: 'js/commonjs/',
+        nodeModulesConfig: {
+          entry: 'module'
+        }
+      })
+      .then(function(result) {
+        assert.equal(result, path.resolve('js/node_modules/module.entry/index.module.js'));
+      });
+    });
+
+    it('resolves to an empty string for an unresolved module', function() {
+      return cabinet.async({
+        partial: 'foobar',
+        filename: 'js/commonjs/foo.js',
+        directory: 'js/commonjs/'
+      })
+      .then(function(result) {
+        assert.equal(result, '');
+      });
+    });
+
+    it('reads the file without blocking to find the module type', function() {
+      const spy = sinon.spy(cabinet, '_getJSTypeAsync');
+
+      return cabinet.async({
+        partial: './bar',
+        filename: 'js/amd/foo.js',
+        directory: 'js/amd/'
+      })
+      .then(function(result) {
+        assert.ok(spy.called);
+        assert.equal(result, 'js/amd/bar.js');
+        spy.restore();
+      }, function(err) {
+        spy.restore();
+        throw err;
+      });
+    });
+
+    it('resolves typescript imports', function() {
+      return cabinet.async({
+        partial: './foo',
+        filename: 'js/ts/index.ts',
+        directory: 'js/ts'
+      })
+      .then(function(result) {
+        assert.equal(result, path.join(path.resolve('js/ts'), 'foo.ts'));
+      });
+    });
+
+    it('falls back to the synchronous resolver for extensions without an async one', function() {
+      return cabinet.async({
+        partial: 'bar',
+        filename: 'sass/foo.scss',
+        directory: 'sass/'
+      })
+      .then(function(result) {
+        assert.equal(result, path.resolve('sass/bar.scss'));
+      });
+    });
+
+    it('rejects when the resolver throws', function() {
+      return cabinet.async({
+        partial: '',
+        filename: 'js/commonjs/foo.baz',
+        directory: 'js/commonjs/'
+      })
+      .then(function() {
+        throw new Error('should have rejected');
+      }, function(err) {
+        assert.equal(err.message, 'dependency path not given');
+      });
+    });
+
+    describe('webpack', function() {
+      beforeEach(function() {
+        mock.restore();
+      });
+
+      it('resolves an aliased path', function() {
+        const directory = path.resolve(__dirname, '../');
+
+        return cabinet.async({
+          partial: 'R',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`
+        })
+        .then(function(result) {
+          assert.equal(result, `${directory}/node_modules/resolve/index.js`);
+        });
+      });
+
+      it('resolves to an empty string for an unresolved module', function() {
+        const directory = path.resolve(__dirname, '../');
+
+        return cabinet.async({
+          partial: 'foobar',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`
+        })
+        .then(function(result) {
+          assert.equal(result, '');
+        });
+      });
+    });
+  });
+
+  describe('.register', function() {
+    it('registers a custom resolver for a given extension', function() {
+      var stub = sinon.stub().returns('foo.foobar');
+      cabinet.register('.foobar', stub);
+
+      var path = cabinet({
+        partial: './bar',
+        filename: 'js/amd/foo.foobar',
+        directory: 'js/amd/'
+      });
+
+      assert.ok(stub.called);
+      assert.equal(path, 'foo.foobar');
+    });
+
+    it('allows does not break default resolvers', function() {
+      mock({
+        stylus: {
+          'foo.styl': '',
+          'bar.styl': ''
+        }
+      });
+
+      var stub = sinon.stub().returns('foo');
+
+      cabinet.register('.foobar', stub);
+
+      cabinet({
+        partial: './bar',
+        filename: 'js/amd/foo.foobar',
+        directory: 'js/amd/'
+      });
+
+      var result = cabinet({
+        partial: './bar',
+        filename: 'stylus/foo.styl',
+        directory: 'stylus/'
+      });
+
+      assert.ok(stub.called);
+      assert.ok(result);
+
+      mock.restore();
+    });
+
+    it('can be called multiple times', function() {
+      var stub = sinon.stub().returns('foo');
+      var stub2 = sinon.stub().returns('foo');
+
+      cabinet.register('.foobar', stub);
+      cabinet.register('.barbar', stub2);
+
+      cabinet({
+        partial: './bar',
+        filename: 'js/amd/foo.foobar',
+        directory: 'js/amd/'
+      });
+
+      cabinet({
+        partial: './bar',
+        filename: 'js/amd/foo.barbar',
+        directory: 'js/amd/'
+      });
+
+      assert.ok(stub.called);
+      assert.ok(stub2.called);
+    });
+
+    it('uses the given async resolver within cabinet.async', function() {
+      const stub = sinon.stub().returns('foo.sync');
+      const asyncStub = sinon.stub().returns(Promise.resolve('foo.async'));
+
+      cabinet.register('.foobaz', stub, asyncStub);
+
+      return cabinet.async({
+        partial: './bar',
+        filename: 'js/amd/foo.foobaz',
+        directory: 'js/amd/'
+      })
+      .then(function(result) {
+        assert.ok(!stub.called);
+        assert.ok(asyncStub.called);
+        assert.equal(result, 'foo.async');
+      });
+    });
+
+    it('awaits a promise returned by the resolver within cabinet.async', function() {
+      const stub = sinon.stub().returns(Promise.resolve('foo.promised'));
+
+      cabinet.register('.foobaz', stub);
+
+      return cabinet.async({
+        partial: './bar',
+        filename: 'js/amd/foo.foobaz',
+        directory: 'js/amd/'
+      })
+      .then(function(result) {
+        assert.ok(stub.called);
+        assert.equal(result, 'foo.promised');
+      });
+    });
+
+    it('does not add redundant extensions to supportedFileExtensions', function() {
+      const stub = sinon.stub;
+      const newExt = '.foobar';
+
+      cabinet.register(newExt, stub);
+      cabinet.register(newExt, stub);
+
+      const {supportedFileExtensions} = cabinet;
+
+      assert.equal(supportedFileExtensions.indexOf(newExt), supportedFileExtensions.lastIndexOf(newExt));
+    });
+  });
+
+  describe('.create', function() {
+    it('creates a cabinet with the built-in lookup strategies', function() {
+      const instance = cabinet.create();
+
+      assert.deepEqual(instance.supportedFileExtensions.slice(0, 12), [
+        '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.scss', '.sass', '.styl', '.less'
+      ]);
+      assert.equal(instance.resolveMany({
+        partials: ['./bar'],
+        filename: 'js/amd/foo.foo',
+        directory: 'js/amd/'
+      })['./bar'], path.resolve('js/amd/bar.foo'));
+    });
+
+    it('passes every option given to cabinet to the strategies as one object', function() {
+      const stub = sinon.stub().returns('foo.py');
+      const instance = cabinet.create({lookups: {'.py': stub}});
+      const options = {
+        partial: './bar',
+        filename: 'js/foo.py',
+        directory: 'js/',
+        nodeModulesConfig: {entry: 'module'},
+        custom: true
+      };
+
+      assert.equal(instance(options), 'foo.py');
+      assert.equal(stub.callCount, 1);
+      assert.equal(stub.args[0].length, 1);
+      assert.deepEqual(stub.args[0][0], options);
+    });
+
+    it('passes the trace to the strategies when explaining', function() {
+      const instance = cabinet.create({
+        lookups: {
+          '.py': function pyLookup(options) {
+            options.trace.error = 'not found';
+            return '';
+          }
+        }
+      });
+
+      const trace = instance.explain({
+        partial: './bar',
+        filename: 'js/foo.py',
+        directory: 'js/'
+      });
+
+      assert.equal(trace.resolver, 'pyLookup');
+      assert.equal(trace.error, 'not found');
+    });
+
+    it('keeps the strategies of each cabinet to itself', function() {
+      const stub = sinon.stub().returns('foo.rb');
+      const instance = cabinet.create();
+      const other = cabinet.create();
+
+      instance.register('.rb', stub);
+
+      assert.equal(instance({partial: './bar', filename: 'js/foo.rb', directory: 'js/'}), 'foo.rb');
+      assert.equal(other({partial: './bar', filename: 'js/foo.rb', directory: 'js/'}), path.resolve('js/bar.rb'));
+      assert.equal(cabinet({partial: './bar', filename: 'js/foo.rb', directory: 'js/'}), path.resolve('js/bar.rb'));
+      assert.equal(stub.callCount, 1);
+      assert.ok(instance.supportedFileExtensions.indexOf('.rb') !== -1);
+      assert.equal(other.supportedFileExtensions.indexOf('.rb'), -1);
+      assert.equal(cabinet.supportedFileExtensions.indexOf('.rb'), -1);
+    });
+
+    it('does not pick up the strategies registered with cabinet.register', function() {
+      const stub = sinon.stub().returns('foo.php');
+
+      cabinet.register('.php', stub);
+      cabinet.create()({partial: './bar', filename: 'js/foo.php', directory: 'js/'});
+
+      assert.ok(!stub.called);
+      cabinet.unregister('.php');
+    });
+
+    it('unregisters the strategies of an extension', function() {
+      const stub = sinon.stub().returns('foo.py');
+      const instance = cabinet.create({lookups: {'.py': stub}});
+
+      assert.equal(instance.unregister('.py'), true);
+      assert.equal(instance.unregister('.py'), false);
+      assert.equal(instance.supportedFileExtensions.indexOf('.py'), -1);
+      assert.equal(instance({partial: './bar', filename: 'js/foo.py', directory: 'js/'}), path.resolve('js/bar.py'));
+      assert.ok(!stub.called);
+    });
+
+    it('unregisters a built-in strategy without affecting other cabinets', function() {
+      const instance = cabinet.create();
+
+      instance.unregister('.styl');
+
+      assert.equal(instance.explain({partial: './bar', filename: 'stylus/foo.styl', directory: 'stylus/'}).resolver,
+        'resolve-dependency-path');
+      assert.equal(cabinet.explain({partial: './bar', filename: 'stylus/foo.styl', directory: 'stylus/'}).resolver,
+        'stylusLookup');
+    });
+
+    it('uses the async strategies within the async method', function() {
+      const stub = sinon.stub().returns('foo.sync');
+      const asyncStub = sinon.stub().returns(Promise.resolve('foo.async'));
+      const instance = cabinet.create({
+        lookups: {'.py': stub},
+        asyncLookups: {'.py': asyncStub}
+      });
+
+      return instance.async({partial: './bar', filename: 'js/foo.py', directory: 'js/'})
+      .then(function(result) {
+        assert.equal(result, 'foo.async');
+        assert.ok(!stub.called);
+        assert.equal(asyncStub.args[0][0].partial, './bar');
+      });
+    });
+
+    it('throws when a strategy is not a function', function() {
+      assert.throws(function() {
+        cabinet.create({lookups: {'.py': 'py-lookup'}});
+      }, /must be a function/);
+    });
+
+    describe('.fromPositional', function() {
+      it('adapts a strategy written for the legacy contract', function() {
+        const pyLookup = sinon.spy(function(partial, filename, directory, config, webpackConfig, configPath,
+          nodeModulesConfig, ast, options) {
+          return directory + partial + options.suffix;
+        });
+        const instance = cabinet.create({lookups: {'.py': cabinet.fromPositional(pyLookup)}});
+
+        const result = instance({
+          partial: 'bar',
+          filename: 'js/foo.py',
+          directory: 'js/',
+          config: 'config.js',
+          nodeModulesConfig: {entry: 'module'},
+          suffix: '.py'
+        });
+
+        assert.equal(result, 'js/bar.py');
+        assert.deepEqual(pyLookup.args[0].slice(0, 8), [
+          'bar', 'js/foo.py', 'js/', 'config.js', undefined, undefined, {entry: 'module'}, undefined
+        ]);
+      });
+
+      it('reports the name of the adapted strategy', function() {
+        function pyLookup() {
+          return '';
+        }
+
+        const instance = cabinet.create({lookups: {'.py': cabinet.fromPositional(pyLookup)}});
+
+        assert.equal(instance.explain({partial: './bar', filename: 'js/foo.py', directory: 'js/'}).resolver, 'pyLookup');
+      });
+    });
+  });
+
+  describe('lists of lookup strategies', function() {
+    const directory = path.resolve(__dirname, '..');
+    const filename = `${directory}/index.js`;
+
+    it('tries the strategies in order until one of them resolves the partial', function() {
+      const first = sinon.stub().returns('');
+      const second = sinon.stub().returns('bar.py');
+      const third = sinon.stub().returns('baz.py');
+      const instance = cabinet.create({lookups: {'.py': [first, second, third]}});
+
+      assert.equal(instance({partial: './bar', filename: 'js/foo.py', directory: 'js/'}), 'bar.py');
+      assert.ok(first.calledBefore(second));
+      assert.ok(!third.called);
+    });
+
+    it('reports the strategy that resolved the partial', function() {
+      const instance = cabinet.create({
+        lookups: {
+          '.py': [
+            function pyLookup(options) {
+              options.trace.error = 'not found';
+              return '';
+            },
+            function fallbackLookup() {
+              return 'bar.py';
+            }
+          ]
+        }
+      });
+
+      const trace = instance.explain({partial: './bar', filename: 'js/foo.py', directory: 'js/'});
+
+      assert.equal(trace.result, 'bar.py');
+      assert.equal(trace.resolver, 'fallbackLookup');
+      assert.equal(trace.error, null);
+    });
+
+    it('uses the result of the last strategy that handled an unresolved partial', function() {
+      const instance = cabinet.create({
+        lookups: {
+          '.py': [
+            function pyLookup(options) {
+              options.trace.error = 'not found';
+              return '';
+            },
+            function otherLookup() {
+              return cabinet.CONTINUE;
+            }
+          ]
+        }
+      });
+
+      const trace = instance.explain({partial: './bar', filename: 'js/foo.py', directory: 'js/'});
+
+      assert.equal(trace.result, '');
+      assert.equal(trace.resolver, 'pyLookup');
+      assert.equal(trace.error, 'not found');
+    });
+
+    it('uses the generic resolver when none of the strategies handle the partial', function() {
+      const stub = sinon.stub().returns(cabinet.CONTINUE);
+      const instance = cabinet.create({lookups: {'.py': [stub, stub]}});
+
+      const trace = instance.explain({partial: './bar', filename: 'js/foo.py', directory: 'js/'});
+
+      assert.equal(stub.callCount, 2);
+      assert.equal(trace.result, path.resolve('js/bar.py'));
+      assert.equal(trace.resolver, 'resolve-dependency-path');
+    });
+
+    it('lets a strategy defer to the built-in ones', function() {
+      const instance = cabinet.create();
+
+      instance.register('.js', [
+        function specialLookup(options) {
+          return options.partial === 'special' ? '/special.js' : cabinet.CONTINUE;
+        }
+      ].concat(instance.getLookups('.js')));
+
+      assert.equal(instance({partial: 'special', filename, directory}), '/special.js');
+      assert.equal(instance({partial: './lib/cache', filename, directory}), `${directory}/lib/cache.js`);
+      assert.equal(cabinet.getLookups('.js').length, 1);
+    });
+
+    it('lets a strategy registered with cabinet.register defer to the built-in ones', function() {
+      const registry = cabinet.__get__('defaultRegistry');
+      const lookups = registry.lookups['.js'];
+      const asyncLookups = registry.asyncLookups['.js'];
+
+      try {
+        cabinet.register('.js', [
+          function(partial) {
+            return partial === 'special' ? '/special.js' : cabinet.CONTINUE;
+          }
+        ].concat(cabinet.getLookups('.js')));
+
+        assert.equal(cabinet({partial: 'special', filename, directory}), '/special.js');
+        assert.equal(cabinet({partial: './lib/cache', filename, directory}), `${directory}/lib/cache.js`);
+      } finally {
+        registry.lookups['.js'] = lookups;
+        registry.asyncLookups['.js'] = asyncLookups;
+      }
+    });
+
+    it('leaves the built-in strategies given to cabinet.register as they are', function() {
+      const {strategies} = cabinet;
+
+      assert.equal(cabinet.fromPositional(strategies.typescript), strategies.typescript);
+      assert.equal(cabinet.fromPositional(strategies.node), strategies.node);
+    });
+
+    it('skips the built-in strategies whose config is not given', function() {
+      const {strategies} = cabinet;
+      const instance = cabinet.create({
+        lookups: {
+          '.js': [strategies.amd, strategies.jest, strategies.bundler, strategies.webpack, strategies.node, strategies.generic]
+        }
+      });
+
+      const trace = instance.explain({partial: './lib/cache', filename, directory});
+
+      assert.equal(trace.result, `${directory}/lib/cache.js`);
+      assert.equal(trace.resolver, 'nodeLookup');
+    });
+
+    it('falls back to node resolution when the webpack config does not resolve the partial', function() {
+      const {strategies} = cabinet;
+      const instance = cabinet.create({
+        lookups: {
+          '.js': [strategies.webpack, strategies.node, strategies.generic]
+        }
+      });
+      const options = {
+        filename,
+        directory,
+        webpackConfig: `${directory}/webpack.config.js`
+      };
+
+      assert.equal(instance.explain(Object.assign({partial: 'R'}, options)).resolver, 'webpackLookup');
+
+      // webpack does not try the .jsx extension by default
+      assert.equal(cabinet(Object.assign({partial: './test/foo'}, options)), '');
+
+      const trace = instance.explain(Object.assign({partial: './test/foo'}, options));
+
+      assert.equal(trace.result, `${directory}/test/foo.jsx`);
+      assert.equal(trace.resolver, 'nodeLookup');
+
+      assert.equal(instance.explain(Object.assign({partial: './lib/missing'}, options)).resolver,
+        'resolve-dependency-path');
+    });
+
+    it('tries the strategies in order within the async method', function() {
+      const first = sinon.stub().returns(Promise.resolve(cabinet.CONTINUE));
+      const second = sinon.stub().returns(Promise.resolve(''));
+      const third = sinon.stub().returns('baz.py');
+      const instance = cabinet.create({lookups: {'.py': [first, second, third]}});
+
+      return instance.async({partial: './bar', filename: 'js/foo.py', directory: 'js/'})
+      .then(function(result) {
+        assert.equal(result, 'baz.py');
+        assert.ok(first.calledBefore(second));
+        assert.ok(second.calledBefore(third));
+      });
+    });
+
+    it('uses the generic resolver within the async method when none of the strategies handle the partial', function() {
+      const instance = cabinet.create({lookups: {'.py': [sinon.stub().returns(cabinet.CONTINUE)]}});
+
+      return instance.async({partial: './bar', filename: 'js/foo.py', directory: 'js/'})
+      .then(function(result) {
+        assert.equal(result, path.resolve('js/bar.py'));
+      });
+    });
+
+    it('accepts lists of legacy strategies within cabinet.register', function() {
+      const first = sinon.stub().returns('');
+      const second = sinon.stub().returns('foo.php');
+
+      cabinet.register('.php', [first, second]);
+
+      assert.equal(cabinet({partial: './bar', filename: 'js/foo.php', directory: 'js/'}), 'foo.php');
+      assert.equal(first.args[0][0], './bar');
+      cabinet.unregister('.php');
+    });
+
+    it('throws when no strategies are given', function() {
+      assert.throws(function() {
+        cabinet.create().register('.py', []);
+      }, /no lookup strategies/);
+    });
+  });
+
+  describe('.resolvePattern', function() {
+    const filename = 'src/index.js';
+    const directory = '.';
+
+    function resolved(files) {
+      return files.map(file => path.resolve(file));
+    }
+
+    beforeEach(function() {
+      mock({
+        src: {
+          'index.js': '',
+          locales: {
+            'en.json': '',
+            'fr.json': '',
+            'readme.md': '',
+            nested: {
+              'de.json': ''
+            }
+          },
+          pages: {
+            'home.vue': '',
+            'about.vue': '',
+            'about.js': '',
+            admin: {
+              'users.vue': ''
+            },
+            'node_modules': {
+              'ignored.vue': ''
+            }
+          },
+          lang: {
+            'en.js': '',
+            'fr.js': '',
+            'en.json': ''
+          }
+        },
+        'node_modules': {
+          'ui-kit': {
+            'package.json': '{"name": "ui-kit"}',
+            icons: {
+              'add.svg': '',
+              'remove.svg': ''
+            }
+          }
+        },
+        'tsconfig.json': JSON.stringify({
+          compilerOptions: {
+            baseUrl: '.',
+            paths: {
+              '@/*': ['src/*']
+            }
+          }
+        })
+      });
+    });
+
+    afterEach(function() {
+      mock.restore();
+    });
+
+    it('finds the files of a folder like require.context', function() {
+      assert.deepEqual(cabinet.resolvePattern({
+        filename,
+        directory,
+        pattern: './locales',
+        regExp: /\.json$/
+      }), resolved(['src/locales/en.json', 'src/locales/fr.json', 'src/locales/nested/de.json']));
+    });
+
+    it('leaves out the subfolders of a folder when not recursive', function() {
+      assert.deepEqual(cabinet.resolvePattern({
+        filename,
+        directory,
+        pattern: './locales/',
+        recursive: false
+      }), resolved(['src/locales/en.json', 'src/locales/fr.json', 'src/locales/readme.md']));
+    });
+
+    it('tests the regular expression against paths relative to the folder', function() {
+      assert.deepEqual(cabinet.resolvePattern({
+        filename,
+        directory,
+        pattern: './locales',
+        regExp: /^\.\/nested\//
+      }), resolved(['src/locales/nested/de.json']));
+    });
+
+    it('finds the files matching a glob like import.meta.glob', function() {
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: './pages/*.vue'}),
+        resolved(['src/pages/about.vue', 'src/pages/home.vue']));
+    });
+
+    it('matches any number of folders with ** but skips node_modules', function() {
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: './pages/**/*.vue'}),
+        resolved(['src/pages/about.vue', 'src/pages/admin/users.vue', 'src/pages/home.vue']));
+    });
+
+    it('supports alternatives, character classes and single characters within globs', function() {
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: './pages/{home,about}.{js,vue}'}),
+        resolved(['src/pages/about.js', 'src/pages/about.vue', 'src/pages/home.vue']));
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: './lang/[e]?.js'}),
+        resolved(['src/lang/en.js']));
+    });
+
+    it('leaves out the files matching the globs that start with !', function() {
+      assert.deepEqual(cabinet.resolvePattern({
+        filename,
+        directory,
+        pattern: ['./pages/**/*.vue', './lang/*.js', '!./pages/admin/*', '!./lang/fr.js']
+      }), resolved(['src/lang/en.js', 'src/pages/about.vue', 'src/pages/home.vue']));
+    });
+
+    it('finds the files that a template literal can refer to', function() {
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: '`./lang/${language}.js`'}),
+        resolved(['src/lang/en.js', 'src/lang/fr.js']));
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: './${folder}/en.json'}),
+        resolved(['src/lang/en.json', 'src/locales/en.json']));
+    });
+
+    it('finds the files within packages', function() {
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: 'ui-kit/icons/*.svg'}),
+        resolved(['node_modules/ui-kit/icons/add.svg', 'node_modules/ui-kit/icons/remove.svg']));
+    });
+
+    it('applies the paths of the tsconfig', function() {
+      assert.deepEqual(cabinet.resolvePattern({
+        filename,
+        directory,
+        pattern: '@/pages/*.vue',
+        tsConfig: 'tsconfig.json'
+      }), resolved(['src/pages/about.vue', 'src/pages/home.vue']));
+    });
+
+    it('applies the aliases of the babel config', function() {
+      assert.deepEqual(cabinet.resolvePattern({
+        filename,
+        directory,
+        pattern: '~pages/admin/*.vue',
+        babelConfig: {
+          plugins: [['module-resolver', {alias: {'~pages': './src/pages'}}]]
+        }
+      }), resolved(['src/pages/admin/users.vue']));
+    });
+
+    it('applies the aliases and root of the vite config', function() {
+      const viteConfig = {
+        resolve: {
+          alias: {
+            '@pages': path.resolve('src/pages')
+          }
+        }
+      };
+
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: '@pages/*.vue', viteConfig}),
+        resolved(['src/pages/about.vue', 'src/pages/home.vue']));
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: '/src/lang/*.js', viteConfig}),
+        resolved(['src/lang/en.js', 'src/lang/fr.js']));
+    });
+
+    it('finds nothing when the folder does not exist', function() {
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: './missing/*.js'}), []);
+      assert.deepEqual(cabinet.resolvePattern({filename, directory, pattern: '@/pages/*.vue'}), []);
+    });
+
+    it('is offered by the cabinets made by cabinet.create', function() {
+      assert.deepEqual(cabinet.create().resolvePattern({filename, directory, pattern: './lang/*.json'}),
+        resolved(['src/lang/en.json']));
+    });
+  });
+
+  describe('fs option', function() {
+    const {Volume, createFsFromVolume} = require('memfs');
+    const directory = '/project';
+    let fs;
+
+    beforeEach(function() {
+      fs = createFsFromVolume(Volume.fromJSON({
+        'package.json': JSON.stringify({name: 'project'}),
+        'tsconfig.json': JSON.stringify({
+          compilerOptions: {
+            baseUrl: '.',
+            paths: {
+              '@lib/*': ['lib/*']
+            }
+          }
+        }),
+        'src/index.js': 'var utils = require("./utils");',
+        'src/utils.js': 'module.exports = {};',
+        'src/app.mjs': 'import pkg from "pkg";',
+        'src/app.ts': 'import {add} from "@lib/math";',
+        'src/helper.ts': 'export const helper = 1;',
+        'lib/math.ts': 'export const add = 1;',
+        'locales/en.json': '{}',
+        'locales/fr.json': '{}',
+        'styles/main.scss': '@import "variables";',
+        'styles/_variables.scss': '',
+        'styles/main.styl': '@import "mixins"',
+        'styles/mixins.styl': '',
+        'styles/main.less': '@import "theme";',
+        'styles/theme.less': '',
+        'node_modules/lodash/package.json': JSON.stringify({main: 'lodash.js'}),
+        'node_modules/lodash/lodash.js': 'module.exports = {};',
+        'node_modules/pkg/package.json': JSON.stringify({
+          exports: {
+            import: './esm/index.js',
+            require: './cjs/index.js'
+          }
+        }),
+        'node_modules/pkg/esm/index.js': 'export default {};',
+        'node_modules/pkg/cjs/index.js': 'module.exports = {};'
+      }, directory));
+    });
+
+    function resolveIn(partial, filename, options) {
+      return cabinet(Object.assign({
+        partial,
+        filename: `${directory}/${filename}`,
+        directory,
+        fs
+      }, options));
+    }
+
+    it('resolves commonjs files and packages within the given fs', function() {
+      assert.equal(resolveIn('./utils', 'src/index.js'), `${directory}/src/utils.js`);
+      assert.equal(resolveIn('lodash', 'src/index.js'), `${directory}/node_modules/lodash/lodash.js`);
+    });
+
+    it('detects the module type and reads package exports within the given fs', function() {
+      assert.equal(resolveIn('pkg', 'src/app.mjs'), `${directory}/node_modules/pkg/esm/index.js`);
+    });
+
+    it('resolves typescript files through the tsconfig within the given fs', function() {
+      assert.equal(resolveIn('./helper', 'src/app.ts'), `${directory}/src/helper.ts`);
+      assert.equal(resolveIn('@lib/math', 'src/app.ts', {discoverTsConfig: true}), `${directory}/lib/math.ts`);
+      assert.equal(resolveIn('@lib/math', 'src/app.ts', {tsConfig: `${directory}/tsconfig.json`}),
+        `${directory}/lib/math.ts`);
+    });
+
+    it('resolves stylesheets within the given fs', function() {
+      assert.equal(resolveIn('variables', 'styles/main.scss'), `${directory}/styles/_variables.scss`);
+      assert.equal(resolveIn('mixins', 'styles/main.styl'), `${directory}/styles/mixins.styl`);
+      assert.equal(resolveIn('theme', 'styles/main.less'), `${directory}/styles/theme.less`);
+    });
+
+    it('resolves through webpack and vite configs with the given fs', function() {
+      assert.equal(resolveIn('lodash', 'src/index.js', {webpackConfig: 'webpack.config.js'}),
+        `${directory}/node_modules/lodash/lodash.js`);
+      assert.equal(resolveIn('@/utils', 'src/index.js', {
+        viteConfig: {
+          resolve: {
+            alias: {
+              '@': `${directory}/src`
+            }
+          }
+        }
+      }), `${directory}/src/utils.js`);
+    });
+
+    it('keeps the resolvers of a vite config apart per fs within a cache', function() {
+      const other = createFsFromVolume(Volume.fromJSON({
+        'src/index.js': 'var utils = require("./utils");',
+        'src/utils.jsx': 'module.exports = {};'
+      }, directory));
+      const options = {viteConfig: path.resolve(__dirname, 'vite.config.js'), cache: cabinet.createCache()};
+
+      assert.equal(resolveIn('./utils', 'src/index.js', options), `${directory}/src/utils.js`);
+      assert.equal(resolveIn('./utils', 'src/index.js', Object.assign({fs: other}, options)), `${directory}/src/utils.jsx`);
+    });
+
+    it('does not fall back to the disk', function() {
+      assert.equal(resolveIn(path.resolve('index'), 'src/index.js'), '');
+    });
+
+    it('finds the files matching patterns within the given fs', function() {
+      assert.deepEqual(cabinet.resolvePattern({
+        pattern: '../locales/*.json',
+        filename: `${directory}/src/index.js`,
+        directory,
+        fs
+      }), [`${directory}/locales/en.json`, `${directory}/locales/fr.json`]);
+    });
+
+    it('is supported by cabinet.async', function() {
+      return Promise.all([
+        cabinet.async({partial: './utils', filename: `${directory}/src/index.js`, directory, fs}),
+        cabinet.async({partial: '@lib/math', filename: `${directory}/src/app.ts`, directory, fs, discoverTsConfig: true})
+      ]).then(function(results) {
+        assert.deepEqual(results, [`${directory}/src/utils.js`, `${directory}/lib/math.ts`]);
+      });
+    });
+  });
+
+  describe('webpack', function() {
+    let directory;
+
+    beforeEach(function() {
+      directory = path.resolve(__dirname, '../');
+    });
+
+    function testResolution(partial, expected) {
+      const resolved = cabinet({
+        partial,
+        filename: `${directory}/index.js`,
+        directory,
+        webpackConfig: `${directory}/webpack.config.js`
+      });
+
+      assert.equal(resolved, expected);
+    }
+
+    it('resolves an aliased path', function() {
+      testResolution('R', `${directory}/node_modules/resolve/index.js`);
+    });
+
+    it('resolves the folder of a pattern with the aliases of the config', function() {
+      const files = cabinet.resolvePattern({
+        pattern: 'R/lib/{core,sync}.js',
+        filename: `${directory}/index.js`,
+        directory,
+        webpackConfig: `${directory}/webpack.config.js`
+      });
+
+      assert.deepEqual(files, [`${directory}/node_modules/resolve/lib/core.js`, `${directory}/node_modules/resolve/lib/sync.js`]);
+    });
+
+    it('resolves a non-aliased path', function() {
+      testResolution('resolve', `${directory}/node_modules/resolve/index.js`);
+    });
+
+    it('resolves a relative path', function() {
+      testResolution('./test/ast', `${directory}/test/ast.js`);
+    });
+
+    it('resolves an absolute path from a file within a subdirectory', function() {
       const resolved = cabinet({
         partial: 'R',
         filename: `${directory}/test/ast.js`,
@@ -654,10 +3344,501 @@ describe('filing-cabinet', function() {
       testResolution('./test/foo.jsx', `${directory}/test/foo.jsx`);
     });
 
+    describe('when reporting built-in modules', function() {
+      function resolveBuiltin(partial) {
+        return cabinet({
+          partial,
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`,
+          builtins: true
+        });
+      }
+
+      it('reports a built-in module', function() {
+        assert.deepEqual(resolveBuiltin('fs'), {builtin: true, name: 'fs'});
+        assert.deepEqual(resolveBuiltin('node:fs'), {builtin: true, name: 'fs'});
+      });
+
+      it('prefers a package named after a built-in module', function() {
+        assert.equal(resolveBuiltin('string_decoder'), `${directory}/node_modules/string_decoder/lib/string_decoder.js`);
+      });
+
+      it('reports a built-in module within cabinet.async', function() {
+        return cabinet.async({
+          partial: 'node:os',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`,
+          builtins: true
+        })
+        .then(function(result) {
+          assert.deepEqual(result, {builtin: true, name: 'os'});
+        });
+      });
+    });
+
     describe('when the partial contains a loader', function() {
       it('still works', function() {
         testResolution('hgn!resolve', `${directory}/node_modules/resolve/index.js`);
       });
+
+      it('ignores the prefixes that disable configured loaders', function() {
+        testResolution('-!hgn!resolve', `${directory}/node_modules/resolve/index.js`);
+        testResolution('!!hgn!resolve', `${directory}/node_modules/resolve/index.js`);
+      });
+
+      it('ignores the queries of the loaders and the resource', function() {
+        testResolution('hgn?foo=bar!./test/ast?inline', `${directory}/test/ast.js`);
+      });
+    });
+
+    describe('when reporting loaders', function() {
+      function resolveLoaders(partial) {
+        return cabinet({
+          partial,
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`,
+          loaders: true
+        });
+      }
+
+      it('reports each loader resolved to its file along with the resource', function() {
+        assert.deepEqual(resolveLoaders('-!resolve?sync!debug!./test/ast?inline'), {
+          path: `${directory}/test/ast.js`,
+          query: '?inline',
+          prefix: '-!',
+          loaders: [
+            {name: 'resolve', query: '?sync', path: `${directory}/node_modules/resolve/index.js`},
+            {name: 'debug', query: '', path: `${directory}/node_modules/debug/src/index.js`}
+          ]
+        });
+      });
+
+      it('resolves loaders using resolveLoader', function() {
+        assert.equal(resolveLoaders('mod-loader!./test/ast').loaders[0].path, `${directory}/test/root1/mod1.js`);
+      });
+
+      it('reports a loader that does not resolve with an empty path', function() {
+        assert.deepEqual(resolveLoaders('!!hgn!R').loaders, [{name: 'hgn', query: '', path: ''}]);
+      });
+
+      it('reports a partial without loaders', function() {
+        assert.deepEqual(resolveLoaders('./test/ast'), {
+          path: `${directory}/test/ast.js`,
+          query: '',
+          prefix: '',
+          loaders: []
+        });
+      });
+
+      it('reports the loaders within cabinet.async', function() {
+        return cabinet.async({
+          partial: 'debug!./test/ast?inline',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/webpack.config.js`,
+          loaders: true
+        })
+        .then(function(result) {
+          assert.equal(result.path, `${directory}/test/ast.js`);
+          assert.equal(result.query, '?inline');
+          assert.equal(result.loaders[0].path, `${directory}/node_modules/debug/src/index.js`);
+        });
+      });
+    });
+
+    describe('when the config exports multiple configs', function() {
+      function resolveMulti(partial, options) {
+        return cabinet(Object.assign({
+          partial,
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/test/webpack-multi.config.js`
+        }, options));
+      }
+
+      it('uses the first config by default', function() {
+        assert.equal(resolveMulti('R'), resolveMulti('R', {webpackConfigName: 'client'}));
+      });
+
+      it('uses the config named by webpackConfigName', function() {
+        assert.equal(resolveMulti('R', {webpackConfigName: 'server'}), `${directory}/test/root2/mod2.js`);
+      });
+
+      it('reports a missing config name as a config error', function() {
+        const trace = cabinet.explain({
+          partial: 'R',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/test/webpack-multi.config.js`,
+          webpackConfigName: 'missing'
+        });
+
+        assert.equal(trace.result, '');
+        assert.ok(trace.configError.indexOf('does not have a config named missing') !== -1);
+      });
+
+      it('passes webpackEnv to configs that export a function', function() {
+        assert.deepEqual(resolveMulti('R', {webpackEnv: {production: true}}), {empty: true, name: 'R'});
+      });
+
+      it('reports a partial mapped to false as an empty module', function() {
+        const options = {
+          partial: 'R',
+          filename: `${directory}/index.js`,
+          directory,
+          webpackConfig: `${directory}/test/webpack-multi.config.js`,
+          webpackEnv: {production: true}
+        };
+
+        assert.deepEqual(cabinet.explain(options).result, {empty: true, name: 'R'});
+
+        return cabinet.async(options).then(function(result) {
+          assert.deepEqual(result, {empty: true, name: 'R'});
+        });
+      });
+
+      it('resolves an alias with several targets', function() {
+        assert.equal(resolveMulti('R'), `${directory}/node_modules/resolve/index.js`);
+      });
+
+      it('resolves a path using resolve.fallback', function() {
+        assert.equal(resolveMulti('mod1'), `${directory}/test/root1/mod1.js`);
+      });
+
+      it('uses resolve.byDependency based on the module type of the file', function() {
+        assert.equal(resolveMulti('R', {
+          filename: `${directory}/test/foo.jsx`,
+          webpackConfigName: 'server'
+        }), `${directory}/test/root1/mod1.js`);
+      });
+
+      it('uses the resolve options shared by every dependency when the file can not be read', function() {
+        const options = {
+          partial: 'R',
+          filename: `${directory}/test/missing.js`,
+          directory,
+          webpackConfig: `${directory}/test/webpack-multi.config.js`,
+          webpackConfigName: 'server'
+        };
+
+        assert.equal(cabinet(options), `${directory}/test/root2/mod2.js`);
+
+        return cabinet.async(options).then(function(result) {
+          assert.equal(result, `${directory}/test/root2/mod2.js`);
+        });
+      });
+
+      it('creates a resolver per dependency category', function() {
+        const cache = cabinet.createCache();
+
+        resolveMulti('R', {webpackConfigName: 'server', cache});
+        resolveMulti('R', {filename: `${directory}/test/foo.jsx`, webpackConfigName: 'server', cache});
+
+        const resolvers = cache.webpackResolvers[`${directory}/test/webpack-multi.config.js`];
+
+        assert.deepEqual(Object.keys(resolvers[Object.keys(resolvers)[0]]), ['commonjs', 'esm']);
+      });
+
+      it('keeps the configs of each name and env apart within a cache', function() {
+        const cache = cabinet.createCache();
+
+        assert.equal(resolveMulti('R', {webpackConfigName: 'client', cache}), `${directory}/node_modules/resolve/index.js`);
+        assert.equal(resolveMulti('R', {webpackConfigName: 'server', cache}), `${directory}/test/root2/mod2.js`);
+        assert.deepEqual(resolveMulti('R', {webpackEnv: {production: true}, cache}), {empty: true, name: 'R'});
+        assert.equal(resolveMulti('R', {cache}), `${directory}/node_modules/resolve/index.js`);
+      });
+
+      it('keeps the resolvers of each file system apart within a cache', function() {
+        const cache = cabinet.createCache();
+
+        resolveMulti('R', {cache});
+        resolveMulti('R', {cache, fs: require('fs')});
+
+        assert.equal(Object.keys(cache.webpackResolvers[`${directory}/test/webpack-multi.config.js`]).length, 2);
+      });
+    });
+
+    describe('when the config returns a promise', function() {
+      const options = () => ({
+        partial: 'R',
+        filename: `${directory}/index.js`,
+        directory,
+        webpackConfig: `${directory}/test/webpack-promise.config.js`
+      });
+
+      it('resolves the partial within cabinet.async', function() {
+        return cabinet.async(options())
+        .then(function(result) {
+          assert.equal(result, `${directory}/node_modules/resolve/index.js`);
+        });
+      });
+
+      it('reports that the config needs cabinet.async when resolving synchronously', function() {
+        const trace = cabinet.explain(options());
+
+        assert.equal(trace.result, '');
+        assert.ok(trace.configError.indexOf('can only be used with cabinet.async') !== -1);
+      });
+
+      it('reuses the resolved config once it is cached', function() {
+        const cache = cabinet.createCache();
+
+        return cabinet.async(Object.assign(options(), {cache}))
+        .then(function() {
+          assert.equal(cabinet(Object.assign(options(), {cache})), `${directory}/node_modules/resolve/index.js`);
+        });
+      });
+    });
+  });
+
+  describe('vite and rollup', function() {
+    let directory;
+
+    beforeEach(function() {
+      directory = path.resolve(__dirname, '../');
+    });
+
+    function resolveVite(partial, options) {
+      return cabinet(Object.assign({
+        partial,
+        filename: `${directory}/index.js`,
+        directory,
+        viteConfig: `${directory}/test/vite.config.js`
+      }, options));
+    }
+
+    it('resolves a regular expression alias', function() {
+      assert.equal(resolveVite('@root1/mod1'), `${directory}/test/root1/mod1.js`);
+    });
+
+    it('resolves an alias to a package', function() {
+      assert.equal(resolveVite('R'), `${directory}/node_modules/resolve/index.js`);
+    });
+
+    it('resolves an alias to a directory', function() {
+      assert.equal(resolveVite('~/ast'), `${directory}/test/ast.js`);
+    });
+
+    it('uses resolve.extensions', function() {
+      assert.equal(resolveVite('./test/foo'), `${directory}/test/foo.jsx`);
+    });
+
+    it('resolves partials starting with / about the root', function() {
+      assert.equal(resolveVite('/test/ast'), `${directory}/test/ast.js`);
+    });
+
+    it('accepts the aliases of a config object as an object', function() {
+      assert.equal(resolveVite('RR', {
+        viteConfig: {
+          resolve: {
+            alias: {RR: 'resolve'}
+          }
+        }
+      }), `${directory}/node_modules/resolve/index.js`);
+    });
+
+    it('is used for TypeScript files', function() {
+      assert.equal(resolveVite('./ast.js', {filename: `${directory}/test/foo.ts`}), `${directory}/test/ast.js`);
+    });
+
+    it('falls back to the main field like vite does', function() {
+      assert.equal(resolveVite('rewire', {viteConfig: {}}), `${directory}/node_modules/rewire/lib/index.js`);
+    });
+
+    it('resolves an alias of an alias plugin within a rollup config', function() {
+      assert.equal(resolveVite('mods/mod2', {
+        viteConfig: undefined,
+        rollupConfig: `${directory}/test/rollup.config.js`
+      }), `${directory}/test/root2/mod2.js`);
+    });
+
+    it('reports an alias plugin that aliases asynchronously', function() {
+      const trace = cabinet.explain({
+        partial: 'mods/mod2',
+        filename: `${directory}/index.js`,
+        directory,
+        rollupConfig: {
+          plugins: [{
+            name: 'alias',
+            resolveId: function(importee) {
+              return Promise.resolve(importee.indexOf('mods/') === 0 ? {id: importee.replace('mods', 'test/root2')} : null);
+            }
+          }]
+        }
+      });
+
+      assert.equal(trace.result, '');
+      assert.ok(trace.configError.indexOf('resolves asynchronously') !== -1);
+    });
+
+    it('explains a partial that does not resolve', function() {
+      const trace = cabinet.explain({
+        partial: '~/missing',
+        filename: `${directory}/index.js`,
+        directory,
+        viteConfig: `${directory}/test/vite.config.js`
+      });
+
+      assert.equal(trace.moduleType, 'vite');
+      assert.equal(trace.result, '');
+      assert.ok(trace.error);
+    });
+
+    describe('when the config resolves asynchronously', function() {
+      function asyncConfig() {
+        return Promise.resolve({
+          resolve: {
+            alias: {RR: 'resolve'}
+          }
+        });
+      }
+
+      it('resolves the partial within cabinet.async', function() {
+        return cabinet.async({
+          partial: 'RR',
+          filename: `${directory}/index.js`,
+          directory,
+          viteConfig: asyncConfig
+        })
+        .then(function(result) {
+          assert.equal(result, `${directory}/node_modules/resolve/index.js`);
+        });
+      });
+
+      it('reports that the config needs cabinet.async when resolving synchronously', function() {
+        const trace = cabinet.explain({
+          partial: 'RR',
+          filename: `${directory}/index.js`,
+          directory,
+          viteConfig: asyncConfig
+        });
+
+        assert.equal(trace.result, '');
+        assert.ok(trace.configError.indexOf('can only be used with cabinet.async') !== -1);
+      });
+    });
+  });
+
+  describe('CLI', function() {
+    const childProcess = require('child_process');
+    const directory = path.resolve(__dirname, '..');
+    const cli = path.join(directory, 'bin/cli.js');
+
+    function run(args, input) {
+      return childProcess.spawnSync(process.execPath, [cli].concat(args), {
+        cwd: directory,
+        input: input || '',
+        encoding: 'utf8'
+      });
+    }
+
+    it('resolves the partials given as arguments', function() {
+      const output = run(['-f', 'index.js', './lib/cache', './lib/pnp']);
+
+      assert.equal(output.status, 0);
+      assert.equal(output.stdout, `${directory}/lib/cache.js\n${directory}/lib/pnp.js\n`);
+    });
+
+    it('resolves a partial per line of stdin and exits with 1 when some are unresolved', function() {
+      const output = run(['-f', 'index.js', '-i', '-'], './lib/cache\n\n./lib/missing\n');
+
+      assert.equal(output.status, 1);
+      assert.equal(output.stdout, `${directory}/lib/cache.js\n\n`);
+      assert.ok(output.stderr.indexOf('./lib/missing: ') === 0);
+    });
+
+    it('prints the status of every partial with --json', function() {
+      const output = run(['-f', 'index.js', '-i', '-', '--json'], './lib/cache\n./lib/missing\n');
+      const statuses = JSON.parse(output.stdout);
+
+      assert.equal(output.status, 1);
+      assert.deepEqual(statuses[0], {
+        partial: './lib/cache',
+        filename: 'index.js',
+        result: `${directory}/lib/cache.js`,
+        status: 'resolved'
+      });
+      assert.equal(statuses[1].status, 'unresolved');
+      assert.equal(statuses[1].result, '');
+      assert.ok(statuses[1].error);
+    });
+
+    it('reads a JSON array of partials and {partial, filename} objects', function() {
+      const input = JSON.stringify(['./lib/less', {partial: './stylus', filename: 'lib/cache.js'}]);
+      const output = run(['-f', 'index.js', '-i', '-', '--json'], input);
+
+      assert.equal(output.status, 0);
+      assert.deepEqual(JSON.parse(output.stdout).map(status => status.result), [
+        `${directory}/lib/less.js`,
+        `${directory}/lib/stylus.js`
+      ]);
+    });
+
+    it('reads the partials from a file', function() {
+      const inputPath = path.join(require('os').tmpdir(), `cabinet-cli-${process.pid}.txt`);
+
+      require('fs').writeFileSync(inputPath, './lib/cache\n./lib/pnp\n');
+
+      try {
+        const output = run(['-f', 'index.js', '-i', inputPath]);
+
+        assert.equal(output.status, 0);
+        assert.equal(output.stdout, `${directory}/lib/cache.js\n${directory}/lib/pnp.js\n`);
+      } finally {
+        require('fs').unlinkSync(inputPath);
+      }
+    });
+
+    it('passes the options of cabinet along', function() {
+      const output = run(['-f', 'index.js', '-d', directory, '--webpack-config', 'webpack.config.js', 'R']);
+
+      assert.equal(output.status, 0);
+      assert.equal(output.stdout, `${directory}/node_modules/resolve/index.js\n`);
+    });
+
+    it('accepts JSON options', function() {
+      const output = run(['-f', 'index.js', '--builtins', '--node-modules-config', '{"entry": "module"}', 'fs']);
+
+      assert.equal(output.status, 0);
+      assert.deepEqual(JSON.parse(output.stdout), {builtin: true, name: 'fs'});
+    });
+
+    it('resolves through the webpack config at the location given by --webpack-config', function() {
+      const output = run(['-f', 'index.js', '-w', 'webpack.config.js', 'R']);
+
+      assert.equal(output.status, 0);
+      assert.equal(output.stdout, `${directory}/node_modules/resolve/index.js\n`);
+    });
+
+    it('exits with 2 when the contents of a webpack config are given', function() {
+      const output = run(['-f', 'index.js', '-w', '{"resolve": {"alias": {"R": "./lib"}}}', 'R']);
+
+      assert.equal(output.status, 2);
+      assert.ok(output.stderr.indexOf('takes the location of a webpack config') !== -1);
+    });
+
+    it('reports a config that fails to load as an error', function() {
+      const output = run(['-f', 'index.js', '--webpack-config', 'missing.config.js', '--json', 'R']);
+
+      assert.equal(output.status, 2);
+      assert.equal(JSON.parse(output.stdout)[0].status, 'error');
+    });
+
+    it('exits with 2 when an option is invalid JSON', function() {
+      const output = run(['-f', 'index.js', '--sass-options', '{loadPaths', 'foo']);
+
+      assert.equal(output.status, 2);
+      assert.ok(output.stderr.indexOf('invalid JSON') !== -1);
+    });
+
+    it('exits with 2 when the input is invalid JSON', function() {
+      const output = run(['-f', 'index.js', '-i', '-'], '["./lib/cache"');
+
+      assert.equal(output.status, 2);
+      assert.ok(output.stderr.indexOf('invalid JSON input') !== -1);
     });
   });
 });
@@ -0,0 +1,22 @@
+var path = require('path');
+
+// Stands in for the defineConfig helper of vite, which returns the config as-is
+function defineConfig(config) {
+  return config;
+}
+
+module.exports = defineConfig(function(env) {
+  return {
+    // The folder of the config is the default root
+    root: '..',
+    resolve: {
+      alias: [
+        {find: /^@root1\/(.*)$/, replacement: path.resolve(__dirname, 'root1/$1')},
+        {find: 'R', replacement: 'resolve'},
+        {find: '~', replacement: __dirname}
+      ],
+      extensions: ['.js', '.jsx'],
+      conditions: [env.mode]
+    }
+  };
+});
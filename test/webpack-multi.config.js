@@ -0,0 +1,34 @@
+var path = require('path');
+
+module.exports = function(env, argv) {
+  return [
+    {
+      name: 'client',
+      entry: "./index.js",
+      resolve: {
+        alias: {
+          R: argv.env.production ? false : [path.resolve(__dirname, 'missing'), path.resolve(__dirname, '../node_modules/resolve')]
+        },
+        fallback: {
+          mod1: path.resolve(__dirname, 'root1/mod1.js')
+        }
+      }
+    },
+    {
+      name: 'server',
+      entry: "./index.js",
+      resolve: {
+        alias: {
+          R: path.resolve(__dirname, 'root2/mod2.js')
+        },
+        byDependency: {
+          esm: {
+            alias: {
+              R: path.resolve(__dirname, 'root1/mod1.js')
+            }
+          }
+        }
+      }
+    }
+  ];
+};
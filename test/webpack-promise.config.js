@@ -0,0 +1,12 @@
+var path = require('path');
+
+module.exports = function() {
+  return Promise.resolve({
+    entry: "./index.js",
+    resolve: {
+      alias: {
+        R: path.resolve(__dirname, '../node_modules/resolve')
+      }
+    }
+  });
+};
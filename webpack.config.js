@@ -1,8 +1,15 @@
+var path = require('path');
+
 module.exports = {
   entry: "./index.js",
   resolve: {
     alias: {
       R: './node_modules/resolve'
     }
+  },
+  resolveLoader: {
+    alias: {
+      'mod-loader': path.resolve(__dirname, './test/root1/mod1.js')
+    }
   }
-};
\ No newline at end of file
+};